@@ -3,17 +3,63 @@
 // ==================================================================================================
 
 export const CONFIG = {
+  // One database for every store; its version comes from the migration list in database.js.
+  // legacyName is the per-store database used before, imported once and then deleted.
   DB: {
-    CACHE: { name: "LyricsCacheDB", version: 2, store: "lyrics" },
-    TRANSLATIONS: { name: "TranslationsDB", version: 2, store: "translations" },
-    LOCAL: { name: "LocalLyricsDB", version: 2, store: "localLyrics" }
+    NAME: "NewSyncDB",
+    CACHE: { store: "lyrics", keyPath: "key", lru: true, legacyName: "LyricsCacheDB" },
+    TRANSLATIONS: { store: "translations", keyPath: "key", lru: true, legacyName: "TranslationsDB" },
+    LOCAL: { store: "localLyrics", keyPath: "songId", legacyName: "LocalLyricsDB" }
   },
   
   CACHE_EXPIRY: {
     aggressive: 24 * 60 * 60 * 1000, 
-    moderate: 12 * 60 * 60 * 1000 
+    moderate: 12 * 60 * 60 * 1000,
+    // Entries older than this are still served, but refreshed in the background.
+    'stale-while-revalidate': 12 * 60 * 60 * 1000
+  },
+
+  // Shared size cap for the lyrics and translation caches (least recently used go first).
+  CACHE_LIMIT: {
+    DEFAULT_MAX_MB: 50,
+    LARGEST_ENTRIES: 10,
+    EVICTION_DELAY_MS: 2000,
+    // Reads refresh a record's access time only when it is older than this, so most
+    // cache hits stay read-only.
+    ACCESS_REFRESH_MS: 60 * 60 * 1000
+  },
+
+  // Service worker state mirrored to storage.session so it survives the worker being stopped.
+  STATE: {
+    SESSION_KEY: 'backgroundState',
+    MEMORY_CACHE_MAX_ENTRIES: 100,
+    // Most recently used memory entries written to the session snapshot (its quota is small).
+    PERSISTED_CACHE_ENTRIES: 20,
+    PERSIST_DELAY_MS: 500,
+    // Interrupted requests older than this are dropped instead of resumed.
+    RESUME_MAX_AGE_MS: 2 * 60 * 1000
+  },
+
+  // Recent lookups shown in the settings page's diagnostics section.
+  DIAGNOSTICS: {
+    SESSION_KEY: 'diagnosticsLog',
+    MAX_ENTRIES: 50,
+    PERSIST_DELAY_MS: 1000
+  },
+
+  // "No lyrics found" entries expire sooner so newly published lyrics are picked up.
+  NEGATIVE_CACHE_EXPIRY: {
+    aggressive: 6 * 60 * 60 * 1000,
+    moderate: 60 * 60 * 1000,
+    'stale-while-revalidate': 60 * 60 * 1000
   },
   
+  // Relaxed metadata retries on a miss. Each variant is a full provider lookup (KPoe walks
+  // its mirrors for every one), so a provider tries only the first few by default.
+  QUERY_VARIANTS: {
+    MAX_PER_PROVIDER: 3
+  },
+
   KPOE_SERVERS: [
     "https://lyricsplus.prjktla.workers.dev",
     "https://lyrics-plus-backend.vercel.app",
@@ -21,6 +67,124 @@ export const CONFIG = {
     "https://lyricsplus.prjktla.online"
   ],
   
+  LRCLIB: {
+    BASE_URL: 'https://lrclib.net/api',
+    MIN_MATCH_SCORE: 0.65,
+    MIN_TITLE_SIMILARITY: 0.5,
+    MAX_DURATION_DIFF_S: 15,
+    SYNCED_BONUS: 0.1
+  },
+
+  BACKUP: {
+    FORMAT: 'newsync-backup',
+    VERSION: 1,
+    // Device-specific state that should not travel between browsers.
+    EXCLUDED_SETTINGS: ['kpoeMirrorHealth'],
+    // Only exported when the user asks for it, and never removed by a replace import.
+    SECRET_SETTINGS: ['geminiApiKey', 'openAiApiKey', 'libreTranslateApiKey'],
+    // Settings a backup may restore, with the type of their value. Anything else in a
+    // file is dropped.
+    SETTING_TYPES: {
+      lyricsProvider: 'string',
+      lyricsSourceOrder: 'string',
+      wordByWord: 'boolean',
+      lightweight: 'boolean',
+      isEnabled: 'boolean',
+      useSponsorBlock: 'boolean',
+      autoHideLyrics: 'boolean',
+      cacheStrategy: 'string',
+      maxCacheSizeMB: 'number',
+      fontSize: 'number',
+      hideOffscreen: 'boolean',
+      blurInactive: 'boolean',
+      dynamicPlayer: 'boolean',
+      customCSS: 'string',
+      translationProvider: 'string',
+      romanizationProvider: 'string',
+      geminiApiKey: 'string',
+      geminiModel: 'string',
+      geminiRomanizationModel: 'string',
+      openAiBaseUrl: 'string',
+      openAiApiKey: 'string',
+      openAiModel: 'string',
+      openAiRomanizationModel: 'string',
+      libreTranslateUrl: 'string',
+      libreTranslateApiKey: 'string',
+      languageDetectionFallback: 'boolean',
+      overrideTranslateTarget: 'boolean',
+      customTranslateTarget: 'string',
+      overrideGeminiPrompt: 'boolean',
+      customGeminiPrompt: 'string',
+      overrideGeminiRomanizePrompt: 'boolean',
+      customGeminiRomanizePrompt: 'string',
+      useSongPaletteFullscreen: 'boolean',
+      useSongPaletteAllModes: 'boolean',
+      overridePaletteColor: 'string',
+      largerTextMode: 'string',
+      customKpoeUrl: 'string',
+      lyricsPins: 'object',
+      lyricsBlocklist: 'array'
+    }
+  },
+
+  KPOE_HEALTH: {
+    STORAGE_KEY: 'kpoeMirrorHealth',
+    FAILURE_THRESHOLD: 3,
+    COOLDOWN_MS: 5 * 60 * 1000,
+    LATENCY_SMOOTHING: 0.3,
+    PERSIST_DELAY_MS: 1000
+  },
+
+  // Provider or KPoe source the user chose for a song, by videoId and by normalized metadata.
+  LYRICS_PINS: {
+    STORAGE_KEY: 'lyricsPins'
+  },
+
+  // Lyrics the user marked as wrong for a song; lookups skip results matching them.
+  LYRICS_BLOCKLIST: {
+    STORAGE_KEY: 'lyricsBlocklist',
+    // Oldest entries are dropped past this.
+    MAX_ENTRIES: 500
+  },
+
+  // "View alternatives" in the lyrics panel.
+  ALTERNATIVES: {
+    PREVIEW_LINES: 3,
+    // Songs whose provider results are kept for accepting one of them.
+    MAX_SONGS: 5
+  },
+
+  // Display names of the KPoe `lyricsSourceOrder` entries, for the lyrics panel.
+  KPOE_SOURCE_NAMES: {
+    apple: 'Apple Music',
+    lyricsplus: 'Lyrics+ (User Gen.)',
+    spotify: 'Musixmatch (Spotify)',
+    musixmatch: 'Musixmatch (Direct)',
+    'musixmatch-word': 'Musixmatch (Word)'
+  },
+
+  LYRICS_RACE: {
+    TIME_BUDGET_MS: 6000,
+    WEIGHTS: {
+      SYNC: { Word: 60, Line: 40, Plain: 10 },
+      DURATION: 20,
+      TEXT: 20,
+      PREFERRED: 5
+    },
+    TIMELINE: {
+      // Reject when the last line ends this many seconds past the track end.
+      MAX_OVERRUN_S: 15,
+      // Reject when the first line starts after this fraction of the track.
+      MAX_FIRST_LINE_RATIO: 0.5
+    }
+  },
+
+  // Translations reach the content script over a port, one batch of finished lines at a time.
+  TRANSLATION_STREAM: {
+    PORT_NAME: 'translation-stream',
+    BATCH_LINES: 10
+  },
+
   GEMINI: {
     MAX_RETRIES: 5,
     MIN_TEXT_SIMILARITY: 0.8
@@ -29,6 +193,27 @@ export const CONFIG = {
   GOOGLE: {
     MAX_RETRIES: 3,
     RETRY_DELAY_MS: 500
+  },
+
+  // Upper bounds per /translate request; a server's own character limit is used when lower.
+  LIBRETRANSLATE: {
+    BATCH_LINES: 25,
+    BATCH_CHARS: 2000
+  },
+
+  TIMEOUTS: {
+    // A single HTTP request to a lyrics or translation service.
+    REQUEST_MS: 10000,
+    // LLM calls generate the whole response before answering.
+    GEMINI_REQUEST_MS: 60000,
+    // Models running on the user's own machine are often much slower than hosted ones.
+    OPENAI_COMPATIBLE_REQUEST_MS: 120000,
+    // Self-hosted machine translation, often on CPU only.
+    LIBRETRANSLATE_REQUEST_MS: 30000,
+    // A whole lyrics lookup, across providers, mirrors and relaxed queries.
+    LOOKUP_MS: 25000,
+    // A whole translation or romanization, including retries and fallbacks.
+    TRANSLATION_MS: 180000
   }
 };
 
@@ -37,8 +222,24 @@ export const PROVIDERS = {
   CUSTOM_KPOE: 'customKpoe',
   LRCLIB: 'lrclib',
   LOCAL: 'local',
+  YOUTUBE: 'youtube',
   GEMINI: 'gemini',
-  GOOGLE: 'google'
+  GOOGLE: 'google',
+  OPENAI_COMPATIBLE: 'openaiCompatible',
+  LIBRETRANSLATE: 'libretranslate'
+};
+
+// Why a lyrics or translation request failed; sent to the content script as the response `code`.
+/** @type {{ [K in import('../types').ServiceErrorCode]: K }} */
+export const ERROR_CODES = {
+  NETWORK_OFFLINE: 'NETWORK_OFFLINE',
+  TIMEOUT: 'TIMEOUT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  API_KEY_INVALID: 'API_KEY_INVALID',
+  NOT_FOUND: 'NOT_FOUND',
+  PARSE_FAILURE: 'PARSE_FAILURE',
+  CANCELLED: 'CANCELLED',
+  UNKNOWN: 'UNKNOWN'
 };
 
 export const MESSAGE_TYPES = {
@@ -51,6 +252,27 @@ export const MESSAGE_TYPES = {
   GET_LOCAL_LYRICS_LIST: 'GET_LOCAL_LYRICS_LIST',
   DELETE_LOCAL_LYRICS: 'DELETE_LOCAL_LYRICS',
   FETCH_LOCAL_LYRICS: 'FETCH_LOCAL_LYRICS',
-  UPDATE_LOCAL_LYRICS: 'UPDATE_LOCAL_LYRICS'
+  UPDATE_LOCAL_LYRICS: 'UPDATE_LOCAL_LYRICS',
+  GET_LYRICS_PROVIDERS: 'GET_LYRICS_PROVIDERS',
+  GET_KPOE_MIRROR_STATUS: 'GET_KPOE_MIRROR_STATUS',
+  TEST_KPOE_MIRROR: 'TEST_KPOE_MIRROR',
+  GET_LARGEST_CACHE_ENTRIES: 'GET_LARGEST_CACHE_ENTRIES',
+  EXPORT_BACKUP: 'EXPORT_BACKUP',
+  PREVIEW_BACKUP: 'PREVIEW_BACKUP',
+  IMPORT_BACKUP: 'IMPORT_BACKUP',
+  CANCEL_FETCH: 'CANCEL_FETCH',
+  SETTINGS_CHANGED: 'SETTINGS_CHANGED',
+  OPEN_SETTINGS: 'OPEN_SETTINGS',
+  GET_DIAGNOSTICS: 'GET_DIAGNOSTICS',
+  GET_LYRICS_SOURCES: 'GET_LYRICS_SOURCES',
+  PIN_LYRICS_SOURCE: 'PIN_LYRICS_SOURCE',
+  GET_LYRICS_ALTERNATIVES: 'GET_LYRICS_ALTERNATIVES',
+  ACCEPT_LYRICS_ALTERNATIVE: 'ACCEPT_LYRICS_ALTERNATIVE',
+  REPORT_WRONG_LYRICS: 'REPORT_WRONG_LYRICS',
+  GET_LYRICS_BLOCKLIST: 'GET_LYRICS_BLOCKLIST',
+  CLEAR_LYRICS_BLOCKLIST: 'CLEAR_LYRICS_BLOCKLIST',
+  CLEAR_DIAGNOSTICS: 'CLEAR_DIAGNOSTICS',
+  // Background -> content script
+  LYRICS_UPDATED: 'LYRICS_UPDATED'
 };
 
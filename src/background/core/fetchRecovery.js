@@ -0,0 +1,33 @@
+// ==================================================================================================
+// FETCH RECOVERY
+// ==================================================================================================
+
+import { state } from '../storage/state.js';
+import { LyricsService } from './lyricsService.js';
+import { TranslationService } from './translationService.js';
+
+export class FetchRecovery {
+  /**
+   * Start again whatever the previous service worker was fetching when it was stopped.
+   * The results land in the caches, and a content script asking again joins the
+   * running fetch instead of starting a second one.
+   */
+  static async resumeInterrupted() {
+    await state.restore();
+    const entries = state.takeInterruptedFetches();
+    if (!entries.length) return;
+
+    console.log(`Resuming ${entries.length} interrupted request(s)`);
+    // Lyrics first, so resumed translations share the lyrics fetch instead of racing it.
+    const ordered = [...entries].sort((a, b) => (a.kind === 'lyrics' ? 0 : 1) - (b.kind === 'lyrics' ? 0 : 1));
+
+    for (const entry of ordered) {
+      const resumed = entry.kind === 'lyrics'
+        ? LyricsService.getOrFetch(entry.songInfo, entry.forceReload)
+        : TranslationService.getOrFetch(entry.songInfo, entry.action, entry.targetLang, entry.forceReload);
+      resumed.catch(error => {
+        console.warn(`Resumed ${entry.kind} request for "${entry.songInfo.title}" failed:`, error);
+      });
+    }
+  }
+}
@@ -0,0 +1,162 @@
+// ==================================================================================================
+// LYRICS QUALITY SCORING
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsData} LyricsData */
+/** @typedef {import('../../types').LyricsScore} LyricsScore */
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+
+const { WEIGHTS, TIMELINE } = CONFIG.LYRICS_RACE;
+
+export class LyricsScorer {
+  /**
+   * Classify the sync granularity actually present in the lyrics.
+   * @param {LyricsData} lyrics
+   * @returns {'Word' | 'Line' | 'Plain'}
+   */
+  static getSyncType(lyrics) {
+    const lines = lyrics.data || [];
+    const isTimed = lines.some(line => Number(line.startTime) > 0 || Number(line.endTime) > 0);
+    if (!isTimed) return 'Plain';
+
+    const hasSyllables = lines.some(line => line.syllabus?.length > 0);
+    return lyrics.type === 'Word' && hasSyllables ? 'Word' : 'Line';
+  }
+
+  /**
+   * Score a provider result. Higher is better; reasons explain each component.
+   * @param {LyricsData} lyrics
+   * @param {SongInfo} songInfo
+   * @param {{ preferred?: boolean }} [options]
+   * @returns {LyricsScore}
+   */
+  static score(lyrics, songInfo, { preferred = false } = {}) {
+    /** @type {string[]} */
+    const reasons = [];
+    let total = 0;
+
+    const syncType = this.getSyncType(lyrics);
+    const syncPoints = WEIGHTS.SYNC[syncType];
+    total += syncPoints;
+    reasons.push(`sync ${syncType} (+${syncPoints})`);
+
+    const duration = this.scoreDuration(lyrics, songInfo, syncType);
+    total += duration.points;
+    reasons.push(duration.reason);
+
+    const text = this.scoreText(lyrics);
+    total += text.points;
+    reasons.push(text.reason);
+
+    if (preferred) {
+      total += WEIGHTS.PREFERRED;
+      reasons.push(`preferred provider (+${WEIGHTS.PREFERRED})`);
+    }
+
+    return { total, syncType, reasons };
+  }
+
+  /**
+   * Check that the lyric timeline plausibly belongs to this recording. Extended mixes,
+   * live cuts and same-titled songs tend to run well past the track end or start late.
+   * Untimed lyrics and tracks without a known duration always pass.
+   * @param {LyricsData} lyrics
+   * @param {SongInfo} songInfo
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  static validateTimeline(lyrics, songInfo) {
+    const trackDuration = Number(songInfo.duration);
+    if (!trackDuration || this.getSyncType(lyrics) === 'Plain') return { valid: true };
+
+    const lines = lyrics.data.filter(line => line.text?.trim());
+    if (!lines.length) return { valid: true };
+
+    const lastEnd = Math.max(...lines.map(line => Number(line.endTime) || Number(line.startTime) || 0));
+    const overrun = lastEnd - trackDuration;
+    if (overrun > TIMELINE.MAX_OVERRUN_S) {
+      return {
+        valid: false,
+        reason: `last line ends at ${lastEnd.toFixed(1)}s, ${overrun.toFixed(1)}s past the ${trackDuration}s track`
+      };
+    }
+
+    const firstStart = Math.min(...lines.map(line => Number(line.startTime) || 0));
+    if (firstStart > trackDuration * TIMELINE.MAX_FIRST_LINE_RATIO) {
+      return {
+        valid: false,
+        reason: `first line starts at ${firstStart.toFixed(1)}s of a ${trackDuration}s track`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Best score a provider could still reach, based on its declared capabilities.
+   * @param {LyricsProviderDefinition} provider
+   * @param {{ preferred?: boolean }} [options]
+   */
+  static maxScore(provider, { preferred = false } = {}) {
+    const { capabilities = { lineSync: true, wordSync: true } } = provider;
+    const syncPoints = capabilities.wordSync
+      ? WEIGHTS.SYNC.Word
+      : capabilities.lineSync ? WEIGHTS.SYNC.Line : WEIGHTS.SYNC.Plain;
+    return syncPoints + WEIGHTS.DURATION + WEIGHTS.TEXT + (preferred ? WEIGHTS.PREFERRED : 0);
+  }
+
+  /**
+   * Compare the reported or implied lyric duration with the track duration.
+   * @param {LyricsData} lyrics
+   * @param {SongInfo} songInfo
+   * @param {'Word' | 'Line' | 'Plain'} syncType
+   */
+  static scoreDuration(lyrics, songInfo, syncType) {
+    const trackDuration = Number(songInfo.duration);
+    const maxPoints = WEIGHTS.DURATION;
+
+    if (!trackDuration) {
+      const points = Math.round(maxPoints / 2);
+      return { points, reason: `duration unknown (+${points})` };
+    }
+
+    const reportedDuration = Number(lyrics.metadata?.duration);
+    if (reportedDuration > 0) {
+      const diff = Math.abs(reportedDuration - trackDuration);
+      const points = diff <= 2 ? maxPoints : diff <= 5 ? Math.round(maxPoints * 0.6) : diff <= 10 ? Math.round(maxPoints * 0.25) : 0;
+      return { points, reason: `reported duration off by ${diff.toFixed(1)}s (+${points})` };
+    }
+
+    if (syncType === 'Plain') {
+      const points = Math.round(maxPoints / 2);
+      return { points, reason: `no timeline to compare (+${points})` };
+    }
+
+    const lastEnd = Math.max(...lyrics.data.map(line => Number(line.endTime) || Number(line.startTime) || 0));
+    const overrun = lastEnd - trackDuration;
+    const points = overrun <= 2 ? maxPoints : overrun <= 10 ? Math.round(maxPoints / 2) : 0;
+    return { points, reason: `timeline ends at ${lastEnd.toFixed(1)}s of ${trackDuration}s (+${points})` };
+  }
+
+  /**
+   * Basic text sanity: enough non-empty lines and no mojibake.
+   * @param {LyricsData} lyrics
+   */
+  static scoreText(lyrics) {
+    const maxPoints = WEIGHTS.TEXT;
+    const lines = lyrics.data || [];
+    const nonEmpty = lines.filter(line => line.text?.trim());
+
+    if (nonEmpty.length === 0) {
+      return { points: 0, reason: 'no text (+0)' };
+    }
+
+    let points = Math.round((nonEmpty.length / lines.length) * maxPoints * 0.5);
+    if (nonEmpty.length >= 4) points += Math.round(maxPoints * 0.25);
+    if (!nonEmpty.some(line => line.text.includes('\uFFFD'))) points += Math.round(maxPoints * 0.25);
+
+    return { points, reason: `${nonEmpty.length}/${lines.length} text lines (+${points})` };
+  }
+}
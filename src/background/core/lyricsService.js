@@ -3,27 +3,58 @@
 // ==================================================================================================
 
 import { state } from '../storage/state.js';
-import { lyricsDB, localLyricsDB } from '../storage/database.js';
+import { lyricsDB } from '../storage/database.js';
+import { cacheLimiter } from '../storage/cacheLimiter.js';
+import { diagnostics, summarizeLyrics } from '../storage/diagnostics.js';
+import { lyricsPins } from '../storage/lyricsPins.js';
+import { lyricsBlocklist, fingerprintLyrics } from '../storage/lyricsBlocklist.js';
 import { SettingsManager } from '../storage/settings.js';
-import { CONFIG, PROVIDERS } from '../constants.js';
-import { DataParser } from '../utils/dataParser.js';
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
 import { Utilities } from '../utils/utilities.js';
-import { KPoeService } from '../services/kpoeService.js';
-import { LRCLibService } from '../services/lrclibService.js';
-import { YouTubeService } from '../services/youtubeService.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { LocalLyricsService } from '../services/localLyricsService.js';
+import { providerRegistry } from '../providers/index.js';
+import { LyricsScorer } from './lyricsScorer.js';
+import { SongMetadata } from '../utils/songMetadata.js';
 
 /** @typedef {import('../../types').SongInfo} SongInfo */
 /** @typedef {import('../../types').LyricsCacheEntry} LyricsCacheEntry */
+/** @typedef {import('../../types').NegativeCacheEntry} NegativeCacheEntry */
+/** @typedef {import('../../types').LyricsFetchOptions} LyricsFetchOptions */
 /** @typedef {import('../../types').LyricsData} LyricsData */
 /** @typedef {import('../../types').LyricsSettings} LyricsSettings */
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+/** @typedef {import('../../types').LyricsProviderContext} LyricsProviderContext */
+/** @typedef {import('../../types').LyricsCandidate} LyricsCandidate */
+/** @typedef {import('../../types').LyricsRejection} LyricsRejection */
+/** @typedef {import('../../types').LyricsRaceResult} LyricsRaceResult */
+/** @typedef {import('../../types').LyricsPin} LyricsPin */
+/** @typedef {import('../../types').LyricsSourceOption} LyricsSourceOption */
+/** @typedef {import('../../types').LyricsAlternative} LyricsAlternative */
+/** @typedef {import('../../types').LyricsBlock} LyricsBlock */
+/** @typedef {import('../storage/diagnostics.js').LookupTrace} LookupTrace */
+
+const NOT_FOUND_MESSAGE = 'No lyrics found from any provider';
+
+/**
+ * Results of the latest "View alternatives" lookup per song, so accepting one needs no
+ * second request. Lost when the service worker stops.
+ * @type {Map<string, LyricsAlternative[]>}
+ */
+const alternativesBySong = new Map();
 
 export class LyricsService {
-  /** @param {SongInfo} songInfo */
+  /**
+   * Built from the canonical metadata so "[MV]" or "- Topic" noise maps to the same entry.
+   * @param {SongInfo} songInfo
+   */
   static createCacheKey(songInfo) {
-    const artist = songInfo.artist || '';
-    const album = songInfo.album || '';
-    const duration = songInfo.duration || '';
-    return `${songInfo.title} - ${artist} - ${album} - ${duration}`;
+    const canonical = SongMetadata.normalize(songInfo);
+    const title = SongMetadata.toMatchKey(canonical.title);
+    const artist = SongMetadata.toMatchKey(canonical.artist);
+    const album = SongMetadata.toMatchKey(songInfo.album || '');
+    const duration = songInfo.duration ? Math.round(Number(songInfo.duration)) : '';
+    return `${title} - ${artist} - ${album} - ${duration}`;
   }
 
   /** @param {SongInfo | null | undefined} songInfo */
@@ -36,42 +67,195 @@ export class LyricsService {
   /**
    * @param {SongInfo} songInfo
    * @param {boolean} [forceReload=false]
+   * @param {LyricsFetchOptions} [options]
    * @returns {Promise<LyricsCacheEntry>}
    */
-  static async getOrFetch(songInfo, forceReload = false) {
+  static async getOrFetch(songInfo, forceReload = false, options = {}) {
     this.validateSongInfo(songInfo);
-
     const cacheKey = this.createCacheKey(songInfo);
+    const trace = this.startTrace(songInfo, cacheKey, { forceReload });
+    return trace.follow(this.lookup(songInfo, cacheKey, forceReload, options, trace), entry => summarizeLyrics(entry.lyrics));
+  }
+
+  /**
+   * Open a diagnostics log entry for a lookup of the song.
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {Record<string, any>} [details]
+   * @returns {LookupTrace}
+   */
+  static startTrace(songInfo, cacheKey, details = {}) {
+    const { title, artist, versionTags } = SongMetadata.normalize(songInfo);
+    return diagnostics.begin('lyrics', songInfo, { cacheKey, title, artist, versionTags, ...details });
+  }
 
-    if (!forceReload && state.hasCached(cacheKey)) {
+  /**
+   * Caches first, then the providers. `getOrFetch` wraps this to log the outcome.
+   * When the song has a pin, cached lyrics from another provider count as a miss,
+   * and neither local lyrics nor a remembered "not found" stand in for it.
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {boolean} forceReload
+   * @param {LyricsFetchOptions} options
+   * @param {LookupTrace} trace
+   * @returns {Promise<LyricsCacheEntry>}
+   */
+  static async lookup(songInfo, cacheKey, forceReload, { onRevalidated, tabId }, trace) {
+    await state.restore();
+    const [pin, blocks] = await Promise.all([lyricsPins.get(songInfo), lyricsBlocklist.getForSong(songInfo)]);
+    /** @param {LyricsCacheEntry} entry */
+    const isUsable = entry => this.matchesPin(entry, pin) && !this.isBlockedEntry(entry, blocks);
+
+    if (!forceReload && state.hasCached(cacheKey) && isUsable(state.getCached(cacheKey))) {
+      trace.cacheHit('memory');
       return state.getCached(cacheKey);
     }
 
     if (!forceReload) {
       const dbResult = await this.getFromDB(cacheKey);
-      if (dbResult) {
+      if (dbResult && !('notFound' in dbResult) && isUsable(dbResult)) {
+        trace.cacheHit('db');
         state.setCached(cacheKey, dbResult);
+        if (dbResult.stale) {
+          this.revalidate(songInfo, cacheKey, dbResult, onRevalidated, tabId);
+        }
         return dbResult;
       }
 
-      const localResult = await this.checkLocalLyrics(songInfo);
-      if (localResult) {
+      const localResult = !pin || pin.provider === PROVIDERS.LOCAL
+        ? await this.checkLocalLyrics(songInfo)
+        : null;
+      if (localResult && !this.isBlockedEntry(localResult, blocks)) {
+        trace.cacheHit('local');
         state.setCached(cacheKey, localResult);
         return localResult;
       }
+
+      if (dbResult && 'notFound' in dbResult && !pin) {
+        console.log(`Skipping lookup, no lyrics found recently (tried: ${dbResult.providersTried.join(', ')})`);
+        trace.cacheHit('not-found');
+        throw new ServiceError(ERROR_CODES.NOT_FOUND, NOT_FOUND_MESSAGE);
+      }
     }
 
     if (state.hasOngoingFetch(cacheKey)) {
+      trace.cacheHit('joined');
+      state.joinLookup(cacheKey, tabId);
       return state.getOngoingFetch(cacheKey);
     }
 
-    const fetchPromise = this.fetchNewLyrics(songInfo, cacheKey, forceReload);
-    state.setOngoingFetch(cacheKey, fetchPromise);
+    const fetchPromise = this.fetchNewLyrics(songInfo, cacheKey, forceReload, { tabId, trace });
+    state.setOngoingFetch(cacheKey, fetchPromise, { kind: 'lyrics', songInfo, forceReload });
     
     return fetchPromise;
   }
 
-  /** @param {string} key */
+  /**
+   * Whether a cached entry satisfies the song's pin; anything does when there is none.
+   * @param {LyricsCacheEntry} entry
+   * @param {LyricsPin | null} pin
+   */
+  static matchesPin(entry, pin) {
+    return !pin || lyricsPins.isSame(entry.lyrics?.metadata?.pin, pin);
+  }
+
+  /**
+   * Whether the user marked a cached entry's lyrics as wrong. Local lyrics carry no
+   * provider in their metadata.
+   * @param {LyricsCacheEntry} entry
+   * @param {LyricsBlock[]} blocks
+   */
+  static isBlockedEntry(entry, blocks) {
+    if (!blocks.length || !entry.lyrics?.data) return false;
+    const provider = entry.lyrics.metadata?.provider || PROVIDERS.LOCAL;
+    return lyricsBlocklist.isBlocked(blocks, fingerprintLyrics(provider, entry.lyrics));
+  }
+
+  /**
+   * Mark the song's current lyrics as wrong. Later lookups skip results with the same
+   * provider, source and text, and move on to the next candidate.
+   * @param {SongInfo} songInfo
+   * @returns {Promise<LyricsBlock>}
+   */
+  static async reportWrongLyrics(songInfo) {
+    this.validateSongInfo(songInfo);
+    const cacheKey = this.createCacheKey(songInfo);
+    await state.restore();
+
+    const entry = state.hasCached(cacheKey)
+      ? state.getCached(cacheKey)
+      : await this.getFromDB(cacheKey);
+    if (!entry || 'notFound' in entry || !entry.lyrics?.data?.length) {
+      throw new ServiceError(ERROR_CODES.NOT_FOUND, 'No lyrics are cached for this song');
+    }
+
+    const provider = entry.lyrics.metadata?.provider || PROVIDERS.LOCAL;
+    const block = await lyricsBlocklist.add(songInfo, entry.lyrics, fingerprintLyrics(provider, entry.lyrics));
+    console.log(`Blocked lyrics from "${provider}" for "${songInfo.title}"`);
+    return block;
+  }
+
+  /**
+   * Providers and KPoe sources the lyrics panel offers to pin for a song, plus the current pin.
+   * @param {SongInfo} songInfo
+   * @returns {Promise<{ options: LyricsSourceOption[], pin: LyricsPin | null }>}
+   */
+  static async getSourceOptions(songInfo) {
+    const [settings, pin] = await Promise.all([
+      SettingsManager.getLyricsSettings(),
+      lyricsPins.get(songInfo)
+    ]);
+    const sources = String(settings.lyricsSourceOrder || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    const providers = providerRegistry.getAll().filter(provider => !provider.fallback && provider.selectable !== false);
+    const available = await Promise.all(providers.map(provider => (
+      provider.isAvailable ? provider.isAvailable(settings, { songInfo }) : true
+    )));
+
+    /** @type {LyricsSourceOption[]} */
+    const options = [];
+    providers.forEach((provider, index) => {
+      if (!available[index]) return;
+
+      options.push({ provider: provider.id, source: null, label: provider.name });
+      if (provider.id === PROVIDERS.KPOE) {
+        sources.forEach(source => options.push({
+          provider: provider.id,
+          source,
+          label: `${provider.name} · ${CONFIG.KPOE_SOURCE_NAMES[source] || source}`
+        }));
+      }
+    });
+
+    return { options, pin };
+  }
+
+  /**
+   * Pin a provider (and KPoe source) for the song, or remove its pin. The next lookup
+   * of the song queries the pinned provider before the global provider order.
+   * @param {SongInfo} songInfo
+   * @param {LyricsPin | null} [pin]
+   * @returns {Promise<LyricsPin | null>}
+   */
+  static async setPin(songInfo, pin) {
+    this.validateSongInfo(songInfo);
+    if (!pin) {
+      await lyricsPins.clear(songInfo);
+      return null;
+    }
+    if (!providerRegistry.has(pin.provider)) {
+      throw new Error(`Unknown lyrics provider: ${pin.provider}`);
+    }
+    if (pin.source != null && typeof pin.source !== 'string') {
+      throw new Error('Pinned source must be a string');
+    }
+    return lyricsPins.set(songInfo, pin);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<LyricsCacheEntry | NegativeCacheEntry | null>}
+   */
   static async getFromDB(key) {
     const settings = await SettingsManager.get({ cacheStrategy: 'aggressive' });
     
@@ -87,161 +271,517 @@ export class LyricsService {
     const strategy = settings.cacheStrategy && settings.cacheStrategy in CONFIG.CACHE_EXPIRY
       ? settings.cacheStrategy
       : 'aggressive';
-    const expirationTime = CONFIG.CACHE_EXPIRY[strategy];
+    const expirationTime = result.notFound
+      ? CONFIG.NEGATIVE_CACHE_EXPIRY[strategy]
+      : CONFIG.CACHE_EXPIRY[strategy];
     const age = now - result.timestamp;
 
     if (age < expirationTime) {
-      return { lyrics: result.lyrics, version: result.version };
+      return result.notFound
+        ? { notFound: true, providersTried: result.providersTried || [], timestamp: result.timestamp }
+        : { lyrics: result.lyrics, version: result.version };
+    }
+
+    if (strategy === 'stale-while-revalidate' && !result.notFound) {
+      return { lyrics: result.lyrics, version: result.version, stale: true };
     }
 
     await lyricsDB.delete(key);
     return null;
   }
 
-  /** @param {SongInfo} songInfo */
-  static async checkLocalLyrics(songInfo) {
-    if (songInfo.songId) {
-      const directLocal = await localLyricsDB.get(songInfo.songId);
-      if (directLocal) {
-        return {
-          lyrics: DataParser.parseKPoeFormat(directLocal.lyrics),
-          version: directLocal.timestamp || songInfo.songId
-        };
-      }
-    }
+  /**
+   * Refresh a stale entry in the background. The stale entry stays in place if the
+   * refresh finds nothing, and callers only hear back when the lyrics really changed.
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {LyricsCacheEntry} staleEntry
+   * @param {LyricsFetchOptions['onRevalidated']} [onRevalidated]
+   * @param {number} [tabId]
+   */
+  static revalidate(songInfo, cacheKey, staleEntry, onRevalidated, tabId) {
+    if (state.hasOngoingFetch(cacheKey)) return;
 
-    const localLyricsList = await localLyricsDB.getAll();
-    const matched = localLyricsList.find(item =>
-      item.songInfo.title === songInfo.title &&
-      item.songInfo.artist === songInfo.artist
+    const trace = this.startTrace(songInfo, cacheKey, { revalidate: true });
+    const refresh = trace.follow(
+      this.fetchNewLyrics(songInfo, cacheKey, false, { previous: staleEntry, tabId, trace }),
+      entry => summarizeLyrics(entry.lyrics)
     );
+    state.setOngoingFetch(cacheKey, refresh);
 
-    if (matched) {
-      const fetchedLocal = await localLyricsDB.get(matched.songId);
-      if (fetchedLocal) {
-        console.log(`Found local lyrics for "${songInfo.title}"`);
-        return {
-          lyrics: DataParser.parseKPoeFormat(fetchedLocal.lyrics),
-          version: fetchedLocal.timestamp || matched.songId
-        };
-      }
-    }
+    refresh
+      .then(fresh => {
+        if (this.hasLyricsChanged(staleEntry.lyrics, fresh.lyrics)) {
+          console.log(`Revalidated lyrics for "${songInfo.title}" changed`);
+          onRevalidated?.(fresh);
+        }
+      })
+      .catch(error => {
+        console.warn(`Background refresh for "${songInfo.title}" failed, keeping cached lyrics:`, error);
+      });
+  }
 
-    return null;
+  /**
+   * Compare only what is rendered; metadata such as fetchedAt always differs.
+   * @param {LyricsData} previous
+   * @param {LyricsData} next
+   */
+  static hasLyricsChanged(previous, next) {
+    return previous.type !== next.type ||
+      JSON.stringify(previous.data) !== JSON.stringify(next.data);
+  }
+
+  /**
+   * Stop a tab's lookups for a song it moved away from, including its translations.
+   * @param {SongInfo} songInfo
+   * @param {number} [tabId]
+   * @returns {number} Number of aborted lookups.
+   */
+  static cancel(songInfo, tabId) {
+    return state.cancelLookups(this.createCacheKey(songInfo), tabId);
+  }
+
+  /** @param {SongInfo} songInfo */
+  static async checkLocalLyrics(songInfo) {
+    return LocalLyricsService.find(songInfo);
   }
 
   /**
    * @param {SongInfo} songInfo
    * @param {string} cacheKey
    * @param {boolean} forceReload
+   * @param {{ previous?: LyricsCacheEntry | null, tabId?: number, trace?: LookupTrace }} [options]
+   *   previous: entry being revalidated. A miss keeps it instead of caching "not found",
+   *   and unchanged lyrics keep its version. tabId: tab that asked, for cancellation.
+   *   trace: diagnostics entry that records each provider attempt.
    * @returns {Promise<LyricsCacheEntry>}
    */
-  static async fetchNewLyrics(songInfo, cacheKey, forceReload) {
+  static async fetchNewLyrics(songInfo, cacheKey, forceReload, { previous = null, tabId, trace } = {}) {
+    const signal = state.startLookup(cacheKey, tabId, CONFIG.TIMEOUTS.LOOKUP_MS);
     try {
       const settings = await SettingsManager.getLyricsSettings();
       /** @type {RequestInit} */
-      const fetchOptions = settings.cacheStrategy === 'none' ? { cache: 'no-store' } : {};
+      const fetchOptions = settings.cacheStrategy === 'none' ? { cache: 'no-store', signal } : { signal };
 
       const providers = this.getProviderOrder(settings);
-      
-      /** @type {LyricsData | null} */
-      let lyrics = null;
-      for (const provider of providers) {
-        lyrics = await this.fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload);
-        if (!Utilities.isEmptyLyrics(lyrics)) break;
+      const blocked = await lyricsBlocklist.getForSong(songInfo);
+      /** @type {LyricsProviderContext} */
+      const context = { settings, fetchOptions, forceReload, failures: new Map(), trace, blocked };
+
+      const regularProviders = providers.filter(p => !p.fallback);
+      const fallbackProviders = providers.filter(p => p.fallback);
+
+      const pin = await lyricsPins.get(songInfo);
+      const pinned = pin ? await this.fetchPinned(pin, songInfo, context) : null;
+      const regular = pinned || await this.raceProviders(regularProviders, songInfo, context);
+      if (!regular.winner) signal.throwIfAborted();
+      const selection = regular.winner
+        ? regular
+        : await this.raceProviders(fallbackProviders, songInfo, context);
+      const rejected = selection === regular
+        ? regular.rejected
+        : [...regular.rejected, ...selection.rejected];
+
+      const { winner, candidates } = selection;
+
+      if (!winner) {
+        // Cancelled or out of time: nothing is known about the song, so cache nothing.
+        signal.throwIfAborted();
+        // Same when offline or the preferred provider could not be asked at all: report
+        // why instead of "not found", and do not cache a miss that may not be real.
+        const preferredFailure = context.failures.get(providers[0]?.id);
+        if (navigator.onLine === false) {
+          throw new ServiceError(ERROR_CODES.NETWORK_OFFLINE, 'The browser is offline');
+        }
+        if (preferredFailure) {
+          throw ServiceError.from(preferredFailure, providers[0].id);
+        }
+        if (rejected.length) {
+          console.warn('All lyrics rejected by timeline validation:', rejected);
+        }
+        if (!previous) {
+          await this.storeNotFound(songInfo, cacheKey, settings, providers);
+        }
+        throw new ServiceError(ERROR_CODES.NOT_FOUND, NOT_FOUND_MESSAGE);
       }
 
-      // Fallback to YouTube subtitles
-      if (Utilities.isEmptyLyrics(lyrics) && songInfo.videoId && songInfo.subtitle) {
-        lyrics = await YouTubeService.fetchSubtitles(songInfo);
-      }
+      return await this.storeLyrics(songInfo, cacheKey, settings, winner, {
+        candidates,
+        rejected,
+        pin: selection === pinned ? pin : null,
+        previous,
+        trace
+      });
+
+    } finally {
+      state.deleteOngoingFetch(cacheKey);
+      state.finishLookup(cacheKey, signal);
+    }
+  }
 
-      if (!lyrics || Utilities.isEmptyLyrics(lyrics)) {
-        throw new Error('No lyrics found from any provider');
+  /**
+   * Cache the chosen lyrics for the song, in memory and (unless caching is off) in lyricsDB,
+   * with how they were selected in their metadata.
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {LyricsSettings} settings
+   * @param {LyricsCandidate} winner
+   * @param {{ candidates?: LyricsCandidate[], rejected?: LyricsRejection[], pin?: LyricsPin | null,
+   *   previous?: LyricsCacheEntry | null, trace?: LookupTrace }} [details] - pin: the song's pin,
+   *   when the lyrics came from it. previous: entry being replaced; unchanged lyrics keep its version.
+   * @returns {Promise<LyricsCacheEntry>}
+   */
+  static async storeLyrics(songInfo, cacheKey, settings, winner, { candidates = [winner], rejected = [], pin = null, previous = null, trace } = {}) {
+    const fetchedAt = Date.now();
+    /** @type {LyricsData} */
+    const lyricsWithMeta = {
+      ...winner.lyrics,
+      metadata: {
+        ...(winner.lyrics.metadata || {}),
+        fetchedAt,
+        provider: winner.provider.id,
+        pin: pin ? { provider: pin.provider, source: pin.source || null } : null,
+        selection: {
+          provider: winner.provider.id,
+          score: winner.score.total,
+          reasons: winner.score.reasons,
+          candidates: candidates.map(c => ({
+            provider: c.provider.id,
+            score: c.score.total,
+            syncType: c.score.syncType
+          })),
+          rejected
+        }
       }
+    };
+
+    // Keeping the version lets cached translations of unchanged lyrics stay valid.
+    const version = previous && !this.hasLyricsChanged(previous.lyrics, lyricsWithMeta)
+      ? previous.version
+      : fetchedAt;
+    const result = { lyrics: lyricsWithMeta, version };
+    trace?.select(lyricsWithMeta.metadata.selection);
+
+    state.setCached(cacheKey, result);
+
+    if (settings.cacheStrategy !== 'none') {
+      await lyricsDB.set({
+        key: cacheKey,
+        lyrics: lyricsWithMeta,
+        version,
+        timestamp: fetchedAt,
+        duration: songInfo.duration,
+        ...SongMetadata.toIndexFields(songInfo)
+      });
+      cacheLimiter.schedule();
+    }
 
-      const fetchedAt = Date.now();
-      const lyricsWithMeta = {
-        ...lyrics,
-        metadata: { ...(lyrics.metadata || {}), fetchedAt }
-      };
+    return result;
+  }
 
-      const version = fetchedAt;
-      const result = { lyrics: lyricsWithMeta, version };
-
-      state.setCached(cacheKey, result);
-      
-      if (settings.cacheStrategy !== 'none') {
-        await lyricsDB.set({
-          key: cacheKey,
-          lyrics: lyricsWithMeta,
-          version,
-          timestamp: fetchedAt,
-          duration: songInfo.duration
-        });
-      }
+  /**
+   * Ask every configured provider for the song, without stopping at the best result, so
+   * the lyrics panel can show what each one has. Best scoring first.
+   * @param {SongInfo} songInfo
+   * @returns {Promise<LyricsAlternative[]>}
+   */
+  static async getAlternatives(songInfo) {
+    this.validateSongInfo(songInfo);
+    const cacheKey = this.createCacheKey(songInfo);
+    const trace = this.startTrace(songInfo, cacheKey, { alternatives: true });
+    return trace.follow(
+      this.collectAlternatives(songInfo, cacheKey, trace),
+      alternatives => `${alternatives.length} alternatives`
+    );
+  }
 
-      return result;
+  /**
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {LookupTrace} trace
+   * @returns {Promise<LyricsAlternative[]>}
+   */
+  static async collectAlternatives(songInfo, cacheKey, trace) {
+    const settings = await SettingsManager.getLyricsSettings();
+    const signal = AbortSignal.timeout(CONFIG.TIMEOUTS.LOOKUP_MS);
+    /** @type {RequestInit} */
+    const fetchOptions = settings.cacheStrategy === 'none' ? { cache: 'no-store', signal } : { signal };
+    const blocked = await lyricsBlocklist.getForSong(songInfo);
+    const context = { settings, fetchOptions, forceReload: false, failures: new Map(), trace, blocked };
+
+    const providers = this.getProviderOrder(settings);
+    const results = await Promise.all(providers.map(provider => this.fetchFromProvider(provider, songInfo, context)));
+
+    const alternatives = results
+      .map((lyrics, i) => (Utilities.isEmptyLyrics(lyrics) ? null : this.describeAlternative(providers[i], lyrics, songInfo, i === 0)))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    alternativesBySong.delete(cacheKey);
+    alternativesBySong.set(cacheKey, alternatives);
+    while (alternativesBySong.size > CONFIG.ALTERNATIVES.MAX_SONGS) {
+      alternativesBySong.delete(alternativesBySong.keys().next().value);
+    }
+    return alternatives;
+  }
 
-    } finally {
-      state.deleteOngoingFetch(cacheKey);
+  /**
+   * @param {LyricsProviderDefinition} provider
+   * @param {LyricsData} lyrics
+   * @param {SongInfo} songInfo
+   * @param {boolean} preferred
+   * @returns {LyricsAlternative}
+   */
+  static describeAlternative(provider, lyrics, songInfo, preferred) {
+    const score = LyricsScorer.score(lyrics, songInfo, { preferred });
+    const timeline = LyricsScorer.validateTimeline(lyrics, songInfo);
+    return {
+      provider: provider.id,
+      providerName: provider.name,
+      syncType: score.syncType,
+      lineCount: lyrics.data.length,
+      source: lyrics.metadata?.source || null,
+      preview: lyrics.data
+        .map(line => line.text?.trim())
+        .filter(Boolean)
+        .slice(0, CONFIG.ALTERNATIVES.PREVIEW_LINES),
+      score: score.total,
+      timelineIssue: timeline.valid ? null : timeline.reason || null,
+      lyrics
+    };
+  }
+
+  /**
+   * Replace the song's cached lyrics with one provider's alternative. A pin on another
+   * provider is removed, since it would otherwise win again on the next lookup.
+   * @param {SongInfo} songInfo
+   * @param {string} providerId
+   * @returns {Promise<LyricsCacheEntry>}
+   */
+  static async acceptAlternative(songInfo, providerId) {
+    this.validateSongInfo(songInfo);
+    const provider = providerRegistry.get(providerId);
+    if (!provider) {
+      throw new Error(`Unknown lyrics provider: ${providerId}`);
+    }
+
+    const cacheKey = this.createCacheKey(songInfo);
+    const settings = await SettingsManager.getLyricsSettings();
+
+    // The list is gone when the service worker was restarted in between; ask again.
+    let lyrics = alternativesBySong.get(cacheKey)?.find(a => a.provider === providerId)?.lyrics;
+    if (!lyrics) {
+      const fetchOptions = { signal: AbortSignal.timeout(CONFIG.TIMEOUTS.LOOKUP_MS) };
+      lyrics = await this.fetchFromProvider(provider, songInfo, { settings, fetchOptions, forceReload: false });
+    }
+    if (Utilities.isEmptyLyrics(lyrics)) {
+      throw new ServiceError(ERROR_CODES.NOT_FOUND, `${provider.name} has no lyrics for this song`, { provider: providerId });
+    }
+
+    const pin = await lyricsPins.get(songInfo);
+    if (pin && pin.provider !== providerId) {
+      await lyricsPins.clear(songInfo);
+    }
+
+    const score = LyricsScorer.score(lyrics, songInfo, { preferred: true });
+    const winner = {
+      provider,
+      lyrics,
+      score: { ...score, reasons: [...score.reasons, 'chosen from alternatives'] }
+    };
+    return this.storeLyrics(songInfo, cacheKey, settings, winner, {
+      pin: pin && pin.provider === providerId ? pin : null,
+      previous: state.hasCached(cacheKey) ? state.getCached(cacheKey) : null
+    });
+  }
+
+  /**
+   * Ask only the pinned provider, restricted to the pinned KPoe source if there is one.
+   * The user chose it, so its lyrics win without timeline validation.
+   * @param {LyricsPin} pin
+   * @param {SongInfo} songInfo
+   * @param {LyricsProviderContext} context
+   * @returns {Promise<LyricsRaceResult | null>} Null when the provider found nothing.
+   */
+  static async fetchPinned(pin, songInfo, context) {
+    const provider = providerRegistry.get(pin.provider);
+    if (!provider) return null;
+
+    const settings = pin.source ? { ...context.settings, lyricsSourceOrder: pin.source } : context.settings;
+    const lyrics = await this.fetchFromProvider(provider, songInfo, { ...context, settings });
+    if (Utilities.isEmptyLyrics(lyrics)) {
+      console.warn(`Pinned provider "${pin.provider}"${pin.source ? ` (${pin.source})` : ''} found nothing, using the provider order`);
+      return null;
     }
+
+    const candidate = {
+      provider,
+      lyrics,
+      score: LyricsScorer.score(lyrics, songInfo, { preferred: true })
+    };
+    return { winner: candidate, candidates: [candidate], rejected: [] };
+  }
+
+  /**
+   * Remember that nothing was found so replays and other tabs skip the provider chain.
+   * Skipped while offline, where every provider comes back empty for the wrong reason.
+   * @param {SongInfo} songInfo
+   * @param {string} cacheKey
+   * @param {LyricsSettings} settings
+   * @param {LyricsProviderDefinition[]} providers
+   */
+  static async storeNotFound(songInfo, cacheKey, settings, providers) {
+    if (settings.cacheStrategy === 'none' || navigator.onLine === false) return;
+
+    await lyricsDB.set({
+      key: cacheKey,
+      // Stored as a number so the record lands in the notFound index.
+      notFound: 1,
+      providersTried: providers.map(p => p.id),
+      timestamp: Date.now(),
+      duration: songInfo.duration,
+      ...SongMetadata.toIndexFields(songInfo)
+    });
+    cacheLimiter.schedule();
   }
 
   /**
    * @param {LyricsSettings} settings
-   * @returns {string[]}
+   * @returns {LyricsProviderDefinition[]}
    */
   static getProviderOrder(settings) {
-    const allProviders = Object.values(PROVIDERS).filter(
-      p => p !== PROVIDERS.GOOGLE && p !== PROVIDERS.GEMINI
-    );
-    
-    const preferredProvider = allProviders.includes(settings.lyricsProvider)
-      ? settings.lyricsProvider
-      : PROVIDERS.KPOE;
-    
-    return [
-      preferredProvider,
-      ...allProviders.filter(p => p !== preferredProvider)
-    ];
+    return providerRegistry.getOrder(settings.lyricsProvider || PROVIDERS.KPOE);
   }
 
   /**
-   * @param {string} provider
+   * Query providers concurrently and keep the best scoring result. Settles once every
+   * provider answered, once the time budget ran out with at least one usable result,
+   * or as soon as no pending provider could still beat the current best.
+   * The first provider in the list is treated as the preferred one. Results whose
+   * timeline does not fit the track are rejected and do not count as a hit.
+   * Aborting the lookup signal settles the race right away.
+   * @param {LyricsProviderDefinition[]} providers
    * @param {SongInfo} songInfo
-   * @param {LyricsSettings} settings
-   * @param {RequestInit} fetchOptions
-   * @param {boolean} forceReload
+   * @param {LyricsProviderContext} context
+   * @returns {Promise<LyricsRaceResult>}
+   */
+  static raceProviders(providers, songInfo, context) {
+    if (!providers.length) return Promise.resolve({ winner: null, candidates: [], rejected: [] });
+
+    const preferredId = providers[0].id;
+    const pending = new Set(providers);
+    /** @type {LyricsCandidate[]} */
+    const candidates = [];
+    /** @type {LyricsRejection[]} */
+    const rejected = [];
+
+    return new Promise(resolve => {
+      let settled = false;
+      let budgetExpired = false;
+
+      const getBest = () => candidates.reduce(
+        (best, c) => (!best || c.score.total > best.score.total ? c : best),
+        /** @type {LyricsCandidate | null} */ (null)
+      );
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(budgetTimer);
+        resolve({ winner: getBest(), candidates: [...candidates], rejected: [...rejected] });
+      };
+
+      const checkDone = () => {
+        if (pending.size === 0) return finish();
+        const best = getBest();
+        if (!best) return;
+        if (budgetExpired) return finish();
+
+        const canBeBeaten = [...pending].some(p =>
+          LyricsScorer.maxScore(p, { preferred: p.id === preferredId }) > best.score.total
+        );
+        if (!canBeBeaten) finish();
+      };
+
+      const budgetTimer = setTimeout(() => {
+        budgetExpired = true;
+        checkDone();
+      }, CONFIG.LYRICS_RACE.TIME_BUDGET_MS);
+
+      // Settle with whatever arrived so far; providers still running are aborted too.
+      context.fetchOptions.signal?.addEventListener('abort', finish, { once: true });
+
+      providers.forEach(provider => {
+        this.fetchFromProvider(provider, songInfo, context).then(lyrics => {
+          pending.delete(provider);
+          const timeline = lyrics && LyricsScorer.validateTimeline(lyrics, songInfo);
+          if (timeline && !timeline.valid) {
+            console.warn(`Rejected lyrics from "${provider.id}": ${timeline.reason}`);
+            rejected.push({ provider: provider.id, reason: timeline.reason });
+          } else if (!Utilities.isEmptyLyrics(lyrics)) {
+            candidates.push({
+              provider,
+              lyrics,
+              score: LyricsScorer.score(lyrics, songInfo, { preferred: provider.id === preferredId })
+            });
+          }
+          checkDone();
+        });
+      });
+    });
+  }
+
+  /**
+   * Try the provider with progressively relaxed metadata until one variant hits, up to the
+   * provider's variant limit. Providers that do not look up by metadata, or that already
+   * search fuzzily, only see the original song info.
+   * Results the user marked as wrong for the song count as a miss.
+   * @param {LyricsProviderDefinition} provider
+   * @param {SongInfo} songInfo
+   * @param {LyricsProviderContext} context
    * @returns {Promise<LyricsData | null>}
    */
-  static async fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload) {
-    switch (provider) {
-      case PROVIDERS.KPOE:
-        return KPoeService.fetch(songInfo, settings.lyricsSourceOrder, forceReload, fetchOptions);
-      
-      case PROVIDERS.CUSTOM_KPOE:
-        if (settings.customKpoeUrl) {
-          return KPoeService.fetchCustom(
-            songInfo,
-            settings.customKpoeUrl,
-            settings.lyricsSourceOrder,
-            forceReload,
-            fetchOptions
-          );
+  static async fetchFromProvider(provider, songInfo, context) {
+    const variants = provider.relaxedQueries === false
+      ? [songInfo]
+      : SongMetadata.getQueryVariants(songInfo)
+        .slice(0, provider.maxQueryVariants ?? CONFIG.QUERY_VARIANTS.MAX_PER_PROVIDER);
+
+    for (const variant of variants) {
+      const attempt = context.trace?.startAttempt(provider.id, variant);
+      const attemptContext = attempt
+        ? { ...context, fetchOptions: { ...context.fetchOptions, onRequest: context.trace.requestObserver(attempt) } }
+        : context;
+
+      try {
+        const lyrics = await provider.fetch(variant, attemptContext);
+        if (!Utilities.isEmptyLyrics(lyrics) && lyricsBlocklist.isBlocked(context.blocked, fingerprintLyrics(provider.id, lyrics))) {
+          // Marked as wrong by the user; a relaxed query may still find the right song.
+          console.log(`Skipping lyrics from "${provider.id}" the user marked as wrong`);
+          if (attempt) context.trace.finishAttempt(attempt, `blocked: ${summarizeLyrics(lyrics)}`);
+          continue;
+        }
+        if (attempt) context.trace.finishAttempt(attempt, summarizeLyrics(lyrics));
+        if (!Utilities.isEmptyLyrics(lyrics)) {
+          if (variant !== songInfo) {
+            console.log(`Provider "${provider.id}" matched relaxed query "${variant.title}" by ${variant.artist}`);
+          }
+          return lyrics;
+        }
+      } catch (error) {
+        const message = /** @type {Error} */ (error)?.message || String(error);
+        if (attempt) context.trace.finishAttempt(attempt, `failed: ${message}`);
+        // Only the lookup's own signal means "stopped"; a request that timed out on its
+        // own is a failure of the provider.
+        if (context.fetchOptions?.signal?.aborted) {
+          console.warn(`Lyrics provider "${provider.id}" stopped: ${message}`);
+        } else {
+          console.error(`Lyrics provider "${provider.id}" failed:`, error);
+          context.failures?.set(provider.id, ServiceError.from(error, provider.id));
         }
         return null;
-      
-      case PROVIDERS.LRCLIB:
-        return LRCLibService.fetch(songInfo, fetchOptions);
-      
-      case PROVIDERS.LOCAL:
-        const localResult = await this.checkLocalLyrics(songInfo);
-        return localResult?.lyrics || null;
-      
-      default:
-        return null;
+      }
     }
+    return null;
   }
 }
-
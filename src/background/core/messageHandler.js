@@ -2,12 +2,22 @@
 // MESSAGE HANDLER
 // ==================================================================================================
 
-import { MESSAGE_TYPES } from '../constants.js';
+import { CONFIG, MESSAGE_TYPES } from '../constants.js';
 import { state } from '../storage/state.js';
 import { lyricsDB, translationsDB, localLyricsDB } from '../storage/database.js';
 import { LyricsService } from './lyricsService.js';
 import { TranslationService } from './translationService.js';
 import { SponsorBlockService } from '../services/sponsorblockService.js';
+import { KPoeService } from '../services/kpoeService.js';
+import { LocalLyricsService } from '../services/localLyricsService.js';
+import { BackupService } from '../services/backupService.js';
+import { providerRegistry } from '../providers/index.js';
+import { mirrorHealth } from '../storage/mirrorHealth.js';
+import { cacheLimiter } from '../storage/cacheLimiter.js';
+import { diagnostics } from '../storage/diagnostics.js';
+import { lyricsBlocklist } from '../storage/lyricsBlocklist.js';
+import { Rpc, RpcError } from './rpc.js';
+import { ServiceError } from '../utils/serviceError.js';
 
 /** @typedef {import('../../types').BackgroundMessage} BackgroundMessage */
 /** @typedef {import('../../types').SendResponse} SendResponse */
@@ -15,60 +25,97 @@ import { SponsorBlockService } from '../services/sponsorblockService.js';
 
 export class MessageHandler {
   /**
-   * Handle incoming background messages.
+   * Handle incoming background messages. Requests are checked against their schema
+   * first; every response echoes the request id, and failures carry an error code.
    * @param {BackgroundMessage} message
    * @param {any} sender
    * @param {SendResponse} sendResponse
    */
   static handle(message, sender, sendResponse) {
-    if (!message || !message.type) {
-      console.warn("Invalid message received:", message);
-      sendResponse({ success: false, error: "Invalid message: missing type" });
+    const requestId = typeof message?.requestId === 'string' ? message.requestId : Rpc.createRequestId();
+
+    try {
+      Rpc.validate(message, sender);
+    } catch (error) {
+      console.warn(`[${requestId}] Rejected message:`, this.toErrorMessage(error), message);
+      sendResponse(Rpc.toErrorResponse(error, requestId));
       return false;
     }
 
+    const respond = Rpc.createResponder(requestId, sendResponse);
+
     const handlers = {
-      [MESSAGE_TYPES.FETCH_LYRICS]: () => this.fetchLyrics(message, sendResponse),
-      [MESSAGE_TYPES.RESET_CACHE]: () => this.resetCache(sendResponse),
-      [MESSAGE_TYPES.GET_CACHED_SIZE]: () => this.getCacheSize(sendResponse),
-      [MESSAGE_TYPES.TRANSLATE_LYRICS]: () => this.translateLyrics(message, sendResponse),
-      [MESSAGE_TYPES.FETCH_SPONSOR_SEGMENTS]: () => this.fetchSponsorSegments(message, sendResponse),
-      [MESSAGE_TYPES.UPLOAD_LOCAL_LYRICS]: () => this.uploadLocalLyrics(message, sendResponse),
-      [MESSAGE_TYPES.GET_LOCAL_LYRICS_LIST]: () => this.getLocalLyricsList(sendResponse),
-      [MESSAGE_TYPES.DELETE_LOCAL_LYRICS]: () => this.deleteLocalLyrics(message, sendResponse),
-      [MESSAGE_TYPES.FETCH_LOCAL_LYRICS]: () => this.fetchLocalLyrics(message, sendResponse),
-      [MESSAGE_TYPES.UPDATE_LOCAL_LYRICS]: () => this.updateLocalLyrics(message, sendResponse)
+      [MESSAGE_TYPES.FETCH_LYRICS]: () => this.fetchLyrics(message, respond, sender),
+      [MESSAGE_TYPES.RESET_CACHE]: () => this.resetCache(respond),
+      [MESSAGE_TYPES.GET_CACHED_SIZE]: () => this.getCacheSize(respond),
+      [MESSAGE_TYPES.TRANSLATE_LYRICS]: () => this.translateLyrics(message, respond, sender),
+      [MESSAGE_TYPES.FETCH_SPONSOR_SEGMENTS]: () => this.fetchSponsorSegments(message, respond),
+      [MESSAGE_TYPES.UPLOAD_LOCAL_LYRICS]: () => this.uploadLocalLyrics(message, respond),
+      [MESSAGE_TYPES.GET_LOCAL_LYRICS_LIST]: () => this.getLocalLyricsList(respond),
+      [MESSAGE_TYPES.DELETE_LOCAL_LYRICS]: () => this.deleteLocalLyrics(message, respond),
+      [MESSAGE_TYPES.FETCH_LOCAL_LYRICS]: () => this.fetchLocalLyrics(message, respond),
+      [MESSAGE_TYPES.UPDATE_LOCAL_LYRICS]: () => this.updateLocalLyrics(message, respond),
+      [MESSAGE_TYPES.GET_LYRICS_PROVIDERS]: () => this.getLyricsProviders(respond),
+      [MESSAGE_TYPES.GET_KPOE_MIRROR_STATUS]: () => this.getKpoeMirrorStatus(respond),
+      [MESSAGE_TYPES.TEST_KPOE_MIRROR]: () => this.testKpoeMirror(message, respond),
+      [MESSAGE_TYPES.GET_LARGEST_CACHE_ENTRIES]: () => this.getLargestCacheEntries(respond),
+      [MESSAGE_TYPES.EXPORT_BACKUP]: () => this.exportBackup(message, respond),
+      [MESSAGE_TYPES.PREVIEW_BACKUP]: () => this.previewBackup(message, respond),
+      [MESSAGE_TYPES.IMPORT_BACKUP]: () => this.importBackup(message, respond),
+      [MESSAGE_TYPES.CANCEL_FETCH]: () => this.cancelFetch(message, respond, sender),
+      [MESSAGE_TYPES.SETTINGS_CHANGED]: () => this.settingsChanged(respond),
+      [MESSAGE_TYPES.OPEN_SETTINGS]: () => this.openSettings(message, respond),
+      [MESSAGE_TYPES.GET_DIAGNOSTICS]: () => this.getDiagnostics(respond),
+      [MESSAGE_TYPES.GET_LYRICS_SOURCES]: () => this.getLyricsSources(message, respond),
+      [MESSAGE_TYPES.PIN_LYRICS_SOURCE]: () => this.pinLyricsSource(message, respond),
+      [MESSAGE_TYPES.GET_LYRICS_ALTERNATIVES]: () => this.getLyricsAlternatives(message, respond),
+      [MESSAGE_TYPES.ACCEPT_LYRICS_ALTERNATIVE]: () => this.acceptLyricsAlternative(message, respond),
+      [MESSAGE_TYPES.REPORT_WRONG_LYRICS]: () => this.reportWrongLyrics(message, respond),
+      [MESSAGE_TYPES.GET_LYRICS_BLOCKLIST]: () => this.getLyricsBlocklist(respond),
+      [MESSAGE_TYPES.CLEAR_LYRICS_BLOCKLIST]: () => this.clearLyricsBlocklist(message, respond),
+      [MESSAGE_TYPES.CLEAR_DIAGNOSTICS]: () => this.clearDiagnostics(respond)
     };
 
     const handler = handlers[message.type];
-    
+
     if (handler) {
       handler().catch(error => {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        console.error(`Error handling ${message.type}:`, error);
-        sendResponse({ success: false, error: errorMessage });
+        console.error(`[${requestId}] Error handling ${message.type}:`, error);
+        respond({ success: false, error: this.toErrorMessage(error) });
       });
       return true;
     }
 
-    console.warn("Unknown message type:", message.type);
-    sendResponse({ success: false, error: `Unknown message type: ${message.type}` });
+    console.warn(`[${requestId}] No handler for message type:`, message.type);
+    sendResponse(Rpc.toErrorResponse(new RpcError('UNKNOWN_TYPE', `Unknown message type: ${message.type}`), requestId));
     return false;
   }
 
   /**
-   * Fetch lyrics. Expects message.songInfo to be present.
+   * Fetch lyrics. Expects message.songInfo to be present. With stale-while-revalidate,
+   * the sender tab is told when a background refresh changed the lyrics.
    * @param {BackgroundMessage} message
    * @param {SendResponse} sendResponse
+   * @param {any} [sender]
    */
-  static async fetchLyrics(message, sendResponse) {
+  static async fetchLyrics(message, sendResponse, sender) {
     try {
-      const { lyrics } = await LyricsService.getOrFetch(message.songInfo, message.forceReload);
+      const tabId = sender?.tab?.id;
+      const { lyrics } = await LyricsService.getOrFetch(message.songInfo, message.forceReload, {
+        tabId,
+        onRevalidated: entry => {
+          if (tabId == null) return;
+          this.sendToTab(tabId, {
+            type: MESSAGE_TYPES.LYRICS_UPDATED,
+            songInfo: message.songInfo,
+            lyrics: entry.lyrics
+          });
+        }
+      });
       sendResponse({ success: true, lyrics, metadata: message.songInfo });
     } catch (error) {
-      const errorMessage = this.toErrorMessage(error);
       console.error(`Failed to fetch lyrics for "${message.songInfo?.title}":`, error);
-      sendResponse({ success: false, error: errorMessage, metadata: message.songInfo });
+      sendResponse({ ...this.toServiceFailure(error), metadata: message.songInfo });
     }
   }
 
@@ -76,23 +123,105 @@ export class MessageHandler {
    * Translate lyrics via the configured translation provider.
    * @param {BackgroundMessage} message
    * @param {SendResponse} sendResponse
+   * @param {any} [sender]
    */
-  static async translateLyrics(message, sendResponse) {
+  static async translateLyrics(message, sendResponse, sender) {
     try {
       const translatedLyrics = await TranslationService.getOrFetch(
         message.songInfo,
         message.action,
         message.targetLang,
-        message.forceReload
+        message.forceReload,
+        { tabId: sender?.tab?.id }
       );
       sendResponse({ success: true, translatedLyrics });
     } catch (error) {
-      const errorMessage = this.toErrorMessage(error);
       console.error("Translation error:", error);
+      sendResponse(this.toServiceFailure(error));
+    }
+  }
+
+  /**
+   * Stop lookups for a song the sender tab moved away from. Lookups another tab is
+   * still waiting on keep running.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   * @param {any} [sender]
+   */
+  static async cancelFetch(message, sendResponse, sender) {
+    try {
+      LyricsService.validateSongInfo(message.songInfo);
+      const cancelled = LyricsService.cancel(message.songInfo, sender?.tab?.id);
+      sendResponse({ success: true, cancelled });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error cancelling fetch:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Providers and sources the lyrics panel can pin for the song, and its current pin.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async getLyricsSources(message, sendResponse) {
+    try {
+      const { options, pin } = await LyricsService.getSourceOptions(message.songInfo);
+      sendResponse({ success: true, options, pin });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error listing lyrics sources:", error);
       sendResponse({ success: false, error: errorMessage });
     }
   }
 
+  /**
+   * Pin a provider and source for the song, or clear its pin when `pin` is missing.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async pinLyricsSource(message, sendResponse) {
+    try {
+      const pin = await LyricsService.setPin(message.songInfo, message.pin);
+      sendResponse({ success: true, pin });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error pinning lyrics source:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Every configured provider's lyrics for the song, for the "View alternatives" panel.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async getLyricsAlternatives(message, sendResponse) {
+    try {
+      const alternatives = await LyricsService.getAlternatives(message.songInfo);
+      sendResponse({ success: true, alternatives });
+    } catch (error) {
+      console.error("Error collecting lyrics alternatives:", error);
+      sendResponse(this.toServiceFailure(error));
+    }
+  }
+
+  /**
+   * Replace the song's cached lyrics with the chosen provider's alternative.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async acceptLyricsAlternative(message, sendResponse) {
+    try {
+      const { lyrics, version } = await LyricsService.acceptAlternative(message.songInfo, message.provider);
+      sendResponse({ success: true, lyrics, version });
+    } catch (error) {
+      console.error("Error accepting lyrics alternative:", error);
+      sendResponse(this.toServiceFailure(error));
+    }
+  }
+
   static async fetchSponsorSegments(message, sendResponse) {
     try {
       const segments = await SponsorBlockService.fetch(message.videoId);
@@ -121,15 +250,21 @@ export class MessageHandler {
 
   static async getCacheSize(sendResponse) {
     try {
-      const [lyricsStats, translationsStats] = await Promise.all([
-        lyricsDB.estimateSize(),
-        translationsDB.estimateSize()
+      // Apply a cap that was just lowered before reporting usage.
+      await cacheLimiter.enforce();
+      const [lyricsStats, translationsStats, maxBytes] = await Promise.all([
+        lyricsDB.estimateSize('notFound'),
+        translationsDB.estimateSize(),
+        cacheLimiter.getMaxBytes()
       ]);
       
       sendResponse({
         success: true,
-        sizeKB: lyricsStats.sizeKB + translationsStats.sizeKB,
-        cacheCount: lyricsStats.count + translationsStats.count
+        sizeKB: lyricsStats.sizeKB + lyricsStats.separate.sizeKB + translationsStats.sizeKB,
+        cacheCount: lyricsStats.count + translationsStats.count,
+        negativeCount: lyricsStats.separate.count,
+        negativeSizeKB: lyricsStats.separate.sizeKB,
+        maxSizeKB: maxBytes / 1024
       });
     } catch (error) {
       const errorMessage = this.toErrorMessage(error);
@@ -138,6 +273,168 @@ export class MessageHandler {
     }
   }
 
+  /** @param {SendResponse} sendResponse */
+  static async getLargestCacheEntries(sendResponse) {
+    try {
+      const entries = await cacheLimiter.getLargestEntries();
+      sendResponse({ success: true, entries });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Get largest cache entries error:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Recent lookups for the settings page's diagnostics section, newest first.
+   * @param {SendResponse} sendResponse
+   */
+  static async getDiagnostics(sendResponse) {
+    try {
+      const entries = await diagnostics.getEntries();
+      sendResponse({ success: true, entries });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Get diagnostics error:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /** @param {SendResponse} sendResponse */
+  static async clearDiagnostics(sendResponse) {
+    try {
+      await diagnostics.clear();
+      sendResponse({ success: true });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Clear diagnostics error:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * "These lyrics are wrong" from the lyrics panel: block the song's current lyrics.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async reportWrongLyrics(message, sendResponse) {
+    try {
+      const block = await LyricsService.reportWrongLyrics(message.songInfo);
+      sendResponse({ success: true, block });
+    } catch (error) {
+      console.error("Error reporting wrong lyrics:", error);
+      sendResponse(this.toServiceFailure(error));
+    }
+  }
+
+  /**
+   * Lyrics marked as wrong, for review in settings, newest first.
+   * @param {SendResponse} sendResponse
+   */
+  static async getLyricsBlocklist(sendResponse) {
+    try {
+      const blocks = await lyricsBlocklist.getAll();
+      sendResponse({ success: true, blocks });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Get lyrics blocklist error:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Remove one blocked result by id, or all of them when no id is given.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async clearLyricsBlocklist(message, sendResponse) {
+    try {
+      if (message.id) {
+        await lyricsBlocklist.remove(message.id);
+      } else {
+        await lyricsBlocklist.clear();
+      }
+      sendResponse({ success: true });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Clear lyrics blocklist error:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Settings were saved from a page or content script; the cache cap may have changed.
+   * @param {SendResponse} sendResponse
+   */
+  static async settingsChanged(sendResponse) {
+    cacheLimiter.schedule();
+    sendResponse({ success: true });
+  }
+
+  /**
+   * Open the settings page, optionally on one section. Content scripts cannot do this themselves.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async openSettings(message, sendResponse) {
+    const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+    const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
+    const hash = message.section ? `#${encodeURIComponent(message.section)}` : '';
+    await tabs.create({ url: runtime.getURL(`src/settings/index.html${hash}`) });
+    sendResponse({ success: true });
+  }
+
+  /**
+   * Build a backup file of settings and stored data.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async exportBackup(message, sendResponse) {
+    try {
+      const backup = await BackupService.export({
+        includeLyricsCache: message.includeLyricsCache,
+        includeSecrets: message.includeSecrets
+      });
+      sendResponse({ success: true, backup });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error exporting backup:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Validate a backup file and report what importing it would change.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async previewBackup(message, sendResponse) {
+    try {
+      const preview = await BackupService.preview(message.backup);
+      sendResponse({ success: true, preview });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error previewing backup:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Restore a backup file, merging with or replacing the current data.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async importBackup(message, sendResponse) {
+    try {
+      const summary = await BackupService.import(message.backup, message.mode);
+      sendResponse({ success: true, summary });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error importing backup:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
   /**
    * Upload user-provided local lyrics for the current song.
    * @param {BackgroundMessage} message
@@ -146,12 +443,9 @@ export class MessageHandler {
   static async uploadLocalLyrics(message, sendResponse) {
     try {
       const songId = `${message.songInfo.title}-${message.songInfo.artist}-${Date.now()}`;
-      await localLyricsDB.set({
-        songId,
-        songInfo: message.songInfo,
-        lyrics: message.jsonLyrics,
-        timestamp: Date.now()
-      });
+      await localLyricsDB.set(
+        LocalLyricsService.createRecord(songId, message.songInfo, message.jsonLyrics, Date.now())
+      );
       sendResponse({ success: true, message: "Local lyrics uploaded successfully", songId });
     } catch (error) {
       const errorMessage = this.toErrorMessage(error);
@@ -184,12 +478,12 @@ export class MessageHandler {
         return;
       }
 
-      const updatedRecord = {
-        songId: message.songId,
-        songInfo: message.songInfo || existingLyrics.songInfo,
-        lyrics: message.jsonLyrics,
-        timestamp: existingLyrics.timestamp || Date.now()
-      };
+      const updatedRecord = LocalLyricsService.createRecord(
+        message.songId,
+        message.songInfo || existingLyrics.songInfo,
+        message.jsonLyrics,
+        existingLyrics.timestamp || Date.now()
+      );
 
       await localLyricsDB.set(updatedRecord);
       sendResponse({
@@ -245,9 +539,79 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * List registered lyrics providers for the settings page.
+   * @param {SendResponse} sendResponse
+   */
+  static async getLyricsProviders(sendResponse) {
+    sendResponse({ success: true, providers: providerRegistry.describe() });
+  }
+
+  /** @param {SendResponse} sendResponse */
+  static async getKpoeMirrorStatus(sendResponse) {
+    try {
+      const mirrors = await mirrorHealth.getStatus();
+      sendResponse({ success: true, mirrors });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error getting KPoe mirror status:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Probe a single KPoe mirror on demand. Expects message.url.
+   * @param {BackgroundMessage} message
+   * @param {SendResponse} sendResponse
+   */
+  static async testKpoeMirror(message, sendResponse) {
+    if (!CONFIG.KPOE_SERVERS.includes(message.url)) {
+      sendResponse({ success: false, error: "Unknown KPoe mirror" });
+      return;
+    }
+
+    try {
+      const result = await KPoeService.testMirror(message.url);
+      const [status] = await mirrorHealth.getStatus([message.url]);
+      sendResponse({ success: true, result, status });
+    } catch (error) {
+      const errorMessage = this.toErrorMessage(error);
+      console.error("Error testing KPoe mirror:", error);
+      sendResponse({ success: false, error: errorMessage });
+    }
+  }
+
+  /**
+   * Push a message to the content script of one tab. The tab may have navigated
+   * away or closed in the meantime, which is not an error.
+   * @param {number} tabId
+   * @param {object} message
+   */
+  static async sendToTab(tabId, message) {
+    try {
+      if (typeof browser !== 'undefined' && browser.tabs?.sendMessage) {
+        await browser.tabs.sendMessage(tabId, message);
+      } else {
+        await chrome.tabs.sendMessage(tabId, message);
+      }
+    } catch (error) {
+      console.warn(`Could not notify tab ${tabId}:`, this.toErrorMessage(error));
+    }
+  }
+
   /** @param {unknown} error */
   static toErrorMessage(error) {
     return error instanceof Error ? error.message : String(error);
   }
+
+  /**
+   * Failure response for lyrics and translation requests, with the classified cause
+   * in `code` so the lyrics panel can explain it.
+   * @param {unknown} error
+   */
+  static toServiceFailure(error) {
+    const { code, provider } = ServiceError.from(error);
+    return { success: false, error: this.toErrorMessage(error), code, provider };
+  }
 }
 
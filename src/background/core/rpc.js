@@ -0,0 +1,208 @@
+// ==================================================================================================
+// MESSAGE RPC
+// ==================================================================================================
+
+import { ServiceError } from '../utils/serviceError.js';
+
+/** @typedef {import('../../types').RpcMessageType} RpcMessageType */
+/** @typedef {import('../../types').RpcFieldKind} RpcFieldKind */
+/** @typedef {import('../../types').RpcErrorCode} RpcErrorCode */
+/** @typedef {import('../../types').RpcErrorResponse} RpcErrorResponse */
+/** @typedef {import('../../types').SendResponse} SendResponse */
+/**
+ * @template {RpcMessageType} K
+ * @typedef {import('../../types').RpcSchema<K>} RpcSchema
+ */
+
+/**
+ * Who may send each request and what it must carry. The field lists are checked
+ * against RpcRequestMap in types.d.ts, so the two cannot drift apart.
+ * @type {{ [K in RpcMessageType]: RpcSchema<K> }}
+ */
+export const MESSAGE_SCHEMAS = {
+  FETCH_LYRICS: { from: 'any', fields: { songInfo: 'songInfo', forceReload: 'boolean?' } },
+  RESET_CACHE: { from: 'extension', fields: {} },
+  GET_CACHED_SIZE: { from: 'extension', fields: {} },
+  TRANSLATE_LYRICS: {
+    from: 'any',
+    fields: { songInfo: 'songInfo', action: 'string', targetLang: 'string?', forceReload: 'boolean?' }
+  },
+  FETCH_SPONSOR_SEGMENTS: { from: 'any', fields: { videoId: 'string' } },
+  UPLOAD_LOCAL_LYRICS: { from: 'extension', fields: { songInfo: 'songInfo', jsonLyrics: 'object' } },
+  GET_LOCAL_LYRICS_LIST: { from: 'extension', fields: {} },
+  DELETE_LOCAL_LYRICS: { from: 'extension', fields: { songId: 'string' } },
+  FETCH_LOCAL_LYRICS: { from: 'extension', fields: { songId: 'string' } },
+  UPDATE_LOCAL_LYRICS: {
+    from: 'extension',
+    fields: { songId: 'string', songInfo: 'songInfo?', jsonLyrics: 'object' }
+  },
+  GET_LYRICS_PROVIDERS: { from: 'extension', fields: {} },
+  GET_KPOE_MIRROR_STATUS: { from: 'extension', fields: {} },
+  TEST_KPOE_MIRROR: { from: 'extension', fields: { url: 'string' } },
+  GET_LARGEST_CACHE_ENTRIES: { from: 'extension', fields: {} },
+  EXPORT_BACKUP: { from: 'extension', fields: { includeLyricsCache: 'boolean?', includeSecrets: 'boolean?' } },
+  PREVIEW_BACKUP: { from: 'extension', fields: { backup: 'object' } },
+  IMPORT_BACKUP: { from: 'extension', fields: { backup: 'object', mode: 'string' } },
+  CANCEL_FETCH: { from: 'any', fields: { songInfo: 'songInfo' } },
+  SETTINGS_CHANGED: { from: 'any', fields: { settings: 'object' } },
+  OPEN_SETTINGS: { from: 'any', fields: { section: 'string?' } },
+  GET_DIAGNOSTICS: { from: 'extension', fields: {} },
+  GET_LYRICS_SOURCES: { from: 'any', fields: { songInfo: 'songInfo' } },
+  PIN_LYRICS_SOURCE: { from: 'any', fields: { songInfo: 'songInfo', pin: 'object?' } },
+  GET_LYRICS_ALTERNATIVES: { from: 'any', fields: { songInfo: 'songInfo' } },
+  ACCEPT_LYRICS_ALTERNATIVE: { from: 'any', fields: { songInfo: 'songInfo', provider: 'string' } },
+  REPORT_WRONG_LYRICS: { from: 'any', fields: { songInfo: 'songInfo' } },
+  GET_LYRICS_BLOCKLIST: { from: 'extension', fields: {} },
+  CLEAR_LYRICS_BLOCKLIST: { from: 'extension', fields: { id: 'string?' } },
+  CLEAR_DIAGNOSTICS: { from: 'extension', fields: {} }
+};
+
+export class RpcError extends Error {
+  /**
+   * @param {RpcErrorCode} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+function getRuntime() {
+  return typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+}
+
+/** @type {RegExp[] | null} */
+let contentScriptPatterns = null;
+
+/**
+ * Turn a manifest match pattern such as "*://*.music.youtube.com/*" into a RegExp.
+ * @param {string} pattern
+ */
+function matchPatternToRegExp(pattern) {
+  const [, scheme, host, path] = /^(\*|https?):\/\/([^/]+)(\/.*)$/.exec(pattern) || [];
+  if (!scheme) return /$^/;
+  const escape = (/** @type {string} */ text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const schemePart = scheme === '*' ? 'https?' : scheme;
+  const hostPart = host.startsWith('*.')
+    ? `([^/]+\\.)?${escape(host.slice(2))}`
+    : escape(host).replace(/\*/g, '[^/]*');
+  const pathPart = escape(path).replace(/\*/g, '.*');
+  return new RegExp(`^${schemePart}://${hostPart}${pathPart}$`);
+}
+
+export class Rpc {
+  /**
+   * Reject anything that is not a well-formed request from a sender we know.
+   * @param {any} message
+   * @param {any} sender
+   * @throws {RpcError}
+   */
+  static validate(message, sender) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      throw new RpcError('INVALID_MESSAGE', 'Invalid message: missing type');
+    }
+
+    const schema = MESSAGE_SCHEMAS[/** @type {RpcMessageType} */ (message.type)];
+    if (!schema) {
+      throw new RpcError('UNKNOWN_TYPE', `Unknown message type: ${message.type}`);
+    }
+
+    const origin = this.classifySender(sender);
+    if (!origin) {
+      throw new RpcError('FORBIDDEN_SENDER', `Rejected ${message.type} from an unknown sender`);
+    }
+    if (schema.from === 'extension' && origin !== 'extension') {
+      throw new RpcError('FORBIDDEN_SENDER', `${message.type} can only be sent from extension pages`);
+    }
+
+    Object.entries(schema.fields).forEach(([field, spec]) => {
+      const optional = spec.endsWith('?');
+      const kind = /** @type {RpcFieldKind} */ (optional ? spec.slice(0, -1) : spec);
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (optional) return;
+        throw new RpcError('INVALID_PAYLOAD', `${message.type}: "${field}" is required`);
+      }
+      if (!this.matchesKind(value, kind)) {
+        const expected = kind === 'songInfo' ? 'song info with a title' : `a${kind === 'object' || kind === 'array' ? 'n' : ''} ${kind}`;
+        throw new RpcError('INVALID_PAYLOAD', `${message.type}: "${field}" must be ${expected}`);
+      }
+    });
+  }
+
+  /**
+   * @param {unknown} value
+   * @param {RpcFieldKind} kind
+   */
+  static matchesKind(value, kind) {
+    switch (kind) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'songInfo': {
+        const song = /** @type {any} */ (value);
+        return this.matchesKind(value, 'object') &&
+          typeof song.title === 'string' && song.title.trim() !== '' &&
+          (song.artist === undefined || typeof song.artist === 'string');
+      }
+      default: return false;
+    }
+  }
+
+  /**
+   * "extension" for the extension's own pages, "content" for its content scripts on a
+   * site listed in the manifest, null for anything else.
+   * @param {any} sender
+   * @returns {'extension' | 'content' | null}
+   */
+  static classifySender(sender) {
+    const runtime = getRuntime();
+    if (!sender || sender.id !== runtime.id) return null;
+
+    const url = sender.url || sender.tab?.url || '';
+    if (url.startsWith(runtime.getURL(''))) return 'extension';
+
+    if (!contentScriptPatterns) {
+      const contentScripts = runtime.getManifest().content_scripts || [];
+      contentScriptPatterns = contentScripts
+        .flatMap((/** @type {any} */ script) => script.matches || [])
+        .map(matchPatternToRegExp);
+    }
+    return sender.tab && contentScriptPatterns.some(pattern => pattern.test(url)) ? 'content' : null;
+  }
+
+  /** Id that ties a request to its response and to background log lines. */
+  static createRequestId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Wrap sendResponse so every reply echoes the request id and every failure has a code.
+   * @param {string} requestId
+   * @param {SendResponse} sendResponse
+   * @returns {SendResponse}
+   */
+  static createResponder(requestId, sendResponse) {
+    return response => sendResponse(response?.success === false
+      ? { code: 'HANDLER_ERROR', ...response, requestId }
+      : { ...response, requestId });
+  }
+
+  /**
+   * @param {unknown} error
+   * @param {string} requestId
+   * @returns {RpcErrorResponse}
+   */
+  static toErrorResponse(error, requestId) {
+    if (error instanceof RpcError) {
+      return { success: false, error: error.message, code: error.code, requestId };
+    }
+    const { message, code, provider } = ServiceError.from(error);
+    return { success: false, error: message, code, provider, requestId };
+  }
+}
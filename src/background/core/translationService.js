@@ -4,12 +4,18 @@
 
 import { state } from '../storage/state.js';
 import { translationsDB } from '../storage/database.js';
+import { cacheLimiter } from '../storage/cacheLimiter.js';
+import { diagnostics, summarizeLyrics } from '../storage/diagnostics.js';
 import { SettingsManager } from '../storage/settings.js';
-import { PROVIDERS } from '../constants.js';
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
 import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { LanguageDetector } from '../utils/languageDetector.js';
 import { LyricsService } from './lyricsService.js';
 import { GoogleService } from '../services/googleService.js';
+import { LibreTranslateService } from '../services/libreTranslateService.js';
 import { GeminiService } from '../gemini/geminiService.js';
+import { OpenAiService } from '../openai/openAiService.js';
 
 /** @typedef {import('../../types').SongInfo} SongInfo */
 /** @typedef {import('../../types').LyricsData} LyricsData */
@@ -18,6 +24,17 @@ import { GeminiService } from '../gemini/geminiService.js';
 /** @typedef {import('../../types').TranslationMeta} TranslationMeta */
 /** @typedef {import('../../types').TranslationResult} TranslationResult */
 /** @typedef {import('../../types').TranslationSettings} TranslationSettings */
+/** @typedef {import('../../types').TranslationProgress} TranslationProgress */
+/** @typedef {import('../../types').TranslationProgressListener} TranslationProgressListener */
+/** @typedef {import('../../types').LanguageDetection} LanguageDetection */
+/** @typedef {import('../storage/diagnostics.js').LookupTrace} LookupTrace */
+
+/**
+ * Progress of translations in flight, by cache key. Updates are kept so a request that
+ * joins late still receives the lines finished before it arrived.
+ * @type {Map<string, { listeners: Set<TranslationProgressListener>, updates: TranslationProgress[] }>}
+ */
+const progressStreams = new Map();
 
 export class TranslationService {
   /** @param {string | null | undefined} lang */
@@ -26,31 +43,56 @@ export class TranslationService {
     return lang.trim().toLowerCase().split(/[-_]/)[0];
   }
 
-  /** @param {LyricsData} originalLyrics */
-  static async detectSourceLanguage(originalLyrics) {
-    const sampleTexts = originalLyrics?.data
-      ?.map(line => line.text)
-      .filter(Boolean)
-      .slice(0, 5);
+  /**
+   * Language of each line and of the whole song, detected offline. Only when that finds
+   * nothing is a server asked: the configured LibreTranslate server, or Google when the
+   * user allowed it. Those only name the song's language, not each line's.
+   * @param {LyricsData} originalLyrics
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<LanguageDetection>}
+   */
+  static async detectSourceLanguage(originalLyrics, settings, signal) {
+    const texts = originalLyrics?.data?.map(line => line.text || '') || [];
+    const detection = LanguageDetector.detectLines(texts);
+    if (detection.language) return detection;
 
-    if (!sampleTexts?.length) return null;
+    const useLibreTranslate = this.usesLibreTranslate(settings);
+    const sampleTexts = texts.filter(Boolean).slice(0, 5);
+    if (!sampleTexts.length || (!useLibreTranslate && !settings.languageDetectionFallback)) return detection;
 
     try {
       const joined = sampleTexts.join('\n');
-      const detectUrl = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&tl=en&dt=t&q=${encodeURIComponent(joined)}`;
-      const response = await fetch(detectUrl);
-      if (!response.ok) return null;
-
-      const data = await response.json();
-      const detectedLang = data?.[2];
+      const language = useLibreTranslate
+        ? await LibreTranslateService.detect(joined, settings, signal)
+        : await this.detectWithGoogle(joined, signal);
 
-      return typeof detectedLang === 'string' ? detectedLang.toLowerCase() : null;
+      return language
+        ? { ...detection, language: this.normalizeLanguageCode(language), source: useLibreTranslate ? 'libretranslate' : 'google' }
+        : detection;
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.warn("TranslationService: Language detection failed, proceeding without optimization", error);
-      return null;
+      return detection;
     }
   }
 
+  /**
+   * @param {string} text
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string | null>}
+   */
+  static async detectWithGoogle(text, signal) {
+    const detectUrl = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&tl=en&dt=t&q=${encodeURIComponent(text)}`;
+    const response = await Utilities.fetchWithTimeout(detectUrl, { signal });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const detectedLang = data?.[2];
+
+    return typeof detectedLang === 'string' ? detectedLang.toLowerCase() : null;
+  }
+
   /**
    * Annotate cached translation metadata before returning it.
    * @param {LyricsData} translatedLyrics
@@ -82,42 +124,150 @@ export class TranslationService {
    * @param {TranslationAction} action
    * @param {string} targetLang
    * @param {boolean} [forceReload=false]
+   * @param {{ tabId?: number, onProgress?: TranslationProgressListener }} [options] - tabId: tab
+   *   that asked, for cancellation. onProgress: receives batches of finished lines; when the
+   *   request starts the work, passing it also makes the work run batch by batch.
    * @returns {Promise<LyricsData>}
    */
-  static async getOrFetch(songInfo, action, targetLang, forceReload = false) {
+  static async getOrFetch(songInfo, action, targetLang, forceReload = false, options = {}) {
     const translatedKey = this.createCacheKey(songInfo, action, targetLang);
-    
+    const trace = diagnostics.begin('translation', songInfo, { cacheKey: translatedKey, action, targetLang, forceReload });
+
+    const request = this.lookup(songInfo, translatedKey, action, targetLang, forceReload, options, trace)
+      .then(translatedLyrics => {
+        trace.setTranslation(translatedLyrics.translationMeta || null);
+        return translatedLyrics;
+      });
+    return trace.follow(request, summarizeLyrics);
+  }
+
+  /**
+   * Cached translation, a running one, or a new one. `getOrFetch` wraps this to log the outcome.
+   * @param {SongInfo} songInfo
+   * @param {string} translatedKey
+   * @param {TranslationAction} action
+   * @param {string} targetLang
+   * @param {boolean} forceReload
+   * @param {{ tabId?: number, onProgress?: TranslationProgressListener }} options
+   * @param {LookupTrace} trace
+   * @returns {Promise<LyricsData>}
+   */
+  static async lookup(songInfo, translatedKey, action, targetLang, forceReload, { tabId, onProgress }, trace) {
+    await state.restore();
+
     const { lyrics: originalLyrics, version: originalVersion } = 
-      await LyricsService.getOrFetch(songInfo, forceReload);
+      await LyricsService.getOrFetch(songInfo, forceReload, { tabId });
     
     if (Utilities.isEmptyLyrics(originalLyrics)) {
-      throw new Error('Original lyrics not found or empty');
+      throw new ServiceError(ERROR_CODES.NOT_FOUND, 'Original lyrics not found or empty');
     }
 
     if (!forceReload) {
       const cached = await this.getCached(translatedKey, originalVersion);
-      if (cached) return cached;
+      if (cached) {
+        trace.cacheHit(cached.translationMeta.cacheSource === 'memory' ? 'memory' : 'db');
+        return cached;
+      }
     }
 
     if (!forceReload && state.hasOngoingFetch(translatedKey)) {
-      return state.getOngoingFetch(translatedKey);
+      trace.cacheHit('joined');
+      state.joinLookup(translatedKey, tabId);
+      const unsubscribe = this.subscribeProgress(translatedKey, onProgress);
+      try {
+        return await state.getOngoingFetch(translatedKey);
+      } finally {
+        unsubscribe();
+      }
     }
 
+    const signal = state.startLookup(translatedKey, tabId, CONFIG.TIMEOUTS.TRANSLATION_MS);
+    const stream = { listeners: new Set(onProgress ? [onProgress] : []), updates: [] };
+    progressStreams.set(translatedKey, stream);
+
     const translationPromise = this.performAndCacheTranslation(
       translatedKey,
       originalLyrics,
       originalVersion,
       action,
-      targetLang
+      targetLang,
+      signal,
+      onProgress && (progress => this.emitProgress(stream, progress))
     );
 
-    state.setOngoingFetch(translatedKey, translationPromise);
+    state.setOngoingFetch(translatedKey, translationPromise, {
+      kind: 'translation',
+      songInfo,
+      action,
+      targetLang,
+      forceReload
+    });
     
     try {
       return await translationPromise;
     } finally {
       state.deleteOngoingFetch(translatedKey);
+      state.finishLookup(translatedKey, signal);
+      if (progressStreams.get(translatedKey) === stream) progressStreams.delete(translatedKey);
+    }
+  }
+
+  /**
+   * @param {{ listeners: Set<TranslationProgressListener>, updates: TranslationProgress[] }} stream
+   * @param {TranslationProgress} progress
+   */
+  static emitProgress(stream, progress) {
+    stream.updates.push(progress);
+    stream.listeners.forEach(listener => {
+      try {
+        listener(progress);
+      } catch (error) {
+        console.warn("TranslationService: progress listener failed", error);
+      }
+    });
+  }
+
+  /**
+   * Replay what a translation in flight has finished so far, then follow it.
+   * @param {string} key
+   * @param {TranslationProgressListener} [listener]
+   * @returns {() => void} Stops following.
+   */
+  static subscribeProgress(key, listener) {
+    const stream = progressStreams.get(key);
+    if (!stream || !listener) return () => {};
+
+    stream.updates.forEach(update => listener(update));
+    stream.listeners.add(listener);
+    return () => stream.listeners.delete(listener);
+  }
+
+  /**
+   * Process the lyrics in consecutive batches of lines and report each one as it
+   * finishes. Without a callback, or with `wholeSong`, the song is a single batch that is
+   * reported once. LLM providers use `wholeSong`: their prompts need the full song as
+   * context, and one request per batch would multiply calls and retries.
+   * @template T
+   * @param {LyricsData} originalLyrics
+   * @param {(batch: LyricsData, from: number) => Promise<T[]>} work - Returns one result per line of the batch.
+   * @param {(lines: T[], from: number) => void} [onBatch]
+   * @param {{ wholeSong?: boolean }} [options]
+   * @returns {Promise<T[]>}
+   */
+  static async runInBatches(originalLyrics, work, onBatch, { wholeSong = false } = {}) {
+    const lines = originalLyrics.data;
+    const batchSize = onBatch && !wholeSong ? CONFIG.TRANSLATION_STREAM.BATCH_LINES : lines.length;
+    /** @type {T[]} */
+    const results = [];
+
+    for (let from = 0; from < lines.length; from += batchSize) {
+      const batch = { ...originalLyrics, data: lines.slice(from, from + batchSize) };
+      const batchResults = await work(batch, from);
+      results.push(...batchResults);
+      onBatch?.(batchResults, from);
     }
+
+    return results;
   }
 
   /**
@@ -126,8 +276,10 @@ export class TranslationService {
    * @param {number | string} originalVersion
    * @param {TranslationAction} action
    * @param {string} targetLang
+   * @param {AbortSignal} [signal]
+   * @param {TranslationProgressListener} [onProgress]
    */
-  static async performAndCacheTranslation(translatedKey, originalLyrics, originalVersion, action, targetLang) {
+  static async performAndCacheTranslation(translatedKey, originalLyrics, originalVersion, action, targetLang, signal, onProgress) {
     const settings = await SettingsManager.getTranslationSettings();
     const resolvedTargetLang = settings.overrideTranslateTarget && settings.customTranslateTarget
       ? settings.customTranslateTarget
@@ -137,7 +289,9 @@ export class TranslationService {
       originalLyrics,
       action,
       resolvedTargetLang,
-      settings
+      settings,
+      signal,
+      onProgress
     );
 
     const meta = translationResult.meta || {};
@@ -152,7 +306,9 @@ export class TranslationService {
         requestedTargetLang: targetLang,
         sourceLang: meta.sourceLang || 'auto',
         fallbackUsed: meta.fallbackUsed || false,
+        fallbackReason: meta.fallbackReason || null,
         skippedReason: meta.skippedReason || null,
+        skippedLines: meta.skippedLines || [],
         failedLines: meta.failedLines || [],
         generatedAt: Date.now()
       }
@@ -168,6 +324,7 @@ export class TranslationService {
       translatedLyrics: finalTranslatedLyrics,
       originalVersion
     });
+    cacheLimiter.schedule();
 
     return finalTranslatedLyrics;
   }
@@ -206,13 +363,18 @@ export class TranslationService {
    * @param {TranslationAction} action
    * @param {string} targetLang
    * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @param {TranslationProgressListener} [onProgress]
    * @returns {Promise<TranslationResult>}
    */
-  static async performTranslation(originalLyrics, action, targetLang, settings) {
+  static async performTranslation(originalLyrics, action, targetLang, settings, signal, onProgress) {
+    /** @param {LyricsData['data']} lines @param {number} from */
+    const onBatch = onProgress && ((lines, from) => onProgress({ action, from, lines }));
+
     if (action === 'translate') {
-      return this.translate(originalLyrics, targetLang, settings);
+      return this.translate(originalLyrics, targetLang, settings, signal, onBatch);
     } else if (action === 'romanize') {
-      return this.romanize(originalLyrics, settings);
+      return this.romanize(originalLyrics, settings, signal, onBatch);
     }
     
     return {
@@ -225,66 +387,135 @@ export class TranslationService {
     };
   }
 
+  /**
+   * The LLM service for a provider setting, or null when it is not an LLM provider or is
+   * missing its API key, server URL or model.
+   * @param {string | undefined} providerId
+   * @param {TranslationSettings} settings
+   * @returns {typeof GeminiService | typeof OpenAiService | null}
+   */
+  static getLlmService(providerId, settings) {
+    if (providerId === PROVIDERS.GEMINI && settings.geminiApiKey) return GeminiService;
+    if (providerId === PROVIDERS.OPENAI_COMPATIBLE && OpenAiService.isConfigured(settings)) return OpenAiService;
+    return null;
+  }
+
+  /**
+   * Whether LibreTranslate is the chosen provider. Throws when it is chosen without a server
+   * URL rather than quietly sending the lyrics to Google.
+   * @param {TranslationSettings} settings
+   */
+  static usesLibreTranslate(settings) {
+    if (settings.translationProvider !== PROVIDERS.LIBRETRANSLATE) return false;
+    if (!LibreTranslateService.isConfigured(settings)) {
+      throw new ServiceError(
+        ERROR_CODES.UNKNOWN,
+        'LibreTranslate server URL is not set',
+        { provider: PROVIDERS.LIBRETRANSLATE }
+      );
+    }
+    return true;
+  }
+
   /**
    * @param {LyricsData} originalLyrics
    * @param {string} targetLang
    * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @param {(lines: LyricsData['data'], from: number) => void} [onBatch]
    * @returns {Promise<TranslationResult>}
    */
-  static async translate(originalLyrics, targetLang, settings) {
-    const useGemini = settings.translationProvider === PROVIDERS.GEMINI && settings.geminiApiKey;
-    const sourceLang = await this.detectSourceLanguage(originalLyrics);
+  static async translate(originalLyrics, targetLang, settings, signal, onBatch) {
+    const llmService = this.getLlmService(settings.translationProvider, settings);
+    const llmProvider = settings.translationProvider;
+    const useLibreTranslate = this.usesLibreTranslate(settings);
+    const detection = await this.detectSourceLanguage(originalLyrics, settings, signal);
+    const sourceLang = detection.language;
     const normalizedTarget = this.normalizeLanguageCode(targetLang);
 
     /** @type {TranslationMeta} */
     const meta = {
-      provider: useGemini ? PROVIDERS.GEMINI : PROVIDERS.GOOGLE,
+      provider: llmService ? llmProvider : useLibreTranslate ? PROVIDERS.LIBRETRANSLATE : PROVIDERS.GOOGLE,
       sourceLang: sourceLang || 'auto',
       fallbackUsed: false,
       skippedReason: null,
       failedLines: []
     };
 
-    if (sourceLang && normalizedTarget && sourceLang === normalizedTarget) {
+    // Only lines the detector is sure of count as already in the target language; undetected
+    // lines could be in any. Mixed-language songs still need translating when only their main
+    // language matches, and lines without letters need nothing.
+    /** @param {number} index */
+    const inTarget = index => !!normalizedTarget && detection.confident[index] && detection.lines[index] === normalizedTarget;
+    const allInTarget = originalLyrics.data.every((line, index) => inTarget(index) || !/\p{L}/u.test(line.text || ''));
+    if (sourceLang && normalizedTarget && sourceLang === normalizedTarget && allInTarget) {
       meta.provider = 'pass-through';
       meta.skippedReason = 'source-matches-target';
 
       return {
-        data: originalLyrics.data.map(line => ({ ...line, translatedText: line.text })),
+        data: this.mergeTranslatedTexts(originalLyrics, [], []),
         meta
       };
     }
-    
-    if (useGemini) {
+
+    // Lines already in the target language, such as the English lines of a K-pop song, are
+    // not sent; they keep no translation, so nothing is shown under them.
+    meta.skippedLines = detection.lines.flatMap((_, index) => (inTarget(index) ? [index] : []));
+    const skipped = new Set(meta.skippedLines);
+
+    /**
+     * Translate the lines of a batch that need it and merge the results back by index.
+     * @param {LyricsData} batch
+     * @param {number} from
+     * @param {(texts: string[], indices: number[]) => Promise<string[]>} translateTexts - Indices are within the batch.
+     */
+    const translateBatch = async (batch, from, translateTexts) => {
+      const indices = batch.data.flatMap((_, index) => (skipped.has(from + index) ? [] : [index]));
+      const translatedTexts = indices.length
+        ? await translateTexts(indices.map(index => batch.data[index].text), indices)
+        : [];
+      return this.mergeTranslatedTexts(batch, translatedTexts, indices);
+    };
+
+    // No Google fallback here: a self-hosted server is chosen to keep lyrics away from Google.
+    if (useLibreTranslate) {
+      const data = await this.runInBatches(originalLyrics, (batch, from) => translateBatch(batch, from,
+        texts => LibreTranslateService.translate(texts, targetLang, settings, signal)
+      ), onBatch);
+      return { data, meta };
+    }
+
+    if (llmService) {
       try {
-        const textsToTranslate = originalLyrics.data.map(line => line.text);
-        const translatedTexts = await GeminiService.translate(textsToTranslate, targetLang, settings);
-        return {
-          data: this.mergeTranslatedTexts(originalLyrics, translatedTexts),
-          meta
-        };
+        const data = await this.runInBatches(originalLyrics, (batch, from) => translateBatch(batch, from,
+          texts => llmService.translate(texts, targetLang, settings, signal)
+        ), onBatch, { wholeSong: true });
+        return { data, meta };
       } catch (error) {
-        console.warn("Gemini translation failed, falling back to Google:", error);
+        if (signal?.aborted) throw error;
+        console.warn(`${llmProvider} translation failed, falling back to Google:`, error);
         meta.fallbackUsed = true;
+        meta.fallbackReason = ServiceError.from(error, llmProvider).code;
         meta.provider = PROVIDERS.GOOGLE;
       }
     }
     
-    const googleResult = await this.translateWithGoogle(originalLyrics, targetLang);
-    meta.failedLines = googleResult.failedIndices;
+    const data = await this.runInBatches(originalLyrics, (batch, from) => translateBatch(batch, from, async (texts, indices) => {
+      const googleResult = await this.translateWithGoogle(texts, targetLang, signal);
+      meta.failedLines.push(...googleResult.failedIndices.map(index => indices[index] + from));
+      return googleResult.translatedTexts;
+    }), onBatch);
 
-    return {
-      data: googleResult.data,
-      meta
-    };
+    return { data, meta };
   }
 
   /**
-   * @param {LyricsData} originalLyrics
+   * @param {string[]} texts
    * @param {string} targetLang
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ translatedTexts: string[], failedIndices: number[] }>} Failed texts are returned untranslated.
    */
-  static async translateWithGoogle(originalLyrics, targetLang) {
-    const texts = originalLyrics.data.map(line => line.text);
+  static async translateWithGoogle(texts, targetLang, signal) {
     const translatedTexts = new Array(texts.length);
     const workerCount = Math.min(5, Math.max(1, texts.length));
     let nextIndex = 0;
@@ -295,8 +526,9 @@ export class TranslationService {
         const currentIndex = nextIndex++;
         if (currentIndex >= texts.length) break;
         try {
-          translatedTexts[currentIndex] = await GoogleService.translate(texts[currentIndex], targetLang);
+          translatedTexts[currentIndex] = await GoogleService.translate(texts[currentIndex], targetLang, signal);
         } catch (error) {
+          if (signal?.aborted) throw error;
           console.warn("Google translation failed, falling back to original text:", error);
           failedIndices.add(currentIndex);
           translatedTexts[currentIndex] = texts[currentIndex];
@@ -307,7 +539,7 @@ export class TranslationService {
     await Promise.all(Array.from({ length: workerCount }, worker));
 
     return {
-      data: this.mergeTranslatedTexts(originalLyrics, translatedTexts),
+      translatedTexts,
       failedIndices: Array.from(failedIndices)
     };
   }
@@ -315,19 +547,21 @@ export class TranslationService {
   /**
    * @param {LyricsData} originalLyrics
    * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @param {(lines: any[], from: number) => void} [onBatch]
    * @returns {Promise<TranslationResult>}
    */
-  static async romanize(originalLyrics, settings) {
+  static async romanize(originalLyrics, settings, signal, onBatch) {
     // Check for prebuilt romanization
     const hasPrebuilt = originalLyrics.data.some(line =>
       line.romanizedText || (line.syllabus && line.syllabus.some(syl => syl.romanizedText))
     );
 
+    const llmService = this.getLlmService(settings.romanizationProvider, settings);
+
     /** @type {TranslationMeta} */
     const meta = {
-      provider: settings.romanizationProvider === PROVIDERS.GEMINI && settings.geminiApiKey
-        ? PROVIDERS.GEMINI
-        : PROVIDERS.GOOGLE,
+      provider: llmService ? settings.romanizationProvider : PROVIDERS.GOOGLE,
       sourceLang: null,
       fallbackUsed: false,
       skippedReason: null,
@@ -341,15 +575,18 @@ export class TranslationService {
       return { data: originalLyrics.data, meta };
     }
 
-    const useGemini = settings.romanizationProvider === PROVIDERS.GEMINI && settings.geminiApiKey;
-
-    if (useGemini) {
-      const data = await GeminiService.romanize(originalLyrics, settings);
+    if (llmService) {
+      const data = await this.runInBatches(
+        originalLyrics,
+        batch => llmService.romanize(batch, settings, signal),
+        onBatch,
+        { wholeSong: true }
+      );
       return { data, meta };
     }
 
     // Try Google first, fallback to Gemini if available and Google appears to have failed
-    const googleResult = await GoogleService.romanize(originalLyrics);
+    const googleResult = await this.runInBatches(originalLyrics, batch => GoogleService.romanize(batch, signal), onBatch);
 
     // Check if Google actually succeeded (results should differ from input for non-Latin scripts)
     const allResultsSameAsInput = originalLyrics.data.every((line, index) => {
@@ -377,7 +614,12 @@ export class TranslationService {
       console.warn("Google romanization appears to have failed (all results same as input), attempting Gemini fallback");
       meta.fallbackUsed = true;
       meta.provider = PROVIDERS.GEMINI;
-      const geminiResult = await GeminiService.romanize(originalLyrics, settings);
+      const geminiResult = await this.runInBatches(
+        originalLyrics,
+        batch => GeminiService.romanize(batch, settings, signal),
+        onBatch,
+        { wholeSong: true }
+      );
       return { data: geminiResult, meta };
     }
 
@@ -385,13 +627,21 @@ export class TranslationService {
   }
 
   /**
+   * Attach translations to their lines. With `indices`, `translatedTexts[i]` belongs to line
+   * `indices[i]`, and lines that are not listed are marked `translationSkipped`.
    * @param {LyricsData} originalLyrics
    * @param {string[]} translatedTexts
+   * @param {number[]} [indices] - Defaults to every line, in order.
    */
-  static mergeTranslatedTexts(originalLyrics, translatedTexts) {
-    return originalLyrics.data.map((line, index) => ({
-      ...line,
-      translatedText: translatedTexts[index] || line.text
-    }));
+  static mergeTranslatedTexts(originalLyrics, translatedTexts, indices) {
+    const byIndex = indices
+      ? new Map(indices.map((lineIndex, i) => [lineIndex, translatedTexts[i]]))
+      : new Map(translatedTexts.map((text, lineIndex) => [lineIndex, text]));
+
+    return originalLyrics.data.map((line, index) => (
+      indices && !byIndex.has(index)
+        ? { ...line, translationSkipped: true }
+        : { ...line, translatedText: byIndex.get(index) || line.text }
+    ));
   }
 }
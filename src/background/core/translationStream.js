@@ -0,0 +1,77 @@
+// ==================================================================================================
+// TRANSLATION STREAM
+// ==================================================================================================
+
+import { CONFIG, MESSAGE_TYPES } from '../constants.js';
+import { Rpc, RpcError } from './rpc.js';
+import { TranslationService } from './translationService.js';
+
+/**
+ * A TRANSLATE_LYRICS request over a long-lived port. The content script posts the request
+ * once; the background answers with a "progress" event per finished batch of lines and a
+ * final "result" event (shaped like the TRANSLATE_LYRICS response), then closes the port.
+ */
+export class TranslationStream {
+  /**
+   * @param {any} port - runtime.Port opened by a content script.
+   */
+  static handleConnect(port) {
+    if (port.name !== CONFIG.TRANSLATION_STREAM.PORT_NAME) return;
+
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+      connected = false;
+    });
+
+    /** @param {object} event */
+    const post = event => {
+      if (connected) port.postMessage(event);
+    };
+    const close = () => {
+      if (!connected) return;
+      connected = false;
+      port.disconnect();
+    };
+
+    port.onMessage.addListener(message => {
+      this.handleRequest(port, message, post).finally(close);
+    });
+  }
+
+  /**
+   * @param {any} port
+   * @param {any} message
+   * @param {(event: object) => void} post
+   */
+  static async handleRequest(port, message, post) {
+    const requestId = typeof message?.requestId === 'string' ? message.requestId : Rpc.createRequestId();
+
+    try {
+      Rpc.validate(message, port.sender);
+      if (message.type !== MESSAGE_TYPES.TRANSLATE_LYRICS) {
+        throw new RpcError('UNKNOWN_TYPE', `${message.type} cannot be streamed`);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] Rejected stream request:`, error instanceof Error ? error.message : error);
+      post({ event: 'result', ...Rpc.toErrorResponse(error, requestId) });
+      return;
+    }
+
+    try {
+      const translatedLyrics = await TranslationService.getOrFetch(
+        message.songInfo,
+        message.action,
+        message.targetLang,
+        message.forceReload,
+        {
+          tabId: port.sender?.tab?.id,
+          onProgress: progress => post({ event: 'progress', requestId, ...progress })
+        }
+      );
+      post({ event: 'result', success: true, translatedLyrics, requestId });
+    } catch (error) {
+      console.error(`[${requestId}] Streamed translation error:`, error);
+      post({ event: 'result', ...Rpc.toErrorResponse(error, requestId) });
+    }
+  }
+}
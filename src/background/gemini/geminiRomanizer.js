@@ -2,8 +2,9 @@
 // GEMINI ROMANIZATION - CORE ENGINE
 // ==================================================================================================
 
-import { CONFIG } from '../constants.js';
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
 import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
 import { createRomanizationPrompt } from './prompts.js';
 import { SchemaBuilder } from './schemaBuilder.js';
 import { ResponseValidator } from './responseValidator.js';
@@ -18,10 +19,20 @@ import { ResponseValidator } from './responseValidator.js';
  * @typedef {{ type: 'latin', data: StructuredLyricsLine, originalIndex: number } | { type: 'api', apiIndex: number, originalIndex: number }} ReconstructionPlanItem
  */
 
+/**
+ * Romanizes through an LLM with validation and correction rounds. Subclasses for other
+ * model APIs override `callModel` and set `provider` and `label`.
+ */
 export class GeminiRomanizer {
-  /** @param {TranslationSettings} settings */
-  constructor(settings) {
+  /**
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   */
+  constructor(settings, signal) {
     this.settings = settings;
+    this.signal = signal;
+    this.provider = PROVIDERS.GEMINI;
+    this.label = 'Gemini';
     this.url = `https://generativelanguage.googleapis.com/v1beta/models/${settings.geminiRomanizationModel}:generateContent?key=${settings.geminiApiKey}`;
   }
 
@@ -50,7 +61,7 @@ export class GeminiRomanizer {
       const isSelectiveFix = attempt > 1 && lastValidResponse !== null && sameErrorCount < 3;
 
       try {
-        const responseText = await this.callGeminiAPI(
+        const responseText = await this.callModel(
           currentContents,
           isSelectiveFix ? selectiveSchema : schema
         );
@@ -67,7 +78,7 @@ export class GeminiRomanizer {
         const validationResult = ResponseValidator.validate(lyricsForApi, finalResponse);
 
         if (validationResult.isValid) {
-          console.log(`Gemini romanization succeeded on attempt ${attempt}`);
+          console.log(`${this.label} romanization succeeded on attempt ${attempt}`);
           return this.reconstructLyrics(finalResponse.romanized_lyrics, reconstructionPlan, hasAnyChunks);
         }
 
@@ -82,7 +93,11 @@ export class GeminiRomanizer {
         }
 
         if (attempt === CONFIG.GEMINI.MAX_RETRIES) {
-          throw new Error(`Gemini romanization failed after ${CONFIG.GEMINI.MAX_RETRIES} attempts. Final errors: ${validationResult.errors.join(', ')}`);
+          throw new ServiceError(
+            ERROR_CODES.PARSE_FAILURE,
+            `${this.label} romanization failed after ${CONFIG.GEMINI.MAX_RETRIES} attempts. Final errors: ${validationResult.errors.join(', ')}`,
+            { provider: this.provider }
+          );
         }
 
         if (sameErrorCount >= 3) {
@@ -109,11 +124,22 @@ export class GeminiRomanizer {
         });
 
       } catch (e) {
+        if (this.signal?.aborted) throw e;
         const attemptError = e instanceof Error ? e : new Error(String(e));
-        console.error(`Gemini romanization attempt ${attempt} failed:`, attemptError.message);
+        console.error(`${this.label} romanization attempt ${attempt} failed:`, attemptError.message);
+
+        // Retrying cannot fix a rejected key or a quota that is already used up.
+        const { code } = ServiceError.from(attemptError, this.provider);
+        if (code === ERROR_CODES.API_KEY_INVALID || code === ERROR_CODES.RATE_LIMITED) {
+          throw attemptError;
+        }
         
         if (attempt === CONFIG.GEMINI.MAX_RETRIES) {
-          throw new Error(`Gemini romanization failed after ${CONFIG.GEMINI.MAX_RETRIES} attempts: ${attemptError.message}`);
+          throw new ServiceError(
+            code === ERROR_CODES.UNKNOWN ? ERROR_CODES.PARSE_FAILURE : code,
+            `${this.label} romanization failed after ${CONFIG.GEMINI.MAX_RETRIES} attempts: ${attemptError.message}`,
+            { provider: this.provider, cause: attemptError }
+          );
         }
         
         if (attemptError instanceof SyntaxError) {
@@ -125,15 +151,16 @@ export class GeminiRomanizer {
       }
     }
 
-    throw new Error("Unexpected error: Gemini romanization process completed without success");
+    throw new Error(`Unexpected error: ${this.label} romanization process completed without success`);
   }
 
   /**
-   * @param {Array<{role: string, parts: Array<{text: string}>}>} contents
+   * Send the conversation so far and return the model's JSON answer as text.
+   * @param {Array<{role: string, parts: Array<{text: string}>}>} contents - Gemini-style turns.
    * @param {any} schema
    * @returns {Promise<string>}
    */
-  async callGeminiAPI(contents, schema) {
+  async callModel(contents, schema) {
     const requestBody = {
       contents,
       generation_config: {
@@ -143,17 +170,22 @@ export class GeminiRomanizer {
       }
     };
 
-    const response = await fetch(this.url, {
+    const response = await Utilities.fetchWithTimeout(this.url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+      body: JSON.stringify(requestBody),
+      signal: this.signal
+    }, CONFIG.TIMEOUTS.GEMINI_REQUEST_MS);
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({
         error: { message: response.statusText }
       }));
-      throw new Error(`Gemini API call failed with status ${response.status}: ${errorData.error.message}`);
+      throw ServiceError.fromResponse(
+        response,
+        `Gemini API call failed with status ${response.status}: ${errorData.error.message}`,
+        PROVIDERS.GEMINI
+      );
     }
 
     const data = await response.json();
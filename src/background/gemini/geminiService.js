@@ -2,8 +2,12 @@
 // EXTERNAL SERVICE - GEMINI
 // ==================================================================================================
 
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
+import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
 import { createTranslationPrompt } from './prompts.js';
 import { GeminiRomanizer } from './geminiRomanizer.js';
+import { SchemaBuilder } from './schemaBuilder.js';
 
 /** @typedef {import('../../types').LyricsData} LyricsData */
 /** @typedef {import('../../types').TranslationSettings} TranslationSettings */
@@ -14,8 +18,9 @@ export class GeminiService {
    * @param {string[]} texts
    * @param {string} targetLang
    * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
    */
-  static async translate(texts, targetLang, settings) {
+  static async translate(texts, targetLang, settings, signal) {
     const { geminiApiKey, geminiModel } = settings;
     const url = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
 
@@ -26,35 +31,22 @@ export class GeminiService {
       generation_config: {
         temperature: 0.0,
         response_mime_type: "application/json",
-        responseSchema: {
-          type: "OBJECT",
-          properties: {
-            translated_lyrics: {
-              type: "ARRAY",
-              description: "An array of translated lyric lines, maintaining the original order and count.",
-              items: { type: "STRING" }
-            },
-            target_language: {
-              type: "STRING",
-              description: "The target language for the translation."
-            }
-          },
-          required: ["translated_lyrics", "target_language"]
-        }
+        responseSchema: SchemaBuilder.buildTranslationSchema()
       }
     };
 
-    const response = await fetch(url, {
+    const response = await Utilities.fetchWithTimeout(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+      body: JSON.stringify(requestBody),
+      signal
+    }, CONFIG.TIMEOUTS.GEMINI_REQUEST_MS);
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({
         error: { message: response.statusText }
       }));
-      throw new Error(`Gemini API error: ${response.status} - ${errorData.error.message}`);
+      throw ServiceError.fromResponse(response, `Gemini API error: ${response.status} - ${errorData.error.message}`, PROVIDERS.GEMINI);
     }
 
     const data = await response.json();
@@ -78,21 +70,26 @@ export class GeminiService {
     } catch (e) {
       const parseError = e instanceof Error ? e : new Error(String(e));
       console.error("Gemini response parsing failed:", parseError);
-      throw new Error(`Gemini translation failed: Could not parse valid JSON. ${parseError.message}`);
+      throw new ServiceError(
+        ERROR_CODES.PARSE_FAILURE,
+        `Gemini translation failed: Could not parse valid JSON. ${parseError.message}`,
+        { provider: PROVIDERS.GEMINI, cause: parseError }
+      );
     }
   }
 
   /**
    * @param {LyricsData} originalLyrics
    * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
    */
-  static async romanize(originalLyrics, settings) {
+  static async romanize(originalLyrics, settings, signal) {
     if (!settings.geminiApiKey) {
-      throw new Error('Gemini API Key is not provided');
+      throw new ServiceError(ERROR_CODES.API_KEY_INVALID, 'Gemini API Key is not provided', { provider: PROVIDERS.GEMINI });
     }
 
     const structuredInput = this.prepareStructuredInput(originalLyrics);
-    const romanizer = new GeminiRomanizer(settings);
+    const romanizer = new GeminiRomanizer(settings, signal);
     
     return romanizer.romanize(structuredInput);
   }
@@ -3,6 +3,24 @@
 // ==================================================================================================
 
 export class SchemaBuilder {
+  static buildTranslationSchema() {
+    return {
+      type: "OBJECT",
+      properties: {
+        translated_lyrics: {
+          type: "ARRAY",
+          description: "An array of translated lyric lines, maintaining the original order and count.",
+          items: { type: "STRING" }
+        },
+        target_language: {
+          type: "STRING",
+          description: "The target language for the translation."
+        }
+      },
+      required: ["translated_lyrics", "target_language"]
+    };
+  }
+
   static buildRomanizationSchema(hasAnyChunks) {
     const baseSchema = {
       type: "OBJECT",
@@ -104,5 +122,23 @@ export class SchemaBuilder {
 
     return baseSchema;
   }
+
+  /**
+   * The same schema in JSON Schema form, for OpenAI-style `response_format`. Gemini's
+   * `nullable` has no equivalent there; such fields are simply not required.
+   * @param {any} schema - A schema built by this class.
+   * @returns {any}
+   */
+  static toJsonSchema(schema) {
+    const { type, nullable, properties, items, ...rest } = schema;
+    const converted = { ...rest, type: String(type).toLowerCase() };
+    if (properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [key, this.toJsonSchema(value)])
+      );
+    }
+    if (items) converted.items = this.toJsonSchema(items);
+    return converted;
+  }
 }
 
@@ -3,6 +3,8 @@
 // ==================================================================================================
 
 import { MessageHandler } from './core/messageHandler.js';
+import { FetchRecovery } from './core/fetchRecovery.js';
+import { TranslationStream } from './core/translationStream.js';
 
 const pBrowser = typeof browser !== 'undefined'
   ? browser
@@ -14,6 +16,10 @@ const pBrowser = typeof browser !== 'undefined'
 
 console.log('Service Worker initialized');
 
+FetchRecovery.resumeInterrupted().catch(error => {
+  console.error('Service Worker: failed to resume interrupted requests', error);
+});
+
 if (pBrowser?.runtime?.onMessage) {
   pBrowser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return MessageHandler.handle(message, sender, sendResponse);
@@ -21,3 +27,9 @@ if (pBrowser?.runtime?.onMessage) {
 } else {
   console.error('Service Worker: runtime messaging not available');
 }
+
+if (pBrowser?.runtime?.onConnect) {
+  pBrowser.runtime.onConnect.addListener(port => TranslationStream.handleConnect(port));
+} else {
+  console.error('Service Worker: runtime ports not available');
+}
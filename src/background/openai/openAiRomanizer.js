@@ -0,0 +1,48 @@
+// ==================================================================================================
+// OPENAI-COMPATIBLE ROMANIZATION
+// ==================================================================================================
+
+import { PROVIDERS } from '../constants.js';
+import { SchemaBuilder } from '../gemini/schemaBuilder.js';
+import { GeminiRomanizer } from '../gemini/geminiRomanizer.js';
+import { OpenAiService } from './openAiService.js';
+
+/** @typedef {import('../../types').TranslationSettings} TranslationSettings */
+
+/**
+ * The Gemini romanization engine (prompts, validation and correction rounds) talking to
+ * an OpenAI-compatible chat completions server.
+ */
+export class OpenAiRomanizer extends GeminiRomanizer {
+  /**
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   */
+  constructor(settings, signal) {
+    super(settings, signal);
+    this.provider = PROVIDERS.OPENAI_COMPATIBLE;
+    this.label = 'OpenAI-compatible';
+    this.model = settings.openAiRomanizationModel || settings.openAiModel;
+  }
+
+  /**
+   * @param {Array<{role: string, parts: Array<{text: string}>}>} contents
+   * @param {any} schema
+   * @returns {Promise<string>}
+   */
+  async callModel(contents, schema) {
+    const messages = contents.map(turn => ({
+      role: /** @type {'user' | 'assistant'} */ (turn.role === 'model' ? 'assistant' : 'user'),
+      content: turn.parts.map(part => part.text).join('\n')
+    }));
+
+    const content = await OpenAiService.chat(
+      messages,
+      this.model,
+      this.settings,
+      this.signal,
+      SchemaBuilder.toJsonSchema(schema)
+    );
+    return OpenAiService.extractJson(content);
+  }
+}
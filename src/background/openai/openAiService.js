@@ -0,0 +1,175 @@
+// ==================================================================================================
+// EXTERNAL SERVICE - OPENAI-COMPATIBLE
+// ==================================================================================================
+
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
+import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { createTranslationPrompt } from '../gemini/prompts.js';
+import { SchemaBuilder } from '../gemini/schemaBuilder.js';
+import { GeminiService } from '../gemini/geminiService.js';
+import { OpenAiRomanizer } from './openAiRomanizer.js';
+
+/** @typedef {import('../../types').LyricsData} LyricsData */
+/** @typedef {import('../../types').TranslationSettings} TranslationSettings */
+
+/** @typedef {{ role: 'system' | 'user' | 'assistant', content: string }} ChatMessage */
+
+/**
+ * Any server that speaks the OpenAI `/v1/chat/completions` API: Ollama, LM Studio,
+ * llama.cpp, vLLM, or a hosted service. Uses the same prompts and checks as Gemini.
+ */
+export class OpenAiService {
+  /** @param {TranslationSettings} settings */
+  static isConfigured(settings) {
+    return !!(settings.openAiBaseUrl && settings.openAiModel);
+  }
+
+  /**
+   * @param {string[]} texts
+   * @param {string} targetLang
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   */
+  static async translate(texts, targetLang, settings, signal) {
+    const prompt = createTranslationPrompt(texts, targetLang, settings);
+    const content = await this.chat(
+      [{ role: 'user', content: prompt }],
+      settings.openAiModel,
+      settings,
+      signal,
+      SchemaBuilder.toJsonSchema(SchemaBuilder.buildTranslationSchema())
+    );
+
+    try {
+      const parsedJson = JSON.parse(this.extractJson(content));
+      // Small models sometimes answer with the bare array instead of the requested object.
+      const translated = Array.isArray(parsedJson) ? parsedJson : parsedJson?.translated_lyrics;
+
+      if (!Array.isArray(translated)) {
+        throw new Error('Invalid JSON structure: translated_lyrics is not an array');
+      }
+
+      if (translated.length !== texts.length) {
+        throw new Error(`Length mismatch: expected ${texts.length} lines, got ${translated.length}`);
+      }
+
+      return translated.map(text => (typeof text === 'string' ? text : String(text ?? '')));
+    } catch (e) {
+      const parseError = e instanceof Error ? e : new Error(String(e));
+      console.error("OpenAI-compatible response parsing failed:", parseError);
+      throw new ServiceError(
+        ERROR_CODES.PARSE_FAILURE,
+        `OpenAI-compatible translation failed: Could not parse valid JSON. ${parseError.message}`,
+        { provider: PROVIDERS.OPENAI_COMPATIBLE, cause: parseError }
+      );
+    }
+  }
+
+  /**
+   * @param {LyricsData} originalLyrics
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   */
+  static async romanize(originalLyrics, settings, signal) {
+    if (!this.isConfigured(settings)) {
+      throw new ServiceError(
+        ERROR_CODES.UNKNOWN,
+        'OpenAI-compatible server URL or model is not set',
+        { provider: PROVIDERS.OPENAI_COMPATIBLE }
+      );
+    }
+
+    const structuredInput = GeminiService.prepareStructuredInput(originalLyrics);
+    const romanizer = new OpenAiRomanizer(settings, signal);
+
+    return romanizer.romanize(structuredInput);
+  }
+
+  /**
+   * Run one chat completion and return the assistant's reply.
+   * @param {ChatMessage[]} messages
+   * @param {string} model
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @param {any} [schema] - JSON Schema the reply should follow.
+   * @returns {Promise<string>}
+   */
+  static async chat(messages, model, settings, signal, schema) {
+    const url = `${settings.openAiBaseUrl.trim().replace(/\/+$/, '')}/chat/completions`;
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.openAiApiKey) {
+      headers.Authorization = `Bearer ${settings.openAiApiKey}`;
+    }
+
+    /** @param {boolean} structured */
+    const send = structured => Utilities.fetchWithTimeout(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: 0,
+        ...(structured && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'lyrics', schema, strict: false }
+          }
+        })
+      }),
+      signal
+    }, CONFIG.TIMEOUTS.OPENAI_COMPATIBLE_REQUEST_MS);
+
+    let response = await send(!!schema);
+
+    // Not every server supports structured output; the prompts ask for JSON anyway.
+    if (!response.ok && schema && response.status === 400) {
+      const errorText = await response.clone().text().catch(() => '');
+      if (/response_format|json_schema/i.test(errorText)) {
+        response = await send(false);
+      }
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      const message = errorData?.error?.message || errorData?.error || response.statusText;
+      throw ServiceError.fromResponse(
+        response,
+        `OpenAI-compatible API error: ${response.status} - ${message}`,
+        PROVIDERS.OPENAI_COMPATIBLE
+      );
+    }
+
+    const data = await response.json();
+    const choice = data?.choices?.[0];
+
+    if (choice?.finish_reason === 'content_filter') {
+      throw new ServiceError(
+        ERROR_CODES.UNKNOWN,
+        'OpenAI-compatible server blocked the request: content_filter',
+        { provider: PROVIDERS.OPENAI_COMPATIBLE }
+      );
+    }
+
+    const content = choice?.message?.content;
+    if (typeof content !== 'string') {
+      throw new ServiceError(
+        ERROR_CODES.PARSE_FAILURE,
+        'OpenAI-compatible server returned no message content',
+        { provider: PROVIDERS.OPENAI_COMPATIBLE }
+      );
+    }
+
+    return content;
+  }
+
+  /**
+   * The JSON in a reply, without the Markdown code fence many models wrap it in.
+   * @param {string} content
+   */
+  static extractJson(content) {
+    const fenced = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return fenced ? fenced[1] : content;
+  }
+}
@@ -0,0 +1,22 @@
+// ==================================================================================================
+// BUILT-IN LYRICS PROVIDERS
+// ==================================================================================================
+
+// Registration order is the default lookup order after the preferred provider.
+// To add a source, create a provider module here and register it below.
+
+import { providerRegistry } from './registry.js';
+import { kpoeProvider, customKpoeProvider } from './kpoeProvider.js';
+import { lrclibProvider } from './lrclibProvider.js';
+import { localProvider } from './localProvider.js';
+import { youtubeProvider } from './youtubeProvider.js';
+
+[
+  kpoeProvider,
+  customKpoeProvider,
+  lrclibProvider,
+  localProvider,
+  youtubeProvider
+].forEach(provider => providerRegistry.register(provider));
+
+export { providerRegistry };
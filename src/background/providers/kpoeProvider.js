@@ -0,0 +1,38 @@
+// ==================================================================================================
+// PROVIDER - KPOE
+// ==================================================================================================
+
+import { PROVIDERS } from '../constants.js';
+import { KPoeService } from '../services/kpoeService.js';
+
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+
+/** @type {LyricsProviderDefinition} */
+export const kpoeProvider = {
+  id: PROVIDERS.KPOE,
+  name: 'Lyrics+ (KPoe)',
+  capabilities: { lineSync: true, wordSync: true, romanization: true },
+  fetch(songInfo, { settings, forceReload, fetchOptions }) {
+    return KPoeService.fetch(songInfo, settings.lyricsSourceOrder, forceReload, fetchOptions);
+  }
+};
+
+/** @type {LyricsProviderDefinition} */
+export const customKpoeProvider = {
+  id: PROVIDERS.CUSTOM_KPOE,
+  name: 'Custom KPoe Server',
+  capabilities: { lineSync: true, wordSync: true, romanization: true },
+  isAvailable(settings) {
+    return !!settings.customKpoeUrl;
+  },
+  async fetch(songInfo, { settings, forceReload, fetchOptions }) {
+    if (!settings.customKpoeUrl) return null;
+    return KPoeService.fetchCustom(
+      songInfo,
+      settings.customKpoeUrl,
+      settings.lyricsSourceOrder,
+      forceReload,
+      fetchOptions
+    );
+  }
+};
@@ -0,0 +1,22 @@
+// ==================================================================================================
+// PROVIDER - LOCAL LYRICS
+// ==================================================================================================
+
+import { PROVIDERS } from '../constants.js';
+import { LocalLyricsService } from '../services/localLyricsService.js';
+
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+
+/** @type {LyricsProviderDefinition} */
+export const localProvider = {
+  id: PROVIDERS.LOCAL,
+  name: 'Local Lyrics',
+  capabilities: { lineSync: true, wordSync: true, romanization: false },
+  async isAvailable(settings, { songInfo }) {
+    return !!(await LocalLyricsService.find(songInfo));
+  },
+  async fetch(songInfo) {
+    const localResult = await LocalLyricsService.find(songInfo);
+    return localResult?.lyrics || null;
+  }
+};
@@ -0,0 +1,20 @@
+// ==================================================================================================
+// PROVIDER - LRCLIB
+// ==================================================================================================
+
+import { PROVIDERS } from '../constants.js';
+import { LRCLibService } from '../services/lrclibService.js';
+
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+
+/** @type {LyricsProviderDefinition} */
+export const lrclibProvider = {
+  id: PROVIDERS.LRCLIB,
+  name: 'LRCLIB',
+  capabilities: { lineSync: true, wordSync: false, romanization: false },
+  // Its search already normalizes the title and artist.
+  relaxedQueries: false,
+  fetch(songInfo, { fetchOptions }) {
+    return LRCLibService.fetch(songInfo, fetchOptions);
+  }
+};
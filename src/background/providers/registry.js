@@ -0,0 +1,76 @@
+// ==================================================================================================
+// LYRICS PROVIDER REGISTRY
+// ==================================================================================================
+
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+/** @typedef {import('../../types').LyricsProviderDescriptor} LyricsProviderDescriptor */
+
+class ProviderRegistry {
+  constructor() {
+    /** @type {Map<string, LyricsProviderDefinition>} */
+    this.providers = new Map();
+  }
+
+  /** @param {LyricsProviderDefinition} provider */
+  register(provider) {
+    if (!provider || !provider.id || typeof provider.fetch !== 'function') {
+      throw new Error('Lyrics provider must have an id and a fetch method');
+    }
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Lyrics provider "${provider.id}" is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  /** @param {string} id */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /** @param {string} id */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /** @returns {LyricsProviderDefinition[]} */
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Providers in lookup order: the preferred provider first, the remaining regular
+   * providers in registration order, and fallback-only providers last.
+   * @param {string} [preferredId]
+   * @returns {LyricsProviderDefinition[]}
+   */
+  getOrder(preferredId) {
+    const all = this.getAll();
+    const regular = all.filter(p => !p.fallback);
+    const fallbacks = all.filter(p => p.fallback);
+
+    const preferred = regular.find(p => p.id === preferredId) || regular[0];
+    if (!preferred) return fallbacks;
+
+    return [
+      preferred,
+      ...regular.filter(p => p !== preferred),
+      ...fallbacks
+    ];
+  }
+
+  /**
+   * Serializable provider list for extension pages.
+   * @returns {LyricsProviderDescriptor[]}
+   */
+  describe() {
+    return this.getAll().map(({ id, name, capabilities, selectable = true, fallback = false }) => ({
+      id,
+      name,
+      capabilities: { ...capabilities },
+      selectable,
+      fallback
+    }));
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
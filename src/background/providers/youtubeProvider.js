@@ -0,0 +1,22 @@
+// ==================================================================================================
+// PROVIDER - YOUTUBE CAPTIONS
+// ==================================================================================================
+
+import { PROVIDERS } from '../constants.js';
+import { YouTubeService } from '../services/youtubeService.js';
+
+/** @typedef {import('../../types').LyricsProviderDefinition} LyricsProviderDefinition */
+
+/** @type {LyricsProviderDefinition} */
+export const youtubeProvider = {
+  id: PROVIDERS.YOUTUBE,
+  name: 'YouTube Captions',
+  capabilities: { lineSync: true, wordSync: false, romanization: false },
+  selectable: false,
+  fallback: true,
+  relaxedQueries: false,
+  async fetch(songInfo, { fetchOptions }) {
+    if (!songInfo.videoId || !songInfo.subtitle) return null;
+    return YouTubeService.fetchSubtitles(songInfo, fetchOptions);
+  }
+};
@@ -0,0 +1,244 @@
+// ==================================================================================================
+// BACKUP SERVICE
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { state } from '../storage/state.js';
+import { SettingsManager } from '../storage/settings.js';
+import { lyricsDB, translationsDB, localLyricsDB, putManyAcrossStores } from '../storage/database.js';
+import { cacheLimiter } from '../storage/cacheLimiter.js';
+import { LocalLyricsService } from './localLyricsService.js';
+
+/** @typedef {import('../../types').BackupFile} BackupFile */
+/** @typedef {import('../../types').BackupPreview} BackupPreview */
+/** @typedef {import('../../types').BackupImportMode} BackupImportMode */
+/** @typedef {import('../../types').BackupStoreName} BackupStoreName */
+/** @typedef {import('../../types').BackupSectionPreview} BackupSectionPreview */
+
+const { FORMAT, VERSION, EXCLUDED_SETTINGS, SECRET_SETTINGS, SETTING_TYPES } = CONFIG.BACKUP;
+
+/** Backed up stores, in the order they are exported and imported. */
+const STORES = {
+  localLyrics: localLyricsDB,
+  translations: translationsDB,
+  lyrics: lyricsDB
+};
+
+/**
+ * Field a record is stored under, used to tell new records from overwritten ones.
+ * @param {BackupStoreName} name
+ */
+function keyPathOf(name) {
+  return STORES[name].config.keyPath;
+}
+
+/** @param {unknown} value */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Type of a setting value in the terms of CONFIG.BACKUP.SETTING_TYPES.
+ * @param {unknown} value
+ */
+function settingTypeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return value === null ? 'null' : typeof value;
+}
+
+export class BackupService {
+  /**
+   * Collect settings and stored data into one file. Cache bookkeeping and remembered
+   * "not found" results are left out; they are rebuilt on the target browser.
+   * @param {{ includeLyricsCache?: boolean, includeSecrets?: boolean }} [options]
+   * @returns {Promise<BackupFile>}
+   */
+  static async export({ includeLyricsCache = false, includeSecrets = false } = {}) {
+    const allSettings = await SettingsManager.get(null);
+    const settings = Object.fromEntries(Object.entries(allSettings).filter(([key]) =>
+      this.isRestorableSetting(key) && (includeSecrets || !SECRET_SETTINGS.includes(key))
+    ));
+
+    /** @type {BackupStoreName[]} */
+    const names = includeLyricsCache ? ['localLyrics', 'translations', 'lyrics'] : ['localLyrics', 'translations'];
+    /** @type {BackupFile['stores']} */
+    const stores = {};
+    for (const name of names) {
+      const records = await STORES[name].getAll();
+      stores[name] = records
+        .filter(record => !record.notFound)
+        .map(({ size, lastAccess, ...record }) => record);
+    }
+
+    const runtime = typeof browser !== 'undefined' ? browser.runtime : chrome.runtime;
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: Date.now(),
+      extensionVersion: runtime?.getManifest?.().version,
+      settings,
+      stores
+    };
+  }
+
+  /**
+   * Check the structure of an imported file and drop anything that must not be restored.
+   * Settings must be known ones of the right type; other keys are dropped.
+   * @param {any} backup
+   * @returns {BackupFile}
+   */
+  static validate(backup) {
+    if (!isPlainObject(backup) || backup.format !== FORMAT) {
+      throw new Error('Not a NewSync backup file');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('Backup file has no valid version');
+    }
+    if (backup.version > VERSION) {
+      throw new Error(`Backup was made by a newer version of NewSync (format ${backup.version}); please update first`);
+    }
+    if (!isPlainObject(backup.settings) || !isPlainObject(backup.stores)) {
+      throw new Error('Backup file is missing its settings or stores');
+    }
+
+    const settings = Object.fromEntries(Object.entries(backup.settings)
+      .filter(([key]) => this.isRestorableSetting(key)));
+    Object.entries(settings).forEach(([key, value]) => {
+      if (settingTypeOf(value) !== SETTING_TYPES[key]) {
+        throw new Error(`Setting "${key}" in the backup file should be a ${SETTING_TYPES[key]}, not a ${settingTypeOf(value)}`);
+      }
+    });
+
+    /** @type {BackupFile['stores']} */
+    const stores = {};
+    for (const [name, records] of Object.entries(backup.stores)) {
+      if (!(name in STORES)) {
+        throw new Error(`Backup file contains an unknown store "${name}"`);
+      }
+      const storeName = /** @type {BackupStoreName} */ (name);
+      if (!Array.isArray(records)) {
+        throw new Error(`Store "${name}" in the backup file is not a list`);
+      }
+      const keyPath = keyPathOf(storeName);
+      records.forEach((record, i) => {
+        if (!isPlainObject(record) || typeof record[keyPath] !== 'string' || !record[keyPath]) {
+          throw new Error(`Entry ${i + 1} of "${name}" has no ${keyPath}`);
+        }
+        if (storeName === 'localLyrics' && (!isPlainObject(record.songInfo) || !record.songInfo.title || !record.lyrics)) {
+          throw new Error(`Local lyrics entry ${i + 1} is missing its song info or lyrics`);
+        }
+      });
+      stores[storeName] = storeName === 'localLyrics'
+        // Rebuild local records so their lookup fields match this version's indexes.
+        ? records.map(r => LocalLyricsService.createRecord(r.songId, r.songInfo, r.lyrics, r.timestamp || Date.now()))
+        : records;
+    }
+
+    return {
+      format: FORMAT,
+      version: backup.version,
+      exportedAt: Number(backup.exportedAt) || 0,
+      extensionVersion: typeof backup.extensionVersion === 'string' ? backup.extensionVersion : undefined,
+      settings,
+      stores
+    };
+  }
+
+  /**
+   * Describe what importing the file would change, for both merge and replace.
+   * @param {any} backup
+   * @returns {Promise<BackupPreview>}
+   */
+  static async preview(backup) {
+    return this.describeChanges(this.validate(backup));
+  }
+
+  /**
+   * @param {BackupFile} data - A validated file.
+   * @returns {Promise<BackupPreview>}
+   */
+  static async describeChanges(data) {
+    const current = await SettingsManager.get(null);
+    const incomingKeys = Object.keys(data.settings);
+
+    /** @type {BackupPreview['stores']} */
+    const stores = {};
+    for (const name of /** @type {BackupStoreName[]} */ (Object.keys(data.stores))) {
+      const existing = new Set(await STORES[name].getAllKeys());
+      const incoming = new Set(data.stores[name].map(record => record[keyPathOf(name)]));
+      const overwritten = [...incoming].filter(key => existing.has(key)).length;
+      stores[name] = {
+        incoming: incoming.size,
+        added: incoming.size - overwritten,
+        overwritten,
+        removedOnReplace: [...existing].filter(key => !incoming.has(key)).length
+      };
+    }
+
+    return {
+      exportedAt: data.exportedAt,
+      extensionVersion: data.extensionVersion,
+      settings: {
+        incoming: incomingKeys.length,
+        added: incomingKeys.filter(key => !(key in current)).length,
+        overwritten: incomingKeys.filter(key => key in current).length,
+        removedOnReplace: this.getRemovableSettings(current, data.settings).length,
+        changed: incomingKeys.filter(key => JSON.stringify(current[key]) !== JSON.stringify(data.settings[key]))
+      },
+      stores
+    };
+  }
+
+  /**
+   * Restore a file. "merge" overwrites matching entries and keeps the rest; "replace"
+   * also deletes entries the file does not have. Stores absent from the file are
+   * never touched, and neither are API keys when the file carries none. The whole file
+   * is validated first, and the stores are written in one transaction before the
+   * settings, so a failure leaves the current data as it was.
+   * @param {any} backup
+   * @param {BackupImportMode} mode
+   * @returns {Promise<BackupPreview>} What was changed.
+   */
+  static async import(backup, mode) {
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    const data = this.validate(backup);
+    const summary = await this.describeChanges(data);
+
+    await putManyAcrossStores(
+      /** @type {BackupStoreName[]} */ (Object.keys(data.stores)).map(name => ({ db: STORES[name], records: data.stores[name] })),
+      { replace: mode === 'replace' }
+    );
+
+    if (mode === 'replace') {
+      const current = await SettingsManager.get(null);
+      const removable = this.getRemovableSettings(current, data.settings);
+      if (removable.length) await SettingsManager.remove(removable);
+    }
+    await SettingsManager.set(data.settings);
+
+    state.clear();
+    cacheLimiter.schedule();
+    return summary;
+  }
+
+  /**
+   * Settings a replace import deletes: restorable settings not in the file, except secrets.
+   * @param {Record<string, any>} current
+   * @param {Record<string, any>} incoming
+   */
+  static getRemovableSettings(current, incoming) {
+    return Object.keys(current).filter(key =>
+      !(key in incoming) && this.isRestorableSetting(key) && !SECRET_SETTINGS.includes(key)
+    );
+  }
+
+  /**
+   * A known setting that travels between browsers, unlike device state.
+   * @param {string} key
+   */
+  static isRestorableSetting(key) {
+    return Object.hasOwn(SETTING_TYPES, key) && !EXCLUDED_SETTINGS.includes(key);
+  }
+}
@@ -3,35 +3,47 @@
 // ==================================================================================================
 
 import { Utilities } from '../utils/utilities.js';
-import { CONFIG } from '../constants.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { CONFIG, PROVIDERS } from '../constants.js';
 
 export class GoogleService {
-  static async translate(text, targetLang) {
+  /**
+   * @param {string} text
+   * @param {string} targetLang
+   * @param {AbortSignal} [signal]
+   */
+  static async translate(text, targetLang, signal) {
     if (!text.trim()) return "";
     
     const url = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&tl=${targetLang}&dt=t&q=${encodeURIComponent(text)}`;
     
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`Google Translate error: ${response.statusText}`);
+    const response = await Utilities.fetchWithTimeout(url, { signal });
+    if (!response.ok) {
+      throw ServiceError.fromResponse(response, `Google Translate error: ${response.status} ${response.statusText}`, PROVIDERS.GOOGLE);
+    }
     
     const data = await response.json();
     return data?.[0]?.map(segment => segment?.[0]).join('') || text;
   }
 
-  static async romanize(originalLyrics) {
+  /**
+   * @param {any} originalLyrics
+   * @param {AbortSignal} [signal]
+   */
+  static async romanize(originalLyrics, signal) {
     if (originalLyrics.type === "Word") {
-      return this.romanizeWordSynced(originalLyrics);
+      return this.romanizeWordSynced(originalLyrics, signal);
     } else {
-      return this.romanizeLineSynced(originalLyrics);
+      return this.romanizeLineSynced(originalLyrics, signal);
     }
   }
 
-  static async romanizeWordSynced(originalLyrics) {
+  static async romanizeWordSynced(originalLyrics, signal) {
     return Promise.all(originalLyrics.data.map(async (line) => {
       if (!line.syllabus?.length) return line;
       
       const syllableTexts = line.syllabus.map(s => s.text);
-      const romanizedTexts = await this.romanizeTexts(syllableTexts);
+      const romanizedTexts = await this.romanizeTexts(syllableTexts, signal);
       
       const newSyllabus = line.syllabus.map((s, index) => ({
         ...s,
@@ -42,9 +54,9 @@ export class GoogleService {
     }));
   }
 
-  static async romanizeLineSynced(originalLyrics) {
+  static async romanizeLineSynced(originalLyrics, signal) {
     const linesToRomanize = originalLyrics.data.map(line => line.text);
-    const romanizedLines = await this.romanizeTexts(linesToRomanize);
+    const romanizedLines = await this.romanizeTexts(linesToRomanize, signal);
     
     return originalLyrics.data.map((line, index) => ({
       ...line,
@@ -52,7 +64,7 @@ export class GoogleService {
     }));
   }
 
-  static async romanizeTexts(texts) {
+  static async romanizeTexts(texts, signal) {
     const contextText = texts.join(' ');
     
     if (Utilities.isPurelyLatinScript(contextText)) {
@@ -62,13 +74,14 @@ export class GoogleService {
     let sourceLang = 'auto';
     try {
       const detectUrl = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&tl=en&dt=t&q=${encodeURIComponent(contextText)}`;
-      const detectResponse = await fetch(detectUrl);
+      const detectResponse = await Utilities.fetchWithTimeout(detectUrl, { signal });
       
       if (detectResponse.ok) {
         const detectData = await detectResponse.json();
         sourceLang = detectData[2] || 'auto';
       }
     } catch (e) {
+      if (signal?.aborted) throw e;
       console.error("GoogleService: Language detection failed, using 'auto':", e);
     }
 
@@ -86,11 +99,12 @@ export class GoogleService {
       while (attempt < CONFIG.GOOGLE.MAX_RETRIES && !success) {
         try {
           const romanizeUrl = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=en&hl=en&dt=rm&q=${encodeURIComponent(text)}`;
-          const response = await fetch(romanizeUrl);
+          const response = await Utilities.fetchWithTimeout(romanizeUrl, { signal });
           const data = await response.json();
           romanizedTexts.push(data?.[0]?.[0]?.[3] || text);
           success = true;
         } catch (error) {
+          if (signal?.aborted) throw error;
           lastError = error;
           console.warn(`GoogleService: Error romanizing text "${text}" (attempt ${attempt + 1}/${CONFIG.GOOGLE.MAX_RETRIES}):`, error);
           attempt++;
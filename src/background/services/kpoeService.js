@@ -2,15 +2,46 @@
 // EXTERNAL SERVICE - KPOE
 // ==================================================================================================
 
-import { CONFIG } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { mirrorHealth } from '../storage/mirrorHealth.js';
+import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { PROVIDERS } from '../constants.js';
 
 export class KPoeService {
+  /**
+   * Ask the mirrors in health order. Throws when none of them could be reached, so a
+   * lookup can tell an outage apart from lyrics that do not exist.
+   */
   static async fetch(songInfo, sourceOrder, forceReload, fetchOptions) {
-    for (const baseUrl of CONFIG.KPOE_SERVERS) {
-      const lyrics = await this.fetchFromAPI(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
-      if (lyrics) return lyrics;
+    const mirrors = await mirrorHealth.getOrderedMirrors();
+    let reachedAny = false;
+    let lastFailure = null;
+
+    for (const baseUrl of mirrors) {
+      // A recovering mirror takes one trial request at a time.
+      if (!mirrorHealth.claimRequest(baseUrl)) continue;
+
+      let result;
+      try {
+        result = await this.request(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
+      } catch (error) {
+        mirrorHealth.releaseTrial(baseUrl);
+        throw error;
+      }
+
+      if (result.reachable) {
+        await mirrorHealth.recordSuccess(baseUrl, result.latencyMs);
+        reachedAny = true;
+      } else {
+        await mirrorHealth.recordFailure(baseUrl, result.error);
+        lastFailure = result;
+      }
+
+      if (result.lyrics) return result.lyrics;
     }
+
+    if (!reachedAny && lastFailure) throw this.toServiceError(lastFailure, PROVIDERS.KPOE);
     return null;
   }
 
@@ -19,34 +50,100 @@ export class KPoeService {
     return this.fetchFromAPI(customUrl, songInfo, sourceOrder, forceReload, fetchOptions);
   }
 
+  /** Single custom server lookup; throws when the server could not be reached. */
   static async fetchFromAPI(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions) {
+    const result = await this.request(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
+    if (!result.reachable) throw this.toServiceError(result, PROVIDERS.CUSTOM_KPOE);
+    return result.lyrics;
+  }
+
+  /**
+   * @param {{ error?: string, status?: number, cause?: unknown }} failure - A request() result.
+   * @param {string} provider
+   */
+  static toServiceError(failure, provider) {
+    if (!failure.status) return ServiceError.from(failure.cause ?? failure.error, provider);
+    return new ServiceError(
+      ServiceError.codeForStatus(failure.status),
+      `KPoe server error: ${failure.error}`,
+      { provider, status: failure.status }
+    );
+  }
+
+  /**
+   * Perform a lyrics lookup against one server and report whether the server itself
+   * behaved. 404/403 mean "no lyrics", not an unhealthy server. A request that timed
+   * out counts against the server; an aborted lookup is rethrown and counts against nobody.
+   */
+  static async request(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions) {
     const { title, artist, album, duration } = songInfo;
     const params = new URLSearchParams({ title, artist, duration });
-    
+
     if (album) params.append('album', album);
     if (sourceOrder) params.append('source', sourceOrder);
     if (forceReload) params.append('forceReload', 'true');
 
-    const url = `${baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`}v2/lyrics/get?${params}`;
+    const url = `${this.normalizeBaseUrl(baseUrl)}v2/lyrics/get?${params}`;
+    const startedAt = Date.now();
 
     try {
-      const response = await fetch(url, forceReload ? { cache: 'no-store' } : fetchOptions);
-      
+      const response = await Utilities.fetchWithTimeout(url, forceReload ? { ...fetchOptions, cache: 'no-store' } : fetchOptions);
+      const latencyMs = Date.now() - startedAt;
+
       if (response.ok) {
         const data = await response.json();
-        return DataParser.parseKPoeFormat(data);
+        return { lyrics: DataParser.parseKPoeFormat(data), reachable: true, latencyMs };
       }
-      
+
       if (response.status === 404 || response.status === 403) {
-        return null;
+        return { lyrics: null, reachable: true, latencyMs };
       }
-      
+
       console.warn(`KPoe API failed (${response.status}): ${response.statusText}`);
-      return null;
+      return {
+        lyrics: null,
+        reachable: response.status < 500 && response.status !== 429,
+        latencyMs,
+        error: `HTTP ${response.status}`,
+        status: response.status
+      };
     } catch (error) {
+      if (fetchOptions?.signal?.aborted) throw error;
       console.error(`Network error fetching from ${baseUrl}:`, error);
-      return null;
+      return {
+        lyrics: null,
+        reachable: false,
+        latencyMs: Date.now() - startedAt,
+        error: error instanceof Error ? error.message : String(error),
+        cause: error
+      };
+    }
+  }
+
+  /**
+   * Manual health check used by the settings page.
+   * @param {string} baseUrl
+   */
+  static async testMirror(baseUrl) {
+    const startedAt = Date.now();
+    try {
+      const response = await Utilities.fetchWithTimeout(this.normalizeBaseUrl(baseUrl), { cache: 'no-store' });
+      const latencyMs = Date.now() - startedAt;
+      if (response.status >= 500) {
+        await mirrorHealth.recordFailure(baseUrl, `HTTP ${response.status}`);
+        return { reachable: false, latencyMs, error: `HTTP ${response.status}` };
+      }
+      await mirrorHealth.recordSuccess(baseUrl, latencyMs);
+      return { reachable: true, latencyMs };
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      await mirrorHealth.recordFailure(baseUrl, errorMessage);
+      return { reachable: false, latencyMs: Date.now() - startedAt, error: errorMessage };
     }
   }
-}
 
+  /** @param {string} baseUrl */
+  static normalizeBaseUrl(baseUrl) {
+    return baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  }
+}
@@ -0,0 +1,198 @@
+// ==================================================================================================
+// EXTERNAL SERVICE - LIBRETRANSLATE
+// ==================================================================================================
+
+import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { CONFIG, PROVIDERS, ERROR_CODES } from '../constants.js';
+
+/** @typedef {import('../../types').TranslationSettings} TranslationSettings */
+
+/**
+ * Character limit each server reported, by base URL. Null when it has none or did not say.
+ * @type {Map<string, Promise<number | null>>}
+ */
+const charLimits = new Map();
+
+/**
+ * A LibreTranslate-compatible server, usually self-hosted. Lines are sent in batches that
+ * stay under the server's character limit; a batch the server still rejects as too large
+ * is split in half and retried.
+ */
+export class LibreTranslateService {
+  /** @param {TranslationSettings} settings */
+  static isConfigured(settings) {
+    return !!settings.libreTranslateUrl?.trim();
+  }
+
+  /** @param {TranslationSettings} settings */
+  static getBaseUrl(settings) {
+    return settings.libreTranslateUrl.trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * @param {string[]} texts
+   * @param {string} targetLang
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string[]>} One translation per text; blank texts are returned as they are.
+   */
+  static async translate(texts, targetLang, settings, signal) {
+    const target = targetLang.trim().toLowerCase().split(/[-_]/)[0];
+    const charLimit = await this.getCharLimit(settings, signal);
+    const translated = [...texts];
+
+    for (const batch of this.createBatches(texts, charLimit)) {
+      const results = await this.translateBatch(batch.map(index => texts[index]), target, settings, signal);
+      batch.forEach((index, i) => {
+        translated[index] = results[i];
+      });
+    }
+
+    return translated;
+  }
+
+  /**
+   * Group the indices of non-blank texts into batches within the line and character limits.
+   * @param {string[]} texts
+   * @param {number | null} charLimit
+   * @returns {number[][]}
+   */
+  static createBatches(texts, charLimit) {
+    const maxChars = Math.min(CONFIG.LIBRETRANSLATE.BATCH_CHARS, charLimit ?? Infinity);
+    /** @type {number[][]} */
+    const batches = [];
+    /** @type {number[]} */
+    let current = [];
+    let currentChars = 0;
+
+    texts.forEach((text, index) => {
+      if (!text?.trim()) return;
+
+      if (current.length && (current.length >= CONFIG.LIBRETRANSLATE.BATCH_LINES || currentChars + text.length > maxChars)) {
+        batches.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(index);
+      currentChars += text.length;
+    });
+
+    if (current.length) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @param {string} target
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string[]>}
+   */
+  static async translateBatch(texts, target, settings, signal) {
+    const response = await this.post(settings, '/translate', {
+      q: texts,
+      source: 'auto',
+      target,
+      format: 'text'
+    }, signal);
+
+    if (!response.ok) {
+      const message = await this.readError(response);
+
+      if (response.status === 400 && texts.length > 1 && /limit|too (long|large|many)/i.test(message)) {
+        const middle = Math.ceil(texts.length / 2);
+        const first = await this.translateBatch(texts.slice(0, middle), target, settings, signal);
+        const second = await this.translateBatch(texts.slice(middle), target, settings, signal);
+        return [...first, ...second];
+      }
+
+      throw ServiceError.fromResponse(response, `LibreTranslate error: ${response.status} - ${message}`, PROVIDERS.LIBRETRANSLATE);
+    }
+
+    const data = await response.json();
+    const translated = Array.isArray(data?.translatedText) ? data.translatedText : null;
+
+    if (!translated || translated.length !== texts.length) {
+      throw new ServiceError(
+        ERROR_CODES.PARSE_FAILURE,
+        `LibreTranslate returned ${translated ? translated.length : 'no'} lines for ${texts.length}`,
+        { provider: PROVIDERS.LIBRETRANSLATE }
+      );
+    }
+
+    return translated.map((text, i) => (typeof text === 'string' && text) || texts[i]);
+  }
+
+  /**
+   * Language of the text according to the server's `/detect` endpoint.
+   * @param {string} text
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string | null>}
+   */
+  static async detect(text, settings, signal) {
+    const response = await this.post(settings, '/detect', { q: text }, signal);
+    if (!response.ok) {
+      throw ServiceError.fromResponse(
+        response,
+        `LibreTranslate detect error: ${response.status} - ${await this.readError(response)}`,
+        PROVIDERS.LIBRETRANSLATE
+      );
+    }
+
+    const data = await response.json();
+    const best = Array.isArray(data)
+      ? data.reduce((top, candidate) => (!top || candidate.confidence > top.confidence ? candidate : top), null)
+      : null;
+
+    return typeof best?.language === 'string' ? best.language.toLowerCase() : null;
+  }
+
+  /**
+   * The server's character limit per request, from `/frontend/settings`. Asked once per
+   * server URL; servers that do not expose it get only the configured limits.
+   * @param {TranslationSettings} settings
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<number | null>}
+   */
+  static getCharLimit(settings, signal) {
+    const baseUrl = this.getBaseUrl(settings);
+    if (!charLimits.has(baseUrl)) {
+      const request = Utilities.fetchWithTimeout(`${baseUrl}/frontend/settings`, { signal })
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => (typeof data?.charLimit === 'number' && data.charLimit > 0 ? data.charLimit : null))
+        .catch(error => {
+          if (signal?.aborted) {
+            charLimits.delete(baseUrl);
+            throw error;
+          }
+          console.warn("LibreTranslate: could not read the server's limits, using defaults", error);
+          return null;
+        });
+      charLimits.set(baseUrl, request);
+    }
+    return charLimits.get(baseUrl);
+  }
+
+  /**
+   * @param {TranslationSettings} settings
+   * @param {string} path
+   * @param {Record<string, any>} body
+   * @param {AbortSignal} [signal]
+   */
+  static post(settings, path, body, signal) {
+    return Utilities.fetchWithTimeout(`${this.getBaseUrl(settings)}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings.libreTranslateApiKey ? { ...body, api_key: settings.libreTranslateApiKey } : body),
+      signal
+    }, CONFIG.TIMEOUTS.LIBRETRANSLATE_REQUEST_MS);
+  }
+
+  /** @param {Response} response */
+  static async readError(response) {
+    const data = await response.json().catch(() => null);
+    return data?.error || response.statusText;
+  }
+}
@@ -0,0 +1,60 @@
+// ==================================================================================================
+// LOCAL LYRICS SERVICE
+// ==================================================================================================
+
+import { localLyricsDB } from '../storage/database.js';
+import { DataParser } from '../utils/dataParser.js';
+import { SongMetadata } from '../utils/songMetadata.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsCacheEntry} LyricsCacheEntry */
+
+export class LocalLyricsService {
+  /**
+   * Find user-uploaded lyrics by songId, then by videoId, then by normalized title and artist.
+   * @param {SongInfo} songInfo
+   * @returns {Promise<LyricsCacheEntry | null>}
+   */
+  static async find(songInfo) {
+    if (songInfo.songId) {
+      const directLocal = await localLyricsDB.get(songInfo.songId);
+      if (directLocal) {
+        return {
+          lyrics: DataParser.parseKPoeFormat(directLocal.lyrics),
+          version: directLocal.timestamp || songInfo.songId
+        };
+      }
+    }
+
+    const { matchKey, videoId } = SongMetadata.toIndexFields(songInfo);
+    const matched = (videoId && await localLyricsDB.getByIndex('videoId', videoId)) ||
+      await localLyricsDB.getByIndex('matchKey', matchKey);
+
+    if (matched) {
+      console.log(`Found local lyrics for "${songInfo.title}"`);
+      return {
+        lyrics: DataParser.parseKPoeFormat(matched.lyrics),
+        version: matched.timestamp || matched.songId
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a stored record, including the fields the lookup indexes read.
+   * @param {string} songId
+   * @param {SongInfo} songInfo
+   * @param {any} lyrics
+   * @param {number} timestamp
+   */
+  static createRecord(songId, songInfo, lyrics, timestamp) {
+    return {
+      songId,
+      songInfo,
+      lyrics,
+      timestamp,
+      ...SongMetadata.toIndexFields(songInfo)
+    };
+  }
+}
@@ -2,29 +2,154 @@
 // EXTERNAL SERVICE - LRCLIB
 // ==================================================================================================
 
+import { CONFIG, PROVIDERS } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { Utilities } from '../utils/utilities.js';
+import { ServiceError } from '../utils/serviceError.js';
+import { SongMetadata } from '../utils/songMetadata.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsData} LyricsData */
+/** @typedef {import('../../types').FetchOptions} FetchOptions */
 
 export class LRCLibService {
+  /**
+   * Exact lookup first, then a fuzzy search when the exact lookup misses. Null means
+   * LRCLIB has no such song; timeouts, cancellation and server errors are thrown.
+   * @param {SongInfo} songInfo
+   * @param {FetchOptions} [fetchOptions]
+   * @returns {Promise<LyricsData | null>}
+   */
   static async fetch(songInfo, fetchOptions = {}) {
+    const exact = await this.fetchExact(songInfo, fetchOptions);
+    if (exact && !exact.instrumental) {
+      const lyrics = DataParser.parseLRCLibFormat(exact) || DataParser.parseLRCLibPlainFormat(exact);
+      if (lyrics) return lyrics;
+    }
+
+    const match = await this.searchBestMatch(songInfo, fetchOptions);
+    if (!match) return null;
+
+    return DataParser.parseLRCLibFormat(match) || DataParser.parseLRCLibPlainFormat(match);
+  }
+
+  /**
+   * @param {SongInfo} songInfo
+   * @param {FetchOptions} fetchOptions
+   */
+  static async fetchExact(songInfo, fetchOptions) {
     const params = new URLSearchParams({
       artist_name: songInfo.artist,
       track_name: songInfo.title
     });
-    
+
     if (songInfo.album) params.append('album_name', songInfo.album);
 
-    const url = `https://lrclib.net/api/get?${params}`;
-
-    try {
-      const response = await fetch(url, fetchOptions);
-      if (!response.ok) return null;
-      
-      const data = await response.json();
-      return DataParser.parseLRCLibFormat(data);
-    } catch (error) {
-      console.error("LRCLIB error:", error);
-      return null;
+    const response = await Utilities.fetchWithTimeout(`${CONFIG.LRCLIB.BASE_URL}/get?${params}`, fetchOptions);
+    if (response.status === 404) return null;
+    if (!response.ok) throw this.toServiceError(response);
+
+    return response.json();
+  }
+
+  /**
+   * Query /api/search and return the best ranked record, or null if nothing is close enough.
+   * @param {SongInfo} songInfo
+   * @param {FetchOptions} fetchOptions
+   */
+  static async searchBestMatch(songInfo, fetchOptions) {
+    const { title, primaryArtist } = SongMetadata.normalize(songInfo);
+
+    let results = await this.search(new URLSearchParams({
+      track_name: title,
+      artist_name: primaryArtist
+    }), fetchOptions);
+
+    if (!results.length) {
+      results = await this.search(new URLSearchParams({ q: `${title} ${primaryArtist}` }), fetchOptions);
     }
+
+    const ranked = results
+      .filter(record => !record.instrumental && (record.syncedLyrics || record.plainLyrics))
+      .map(record => ({ record, ...this.rankCandidate(record, songInfo) }))
+      .filter(candidate => candidate.accepted)
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length) {
+      const best = ranked[0];
+      console.log(`LRCLIB search matched "${best.record.trackName}" by ${best.record.artistName} (score ${best.score.toFixed(2)})`);
+    }
+
+    return ranked[0]?.record || null;
   }
-}
 
+  /**
+   * @param {URLSearchParams} params
+   * @param {FetchOptions} fetchOptions
+   * @returns {Promise<any[]>}
+   */
+  static async search(params, fetchOptions) {
+    const response = await Utilities.fetchWithTimeout(`${CONFIG.LRCLIB.BASE_URL}/search?${params}`, fetchOptions);
+    if (response.status === 404) return [];
+    if (!response.ok) throw this.toServiceError(response);
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  }
+
+  /** @param {Response} response */
+  static toServiceError(response) {
+    return ServiceError.fromResponse(response, `LRCLIB error: ${response.status} ${response.statusText}`, PROVIDERS.LRCLIB);
+  }
+
+  /**
+   * Weighted title/artist similarity plus duration closeness. Synced lyrics get a
+   * small bonus so they win over plain text of an otherwise equal match.
+   * @param {any} record
+   * @param {SongInfo} songInfo
+   */
+  static rankCandidate(record, songInfo) {
+    const { MIN_MATCH_SCORE, MIN_TITLE_SIMILARITY, MAX_DURATION_DIFF_S, SYNCED_BONUS } = CONFIG.LRCLIB;
+
+    const titleSimilarity = Utilities.similarity(
+      SongMetadata.toMatchKey(SongMetadata.normalize({ title: record.trackName || '' }).title),
+      SongMetadata.toMatchKey(SongMetadata.normalize(songInfo).title)
+    );
+    const artistSimilarity = this.artistSimilarity(record.artistName || '', songInfo.artist || '');
+
+    const trackDuration = Number(songInfo.duration);
+    const durationDiff = trackDuration && record.duration
+      ? Math.abs(Number(record.duration) - trackDuration)
+      : null;
+    const durationScore = durationDiff === null
+      ? 0.5
+      : Math.max(0, 1 - Math.max(0, durationDiff - 2) / (MAX_DURATION_DIFF_S - 2));
+
+    const score = titleSimilarity * 0.45 + artistSimilarity * 0.35 + durationScore * 0.2
+      + (record.syncedLyrics ? SYNCED_BONUS : 0);
+
+    const accepted = titleSimilarity >= MIN_TITLE_SIMILARITY &&
+      (durationDiff === null || durationDiff <= MAX_DURATION_DIFF_S) &&
+      score >= MIN_MATCH_SCORE;
+
+    return { score, accepted };
+  }
+
+  /**
+   * Compare full artist strings, the primary artist of each, and the first name of a
+   * collaboration ("A & B"), keeping the best match.
+   * @param {string} candidateArtist
+   * @param {string} songArtist
+   */
+  static artistSimilarity(candidateArtist, songArtist) {
+    const [candidatePrimary = ''] = SongMetadata.splitArtists(candidateArtist);
+    const [songPrimary = ''] = SongMetadata.splitArtists(songArtist);
+    const [candidateLead = ''] = SongMetadata.splitCollaborators(candidatePrimary);
+    const [songLead = ''] = SongMetadata.splitCollaborators(songPrimary);
+    return Math.max(
+      Utilities.similarity(SongMetadata.toMatchKey(candidateArtist), SongMetadata.toMatchKey(songArtist)),
+      Utilities.similarity(SongMetadata.toMatchKey(candidatePrimary), SongMetadata.toMatchKey(songPrimary)),
+      Utilities.similarity(SongMetadata.toMatchKey(candidateLead), SongMetadata.toMatchKey(songLead))
+    );
+  }
+}
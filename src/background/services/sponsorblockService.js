@@ -2,6 +2,8 @@
 // EXTERNAL SERVICE - SPONSORBLOCK
 // ==================================================================================================
 
+import { Utilities } from '../utils/utilities.js';
+
 export class SponsorBlockService {
   static async fetch(videoId) {
     const categories = [
@@ -12,7 +14,7 @@ export class SponsorBlockService {
     const url = `https://sponsor.ajay.app/api/skipSegments?videoID=${videoId}&categories=[${categories.map(c => `"${c}"`).join(',')}]`;
 
     try {
-      const response = await fetch(url);
+      const response = await Utilities.fetchWithTimeout(url);
       
       if (!response.ok) {
         if (response.status === 404) {
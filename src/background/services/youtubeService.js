@@ -4,9 +4,16 @@
 
 import { DataParser } from '../utils/dataParser.js';
 import { SettingsManager } from '../storage/settings.js';
+import { Utilities } from '../utils/utilities.js';
+
+/** @typedef {import('../../types').FetchOptions} FetchOptions */
 
 export class YouTubeService {
-  static async fetchSubtitles(songInfo) {
+  /**
+   * @param {any} songInfo
+   * @param {FetchOptions} [fetchOptions]
+   */
+  static async fetchSubtitles(songInfo, fetchOptions = {}) {
     try {
       const subtitleInfo = songInfo.subtitle;
       if (!subtitleInfo?.captionTracks?.length) return null;
@@ -42,7 +49,7 @@ export class YouTubeService {
       const url = new URL(selectedTrack.baseUrl || selectedTrack.url);
       url.searchParams.set('fmt', 'json3');
 
-      const response = await fetch(url.toString());
+      const response = await Utilities.fetchWithTimeout(url.toString(), fetchOptions);
       if (!response.ok) return null;
 
       const data = await response.json();
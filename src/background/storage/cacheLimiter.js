@@ -0,0 +1,111 @@
+// ==================================================================================================
+// CACHE SIZE LIMIT
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { lyricsDB, translationsDB } from './database.js';
+import { SettingsManager } from './settings.js';
+
+const { DEFAULT_MAX_MB, EVICTION_DELAY_MS } = CONFIG.CACHE_LIMIT;
+
+/**
+ * Keeps the lyrics and translation caches under one shared size cap by evicting
+ * the least recently used records first. A cap of 0 disables the limit.
+ */
+class CacheLimiter {
+  constructor() {
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.timer = null;
+    /** @type {Promise<number> | null} */
+    this.running = null;
+  }
+
+  async getMaxBytes() {
+    const { maxCacheSizeMB } = await SettingsManager.get({ maxCacheSizeMB: DEFAULT_MAX_MB });
+    const maxMB = Number(maxCacheSizeMB);
+    return Number.isFinite(maxMB) && maxMB > 0 ? maxMB * 1024 * 1024 : 0;
+  }
+
+  /** Run eviction shortly after a burst of writes instead of after every single one. */
+  schedule() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.enforce().catch(error => console.error('Cache eviction failed:', error));
+    }, EVICTION_DELAY_MS);
+  }
+
+  /**
+   * Evict until the caches fit the configured cap.
+   * @returns {Promise<number>} Number of evicted records.
+   */
+  enforce() {
+    if (!this.running) {
+      this.running = this.evict().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async evict() {
+    const maxBytes = await this.getMaxBytes();
+    if (!maxBytes) return 0;
+
+    const databases = [lyricsDB, translationsDB];
+    const usage = await Promise.all(databases.map(db => db.getUsageEntries()));
+    const entries = usage.flatMap((list, i) => list.map(entry => ({ ...entry, db: databases[i] })));
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= maxBytes) return 0;
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+
+    /** @type {Map<typeof lyricsDB, IDBValidKey[]>} */
+    const toDelete = new Map();
+    let evicted = 0;
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      if (!toDelete.has(entry.db)) toDelete.set(entry.db, []);
+      toDelete.get(entry.db).push(entry.key);
+      total -= entry.size;
+      evicted++;
+    }
+
+    await Promise.all([...toDelete].map(([db, keys]) => db.deleteMany(keys)));
+    console.log(`Cache limit reached, evicted ${evicted} least recently used entries`);
+    return evicted;
+  }
+
+  /**
+   * Largest cached records across both caches, for the settings page.
+   * @param {number} [limit]
+   */
+  async getLargestEntries(limit = CONFIG.CACHE_LIMIT.LARGEST_ENTRIES) {
+    const [lyrics, translations] = await Promise.all([
+      lyricsDB.getLargest(limit),
+      translationsDB.getLargest(limit)
+    ]);
+
+    return [
+      ...lyrics.map(record => ({
+        key: record.key,
+        kind: record.notFound ? 'not-found' : 'lyrics',
+        source: record.lyrics?.metadata?.source || null,
+        sizeKB: record.size / 1024,
+        lastAccess: record.lastAccess
+      })),
+      ...translations.map(record => ({
+        key: record.key,
+        kind: 'translation',
+        source: record.translatedLyrics?.translationMeta?.provider || null,
+        sizeKB: record.size / 1024,
+        lastAccess: record.lastAccess
+      }))
+    ]
+      .sort((a, b) => b.sizeKB - a.sizeKB)
+      .slice(0, limit);
+  }
+}
+
+export const cacheLimiter = new CacheLimiter();
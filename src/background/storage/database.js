@@ -3,125 +3,505 @@
 // ==================================================================================================
 
 import { CONFIG } from '../constants.js';
+import { SongMetadata } from '../utils/songMetadata.js';
 
-/** @typedef {{ name: string, version: number, store: string }} DBConfig */
+/**
+ * @typedef {{
+ *   store: string,
+ *   keyPath: string,
+ *   lru?: boolean,
+ *   legacyName?: string
+ * }} StoreConfig
+ */
 
-class DatabaseManager {
-  /** @param {DBConfig} dbConfig */
-  constructor(dbConfig) {
-    this.config = dbConfig;
+/** @typedef {{ key: IDBValidKey, size: number, lastAccess: number }} UsageEntry */
+
+/** @typedef {(db: IDBDatabase, transaction: IDBTransaction) => void} Migration */
+
+const { CACHE, TRANSLATIONS, LOCAL } = CONFIG.DB;
+
+// Bookkeeping records of the database itself, such as whether legacy data was imported.
+const META_STORE = 'meta';
+const LEGACY_IMPORT_KEY = 'legacyImport';
+
+/**
+ * @param {IDBObjectStore} store
+ * @param {string[]} names
+ */
+function createIndexes(store, names) {
+  names.forEach(name => store.createIndex(name, name));
+}
+
+/**
+ * Schema steps. Entry n upgrades the database from version n to n + 1, so the
+ * current version is the length of this list. Append new steps; never edit old ones.
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+  // 1: a single database replacing LyricsCacheDB, TranslationsDB and LocalLyricsDB
+  (db) => {
+    createIndexes(db.createObjectStore(CACHE.store, { keyPath: CACHE.keyPath }),
+      ['lastAccess', 'size', 'notFound', 'matchKey', 'videoId', 'timestamp']);
+    createIndexes(db.createObjectStore(TRANSLATIONS.store, { keyPath: TRANSLATIONS.keyPath }),
+      ['lastAccess', 'size']);
+    createIndexes(db.createObjectStore(LOCAL.store, { keyPath: LOCAL.keyPath }),
+      ['matchKey', 'videoId', 'timestamp']);
+  },
+  // 2: bookkeeping store
+  (db) => {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+];
+
+/**
+ * Serialized size of a record in bytes, ignoring its own bookkeeping fields.
+ * @param {object} record
+ */
+function measureRecord(record) {
+  const { size, lastAccess, ...data } = /** @type {any} */ (record);
+  return new TextEncoder().encode(JSON.stringify(data)).length;
+}
+
+/**
+ * @param {object} record
+ * @param {number} lastAccess
+ */
+function withUsage(record, lastAccess) {
+  return { ...record, size: measureRecord(record), lastAccess };
+}
+
+/**
+ * Bring a record from a legacy database up to the current schema.
+ * @param {StoreConfig} config
+ * @param {any} record
+ */
+function upgradeLegacyRecord(config, record) {
+  const upgraded = { ...record };
+  // Booleans are not valid index keys.
+  if (config === CACHE && record.notFound) upgraded.notFound = 1;
+  if (config === LOCAL && record.songInfo) Object.assign(upgraded, SongMetadata.toIndexFields(record.songInfo));
+  return config.lru
+    ? withUsage(upgraded, record.lastAccess || record.timestamp || Date.now())
+    : upgraded;
+}
+
+/**
+ * Read every record of a legacy store. Resolves null when the database does not exist.
+ * @param {StoreConfig} config
+ * @returns {Promise<any[] | null>}
+ */
+function readLegacyStore({ legacyName, store }) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(legacyName);
+    // Opening a missing database creates it; aborting the upgrade leaves nothing behind.
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(null);
+    request.onsuccess = () => {
+      const legacy = request.result;
+      if (!legacy.objectStoreNames.contains(store)) {
+        legacy.close();
+        return resolve([]);
+      }
+      const getAll = legacy.transaction([store], "readonly").objectStore(store).getAll();
+      getAll.onsuccess = () => {
+        legacy.close();
+        resolve(getAll.result);
+      };
+      getAll.onerror = () => {
+        legacy.close();
+        reject(getAll.error);
+      };
+    };
+  });
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest | void} work
+ * @returns {Promise<any>} The result of the request `work` returns.
+ */
+function transactMeta(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([META_STORE], mode);
+    const request = work(transaction.objectStore(META_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Copy the per-store databases used before the single database into it, then delete them.
+ * Runs until one import completes, which is recorded, so legacy records that outlive a
+ * blocked deleteDatabase never overwrite newer ones.
+ * @param {IDBDatabase} db
+ */
+async function importLegacyDatabases(db) {
+  if (await transactMeta(db, "readonly", store => store.get(LEGACY_IMPORT_KEY))) return;
+
+  let complete = true;
+  for (const config of [CACHE, TRANSLATIONS, LOCAL]) {
+    try {
+      const records = await readLegacyStore(config);
+      if (!records) continue;
+
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction([config.store], "readwrite");
+        const store = transaction.objectStore(config.store);
+        records.forEach(record => store.put(upgradeLegacyRecord(config, record)));
+        transaction.oncomplete = () => resolve(null);
+        transaction.onerror = () => reject(transaction.error);
+      });
+
+      indexedDB.deleteDatabase(config.legacyName);
+      console.log(`Imported ${records.length} records from ${config.legacyName}`);
+    } catch (error) {
+      complete = false;
+      console.error(`Failed to import ${config.legacyName}:`, error);
+    }
+  }
+
+  if (complete) {
+    await transactMeta(db, "readwrite", store => {
+      store.put({ key: LEGACY_IMPORT_KEY, completedAt: Date.now() });
+    });
+  }
+}
+
+/**
+ * One shared, lazily opened connection. It is dropped when another context upgrades
+ * the schema or the browser closes it, and reopened on the next use.
+ */
+class DatabaseConnection {
+  /**
+   * @param {string} name
+   * @param {Migration[]} migrations
+   */
+  constructor(name, migrations) {
+    this.name = name;
+    this.migrations = migrations;
+    /** @type {Promise<IDBDatabase> | null} */
+    this.opening = null;
   }
 
+  /** @returns {Promise<IDBDatabase>} */
   open() {
+    if (!this.opening) {
+      this.opening = this.connect()
+        .then(async db => {
+          await importLegacyDatabases(db);
+          return db;
+        })
+        .catch(error => {
+          this.opening = null;
+          throw error;
+        });
+    }
+    return this.opening;
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  connect() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.config.name, this.config.version);
-      
+      const request = indexedDB.open(this.name, this.migrations.length);
+
       request.onupgradeneeded = (event) => {
-        const dbRequest = /** @type {IDBOpenDBRequest} */ (event.target);
-        const db = dbRequest.result;
-        if (!db.objectStoreNames.contains(this.config.store)) {
-          const keyPath = this.config.store === 'localLyrics' ? 'songId' : 'key';
-          db.createObjectStore(this.config.store, { keyPath });
+        for (let version = event.oldVersion; version < this.migrations.length; version++) {
+          console.log(`Migrating ${this.name} to version ${version + 1}`);
+          this.migrations[version](request.result, request.transaction);
         }
       };
-      
-      request.onsuccess = () => resolve(request.result);
+
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          this.opening = null;
+        };
+        db.onclose = () => {
+          this.opening = null;
+        };
+        resolve(db);
+      };
       request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn(`Upgrade of ${this.name} is waiting for other connections to close`);
     });
   }
+}
 
-  async get(key) {
-    const db = await this.open();
+class DatabaseManager {
+  /**
+   * @param {DatabaseConnection} connection
+   * @param {StoreConfig} storeConfig
+   */
+  constructor(connection, storeConfig) {
+    this.connection = connection;
+    this.config = storeConfig;
+  }
+
+  /**
+   * Run `work` against this store and resolve once the transaction has committed.
+   * @template T
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => T} work
+   * @returns {Promise<T>}
+   */
+  async transact(mode, work) {
+    const db = await this.connection.open();
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.config.store], "readonly");
-      const store = transaction.objectStore(this.config.store);
+      const transaction = db.transaction([this.config.store], mode);
+      const result = work(transaction.objectStore(this.config.store));
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read a record. On LRU stores this also refreshes an access time older than
+   * CONFIG.CACHE_LIMIT.ACCESS_REFRESH_MS, without waiting for it.
+   * @param {IDBValidKey} key
+   */
+  async get(key) {
+    const request = await this.transact("readonly", store => store.get(key));
+    const record = request.result;
+    if (this.config.lru && record && Date.now() - (record.lastAccess || 0) > CONFIG.CACHE_LIMIT.ACCESS_REFRESH_MS) {
+      this.touch(key).catch(error => console.warn(`Could not refresh access time in ${this.config.store}:`, error));
+    }
+    return record;
+  }
+
+  /**
+   * Set a record's access time to now, re-reading it in the same transaction so a
+   * concurrent write is not undone.
+   * @param {IDBValidKey} key
+   */
+  touch(key) {
+    return this.transact("readwrite", store => {
       const request = store.get(key);
-      
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, lastAccess: Date.now() });
+      };
     });
   }
 
-  async set(data) {
-    const db = await this.open();
-    const transaction = db.transaction([this.config.store], "readwrite");
-    const store = transaction.objectStore(this.config.store);
-    store.put(data);
+  /**
+   * First record whose secondary index matches `value`.
+   * @param {string} indexName
+   * @param {IDBValidKey} value
+   */
+  async getByIndex(indexName, value) {
+    const request = await this.transact("readonly", store => store.index(indexName).get(value));
+    return request.result;
   }
 
-  async delete(key) {
-    const db = await this.open();
-    const transaction = db.transaction([this.config.store], "readwrite");
-    const store = transaction.objectStore(this.config.store);
-    store.delete(key);
+  /** @param {object} data */
+  set(data) {
+    const record = this.config.lru ? withUsage(data, Date.now()) : data;
+    return this.transact("readwrite", store => {
+      store.put(record);
+    });
+  }
+
+  /** @param {IDBValidKey} key */
+  delete(key) {
+    return this.transact("readwrite", store => {
+      store.delete(key);
+    });
+  }
+
+  /**
+   * Delete several records in one transaction.
+   * @param {IDBValidKey[]} keys
+   * @returns {Promise<void>}
+   */
+  async deleteMany(keys) {
+    if (!keys.length) return;
+    await this.transact("readwrite", store => {
+      keys.forEach(key => store.delete(key));
+    });
+  }
+
+  /**
+   * Write several records in one transaction, optionally clearing the store first.
+   * @param {object[]} records
+   * @param {{ replace?: boolean }} [options]
+   */
+  putMany(records, { replace = false } = {}) {
+    const now = Date.now();
+    return this.transact("readwrite", store => this.writeRecords(store, records, replace, now));
+  }
+
+  /**
+   * @param {IDBObjectStore} store - This manager's store, within a readwrite transaction.
+   * @param {object[]} records
+   * @param {boolean} replace
+   * @param {number} now
+   */
+  writeRecords(store, records, replace, now) {
+    if (replace) store.clear();
+    records.forEach(record => store.put(this.config.lru ? withUsage(record, now) : record));
+  }
+
+  /** @returns {Promise<IDBValidKey[]>} */
+  async getAllKeys() {
+    const request = await this.transact("readonly", store => store.getAllKeys());
+    return request.result;
   }
 
   async getAll() {
-    const db = await this.open();
+    const request = await this.transact("readonly", store => store.getAll());
+    return request.result;
+  }
+
+  clear() {
+    return this.transact("readwrite", store => {
+      store.clear();
+    });
+  }
+
+  /**
+   * Walk an index with a key cursor, which never loads record values.
+   * @param {IDBIndex} index
+   * @param {(indexKey: any, primaryKey: IDBValidKey) => void} onEntry
+   * @returns {Promise<void>}
+   */
+  scanIndexKeys(index, onEntry) {
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.config.store], "readonly");
-      const store = transaction.objectStore(this.config.store);
-      const request = store.getAll();
-      
-      request.onsuccess = () => resolve(request.result);
+      const request = index.openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        onEntry(cursor.key, cursor.primaryKey);
+        cursor.continue();
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
-  async clear() {
-    const db = await this.open();
-    const transaction = db.transaction([this.config.store], "readwrite");
+  /**
+   * Size, access time and key of every record, read from the LRU indexes only.
+   * @returns {Promise<UsageEntry[]>}
+   */
+  async getUsageEntries() {
+    const db = await this.connection.open();
+    const transaction = db.transaction([this.config.store], "readonly");
     const store = transaction.objectStore(this.config.store);
-    store.clear();
+
+    /** @type {Map<IDBValidKey, UsageEntry>} */
+    const entries = new Map();
+    await Promise.all([
+      this.scanIndexKeys(store.index('size'), (size, key) => {
+        entries.set(key, { key, size, lastAccess: entries.get(key)?.lastAccess ?? 0 });
+      }),
+      this.scanIndexKeys(store.index('lastAccess'), (lastAccess, key) => {
+        entries.set(key, { key, size: entries.get(key)?.size ?? 0, lastAccess });
+      })
+    ]);
+    return [...entries.values()];
   }
 
-  async estimateSize() {
-    const db = await this.open();
+  /**
+   * The biggest records by stored size. Only `limit` values are loaded.
+   * @param {number} limit
+   * @returns {Promise<any[]>}
+   */
+  async getLargest(limit) {
+    const db = await this.connection.open();
     return new Promise((resolve, reject) => {
-      if (!db.objectStoreNames.contains(this.config.store)) {
-        resolve({ sizeKB: 0, count: 0 });
-        return;
-      }
-
       const transaction = db.transaction([this.config.store], "readonly");
-      const store = transaction.objectStore(this.config.store);
-      
-      const getAllRequest = store.getAll();
-      const countRequest = store.count();
-
-      let sizeKB = 0;
-      let count = 0;
-      let completed = 0;
+      const index = transaction.objectStore(this.config.store).index('size');
+      const request = index.openCursor(null, 'prev');
+      /** @type {any[]} */
+      const results = [];
 
-      const checkCompletion = () => {
-        if (++completed === 2) {
-          db.close();
-          resolve({ sizeKB, count });
-        }
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || results.length >= limit) return resolve(results);
+        results.push(cursor.value);
+        cursor.continue();
       };
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-      getAllRequest.onsuccess = () => {
-        const totalBytes = getAllRequest.result.reduce((acc, record) => {
-          return acc + new TextEncoder().encode(JSON.stringify(record)).length;
-        }, 0);
-        sizeKB = totalBytes / 1024;
-        checkCompletion();
-      };
+  /**
+   * Approximate store size. Records present in `separateIndex` are left out of the
+   * main totals and reported under `separate` instead. LRU stores are measured
+   * from their size index; other stores fall back to serializing every record.
+   * @param {string | null} [separateIndex]
+   * @returns {Promise<{ sizeKB: number, count: number, separate: { sizeKB: number, count: number } }>}
+   */
+  async estimateSize(separateIndex = null) {
+    const db = await this.connection.open();
+    const transaction = db.transaction([this.config.store], "readonly");
+    const store = transaction.objectStore(this.config.store);
 
-      getAllRequest.onerror = () => reject(getAllRequest.error);
+    /** @type {Set<IDBValidKey>} */
+    const separateKeys = new Set();
+    /** @type {Array<[IDBValidKey, number]>} */
+    const sizes = [];
 
-      countRequest.onsuccess = () => {
-        count = countRequest.result;
-        checkCompletion();
-      };
+    // Both scans run inside the same transaction, so start them together.
+    await Promise.all([
+      separateIndex && store.indexNames.contains(separateIndex)
+        ? this.scanIndexKeys(store.index(separateIndex), (_, key) => separateKeys.add(key))
+        : null,
+      this.config.lru
+        ? this.scanIndexKeys(store.index('size'), (size, key) => sizes.push([key, size]))
+        : new Promise((resolve, reject) => {
+          const request = store.getAll();
+          const keyPath = /** @type {string} */ (store.keyPath);
+          request.onsuccess = () => {
+            request.result.forEach(record => sizes.push([record[keyPath], measureRecord(record)]));
+            resolve(null);
+          };
+          request.onerror = () => reject(request.error);
+        })
+    ]);
 
-      countRequest.onerror = () => reject(countRequest.error);
+    let totalBytes = 0;
+    let count = 0;
+    const separate = { sizeKB: 0, count: 0 };
+    sizes.forEach(([key, bytes]) => {
+      if (separateKeys.has(key)) {
+        separate.sizeKB += bytes / 1024;
+        separate.count++;
+      } else {
+        totalBytes += bytes;
+        count++;
+      }
     });
+
+    return { sizeKB: totalBytes / 1024, count, separate };
   }
 }
 
-// Database instances
-export const lyricsDB = new DatabaseManager(CONFIG.DB.CACHE);
-export const translationsDB = new DatabaseManager(CONFIG.DB.TRANSLATIONS);
-export const localLyricsDB = new DatabaseManager(CONFIG.DB.LOCAL);
+const connection = new DatabaseConnection(CONFIG.DB.NAME, MIGRATIONS);
 
+/**
+ * putMany across several stores in one transaction: either every store is written or none is.
+ * @param {Array<{ db: DatabaseManager, records: object[] }>} writes
+ * @param {{ replace?: boolean }} [options]
+ * @returns {Promise<void>}
+ */
+export async function putManyAcrossStores(writes, { replace = false } = {}) {
+  if (!writes.length) return;
+  const db = await connection.open();
+  const now = Date.now();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(writes.map(write => write.db.config.store), "readwrite");
+    writes.forEach(write => {
+      write.db.writeRecords(transaction.objectStore(write.db.config.store), write.records, replace, now);
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Database instances
+export const lyricsDB = new DatabaseManager(connection, CACHE);
+export const translationsDB = new DatabaseManager(connection, TRANSLATIONS);
+export const localLyricsDB = new DatabaseManager(connection, LOCAL);
@@ -0,0 +1,255 @@
+// ==================================================================================================
+// DIAGNOSTICS LOG
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { ServiceError } from '../utils/serviceError.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsData} LyricsData */
+/** @typedef {import('../../types').TranslationMeta} TranslationMeta */
+/** @typedef {import('../../types').DiagnosticsEntry} DiagnosticsEntry */
+/** @typedef {import('../../types').DiagnosticsAttempt} DiagnosticsAttempt */
+/** @typedef {import('../../types').DiagnosticsRequest} DiagnosticsRequest */
+
+const { SESSION_KEY, MAX_ENTRIES, PERSIST_DELAY_MS } = CONFIG.DIAGNOSTICS;
+
+// Query parameters carrying credentials or signed tokens; the log is meant to be shared.
+const SECRET_PARAMS = /([?&](?:key|api_key|apikey|token|access_token|signature|sig)=)[^&#]*/gi;
+
+/** storage.session where the browser has it; without it the log stays in memory only. */
+function getSessionArea() {
+  const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+  return api?.storage?.session || null;
+}
+
+/** @param {string} url */
+function redactUrl(url) {
+  return String(url).replace(SECRET_PARAMS, '$1[redacted]');
+}
+
+/**
+ * Short description of lyrics for the log, e.g. "Word sync, 42 lines from Apple".
+ * @param {LyricsData | null | undefined} lyrics
+ */
+export function summarizeLyrics(lyrics) {
+  if (!lyrics?.data?.length) return 'no lyrics';
+  const source = lyrics.metadata?.source ? ` from ${lyrics.metadata.source}` : '';
+  return `${lyrics.type || 'Unknown'} sync, ${lyrics.data.length} lines${source}`;
+}
+
+/**
+ * Handle on one entry of the log while its lookup runs. Every change is written
+ * through to the log, so the settings page sees lookups that are still in flight.
+ */
+export class LookupTrace {
+  /**
+   * @param {DiagnosticsLog} log
+   * @param {DiagnosticsEntry} entry
+   */
+  constructor(log, entry) {
+    this.log = log;
+    this.entry = entry;
+  }
+
+  /** @param {DiagnosticsEntry['cache']} source */
+  cacheHit(source) {
+    this.entry.cache = source;
+    this.log.schedulePersist();
+  }
+
+  /**
+   * @param {string} provider
+   * @param {SongInfo} query - The metadata variant the provider is asked with.
+   * @returns {DiagnosticsAttempt}
+   */
+  startAttempt(provider, query) {
+    const attempt = {
+      provider,
+      query: { title: query.title, artist: query.artist },
+      startedAt: Date.now(),
+      latencyMs: null,
+      result: 'pending',
+      requests: []
+    };
+    this.entry.attempts.push(attempt);
+    this.log.schedulePersist();
+    return attempt;
+  }
+
+  /**
+   * Callback for `FetchOptions.onRequest` that files each request under the attempt.
+   * @param {DiagnosticsAttempt} attempt
+   * @returns {(request: DiagnosticsRequest) => void}
+   */
+  requestObserver(attempt) {
+    return request => {
+      attempt.requests.push({ ...request, url: redactUrl(request.url) });
+      this.log.schedulePersist();
+    };
+  }
+
+  /**
+   * @param {DiagnosticsAttempt} attempt
+   * @param {string} result
+   */
+  finishAttempt(attempt, result) {
+    attempt.latencyMs = Date.now() - attempt.startedAt;
+    attempt.result = result;
+    this.log.schedulePersist();
+  }
+
+  /** @param {Record<string, any>} selection - Scoring details of the chosen lyrics. */
+  select(selection) {
+    this.entry.selection = selection;
+    this.log.schedulePersist();
+  }
+
+  /** @param {TranslationMeta} meta */
+  setTranslation(meta) {
+    this.entry.translation = meta;
+    this.log.schedulePersist();
+  }
+
+  /**
+   * Record how the lookup ended once the promise settles.
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {(value: T) => string} summarize
+   * @returns {Promise<T>} The same promise.
+   */
+  follow(promise, summarize) {
+    promise.then(
+      value => this.finish('success', summarize(value), null),
+      error => {
+        const { code, message, provider } = ServiceError.from(error);
+        this.finish('error', null, { code, message, provider });
+      }
+    );
+    return promise;
+  }
+
+  /**
+   * @param {DiagnosticsEntry['outcome']} outcome
+   * @param {string | null} result
+   * @param {DiagnosticsEntry['error']} error
+   */
+  finish(outcome, result, error) {
+    this.entry.outcome = outcome;
+    this.entry.result = result;
+    this.entry.error = error;
+    this.entry.durationMs = Date.now() - this.entry.startedAt;
+    this.log.schedulePersist();
+  }
+}
+
+/**
+ * Bounded, newest-first log of recent lyrics and translation lookups: what was asked,
+ * which caches answered, every provider attempt with its HTTP requests, and the result.
+ * Mirrored to storage.session so it survives the service worker being stopped.
+ */
+class DiagnosticsLog {
+  constructor() {
+    /** @type {DiagnosticsEntry[]} */
+    this.entries = [];
+    /** @type {Promise<void> | null} */
+    this.restoring = null;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.persistTimer = null;
+  }
+
+  /** @returns {Promise<void>} */
+  restore() {
+    if (!this.restoring) this.restoring = this.load();
+    return this.restoring;
+  }
+
+  async load() {
+    const session = getSessionArea();
+    if (!session) return;
+
+    try {
+      const { [SESSION_KEY]: saved } = await session.get(SESSION_KEY);
+      if (Array.isArray(saved)) {
+        // Entries recorded while the snapshot loaded are newer, so they stay in front.
+        this.entries = [...this.entries, ...saved].slice(0, MAX_ENTRIES);
+      }
+    } catch (error) {
+      console.warn('Could not restore diagnostics log:', error);
+    }
+  }
+
+  /**
+   * Start a new entry.
+   * @param {DiagnosticsEntry['kind']} kind
+   * @param {SongInfo} songInfo
+   * @param {Record<string, any>} query - Cache key and normalized metadata of the lookup.
+   * @returns {LookupTrace}
+   */
+  begin(kind, songInfo, query) {
+    this.restore();
+
+    /** @type {DiagnosticsEntry} */
+    const entry = {
+      id: crypto.randomUUID(),
+      kind,
+      startedAt: Date.now(),
+      durationMs: null,
+      // Picked field by field: songInfo can carry whole caption track lists.
+      song: {
+        title: songInfo.title,
+        artist: songInfo.artist,
+        album: songInfo.album,
+        duration: songInfo.duration,
+        videoId: songInfo.videoId,
+        source: songInfo.source
+      },
+      query,
+      cache: null,
+      attempts: [],
+      selection: null,
+      translation: null,
+      outcome: 'pending',
+      result: null,
+      error: null
+    };
+
+    this.entries.unshift(entry);
+    this.entries.length = Math.min(this.entries.length, MAX_ENTRIES);
+    this.schedulePersist();
+    return new LookupTrace(this, entry);
+  }
+
+  /** @returns {Promise<DiagnosticsEntry[]>} Newest first. */
+  async getEntries() {
+    await this.restore();
+    return this.entries;
+  }
+
+  async clear() {
+    await this.restore();
+    this.entries = [];
+    this.schedulePersist();
+  }
+
+  /** Write the snapshot shortly after a burst of changes. */
+  schedulePersist() {
+    if (!getSessionArea()) return;
+    if (this.persistTimer) clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DELAY_MS);
+  }
+
+  async persist() {
+    try {
+      await this.restore();
+      await getSessionArea().set({ [SESSION_KEY]: this.entries });
+    } catch (error) {
+      console.warn('Could not persist diagnostics log:', error);
+    }
+  }
+}
+
+export const diagnostics = new DiagnosticsLog();
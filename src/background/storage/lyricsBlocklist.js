@@ -0,0 +1,113 @@
+// ==================================================================================================
+// LYRICS BLOCKLIST
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SettingsManager } from './settings.js';
+import { SongMetadata } from '../utils/songMetadata.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsData} LyricsData */
+/** @typedef {import('../../types').LyricsFingerprint} LyricsFingerprint */
+/** @typedef {import('../../types').LyricsBlock} LyricsBlock */
+
+const { STORAGE_KEY, MAX_ENTRIES } = CONFIG.LYRICS_BLOCKLIST;
+
+/**
+ * Recognizes a provider result again later. Only the text is hashed, so the same lyrics
+ * match even when their timing or metadata was touched up in between.
+ * @param {string} provider
+ * @param {LyricsData} lyrics
+ * @returns {LyricsFingerprint}
+ */
+export function fingerprintLyrics(provider, lyrics) {
+  const text = lyrics.data.map(line => (line.text || '').trim()).join('\n');
+
+  // 32-bit FNV-1a; collisions only matter within one song's results.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return {
+    provider,
+    source: lyrics.metadata?.source || null,
+    hash: (hash >>> 0).toString(16).padStart(8, '0')
+  };
+}
+
+/**
+ * Lyrics the user marked as wrong, each stored against the song's videoId and normalized
+ * title and artist. Kept in storage.local next to the pins, and read on every lookup.
+ */
+class LyricsBlocklist {
+  /** @returns {Promise<LyricsBlock[]>} Newest first. */
+  async getAll() {
+    const items = await SettingsManager.get({ [STORAGE_KEY]: [] });
+    return Array.isArray(items[STORAGE_KEY]) ? items[STORAGE_KEY] : [];
+  }
+
+  /**
+   * @param {SongInfo} songInfo
+   * @returns {Promise<LyricsBlock[]>}
+   */
+  async getForSong(songInfo) {
+    const keys = SongMetadata.toSongKeys(songInfo);
+    const blocks = await this.getAll();
+    return blocks.filter(block => block.keys.some(key => keys.includes(key)));
+  }
+
+  /**
+   * @param {SongInfo} songInfo
+   * @param {LyricsData} lyrics - The rejected lyrics.
+   * @param {LyricsFingerprint} fingerprint
+   * @returns {Promise<LyricsBlock>}
+   */
+  async add(songInfo, lyrics, fingerprint) {
+    const blocks = await this.getAll();
+    /** @type {LyricsBlock} */
+    const block = {
+      ...fingerprint,
+      id: crypto.randomUUID(),
+      keys: SongMetadata.toSongKeys(songInfo),
+      song: { title: songInfo.title, artist: songInfo.artist },
+      preview: lyrics.data.map(line => line.text?.trim()).find(Boolean) || '',
+      blockedAt: Date.now()
+    };
+    const kept = blocks.filter(existing =>
+      !(this.matches(existing, fingerprint) && existing.keys.some(key => block.keys.includes(key)))
+    );
+    await SettingsManager.set({ [STORAGE_KEY]: [block, ...kept].slice(0, MAX_ENTRIES) });
+    return block;
+  }
+
+  /** @param {string} id */
+  async remove(id) {
+    const blocks = await this.getAll();
+    await SettingsManager.set({ [STORAGE_KEY]: blocks.filter(block => block.id !== id) });
+  }
+
+  async clear() {
+    await SettingsManager.set({ [STORAGE_KEY]: [] });
+  }
+
+  /**
+   * Whether the fingerprint is one of the blocked results.
+   * @param {LyricsFingerprint[] | null | undefined} blocks
+   * @param {LyricsFingerprint} fingerprint
+   */
+  isBlocked(blocks, fingerprint) {
+    return !!blocks?.some(block => this.matches(block, fingerprint));
+  }
+
+  /**
+   * @param {LyricsFingerprint} a
+   * @param {LyricsFingerprint} b
+   */
+  matches(a, b) {
+    return a.provider === b.provider && (a.source || null) === (b.source || null) && a.hash === b.hash;
+  }
+}
+
+export const lyricsBlocklist = new LyricsBlocklist();
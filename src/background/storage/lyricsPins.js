@@ -0,0 +1,78 @@
+// ==================================================================================================
+// LYRICS PINS
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SettingsManager } from './settings.js';
+import { SongMetadata } from '../utils/songMetadata.js';
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').LyricsPin} LyricsPin */
+
+const { STORAGE_KEY } = CONFIG.LYRICS_PINS;
+
+/**
+ * Per-song provider choices. A pin is stored under the song's videoId and under its
+ * normalized title and artist, so it also applies to other uploads of the same song.
+ * Read from storage on every lookup, which keeps it current after a backup import.
+ */
+class LyricsPinStore {
+  /**
+   * @param {SongInfo} songInfo
+   * @returns {string[]} Most specific key first.
+   */
+  getKeys(songInfo) {
+    return SongMetadata.toSongKeys(songInfo);
+  }
+
+  /** @returns {Promise<Record<string, LyricsPin>>} */
+  async getAll() {
+    const items = await SettingsManager.get({ [STORAGE_KEY]: {} });
+    return items[STORAGE_KEY] || {};
+  }
+
+  /**
+   * @param {SongInfo} songInfo
+   * @returns {Promise<LyricsPin | null>}
+   */
+  async get(songInfo) {
+    const pins = await this.getAll();
+    const key = this.getKeys(songInfo).find(k => pins[k]);
+    return key ? pins[key] : null;
+  }
+
+  /**
+   * @param {SongInfo} songInfo
+   * @param {LyricsPin} pin
+   * @returns {Promise<LyricsPin>}
+   */
+  async set(songInfo, pin) {
+    const pins = await this.getAll();
+    const record = { provider: pin.provider, source: pin.source || null, pinnedAt: Date.now() };
+    this.getKeys(songInfo).forEach(key => {
+      pins[key] = record;
+    });
+    await SettingsManager.set({ [STORAGE_KEY]: pins });
+    return record;
+  }
+
+  /** @param {SongInfo} songInfo */
+  async clear(songInfo) {
+    const pins = await this.getAll();
+    this.getKeys(songInfo).forEach(key => {
+      delete pins[key];
+    });
+    await SettingsManager.set({ [STORAGE_KEY]: pins });
+  }
+
+  /**
+   * Whether two pins name the same provider and source.
+   * @param {LyricsPin | null | undefined} a
+   * @param {LyricsPin | null | undefined} b
+   */
+  isSame(a, b) {
+    return !!a && !!b && a.provider === b.provider && (a.source || null) === (b.source || null);
+  }
+}
+
+export const lyricsPins = new LyricsPinStore();
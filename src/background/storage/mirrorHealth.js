@@ -0,0 +1,207 @@
+// ==================================================================================================
+// KPOE MIRROR HEALTH
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SettingsManager } from './settings.js';
+
+/** @typedef {import('../../types').MirrorHealthRecord} MirrorHealthRecord */
+/** @typedef {import('../../types').MirrorStatus} MirrorStatus */
+
+const { STORAGE_KEY, FAILURE_THRESHOLD, COOLDOWN_MS, LATENCY_SMOOTHING, PERSIST_DELAY_MS } = CONFIG.KPOE_HEALTH;
+
+/**
+ * Per-mirror latency and failure stats with a simple circuit breaker.
+ * A mirror that fails FAILURE_THRESHOLD times in a row is skipped for COOLDOWN_MS,
+ * after which a single trial request is let through to probe it again; other
+ * requests keep skipping it until that trial reports back.
+ */
+class MirrorHealthManager {
+  constructor() {
+    /** @type {Record<string, MirrorHealthRecord> | null} */
+    this.records = null;
+    /** @type {Promise<void> | null} */
+    this.loading = null;
+    /**
+     * Half-open mirrors with a trial request in flight, and when it started. Kept in
+     * memory only; a trial older than the request timeout is treated as abandoned.
+     * @type {Map<string, number>}
+     */
+    this.trials = new Map();
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.saveTimer = null;
+  }
+
+  async load() {
+    if (this.records) return;
+    if (!this.loading) {
+      this.loading = SettingsManager.get({ [STORAGE_KEY]: {} }).then(items => {
+        this.records = items[STORAGE_KEY] || {};
+      });
+    }
+    await this.loading;
+  }
+
+  async save() {
+    try {
+      await SettingsManager.set({ [STORAGE_KEY]: this.records });
+    } catch (error) {
+      console.warn('Could not save KPoe mirror health:', error);
+    }
+  }
+
+  /** Write the records shortly after a burst of requests. */
+  scheduleSave() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, PERSIST_DELAY_MS);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {MirrorHealthRecord}
+   */
+  getRecord(url) {
+    if (!this.records[url]) {
+      this.records[url] = {
+        avgLatencyMs: null,
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        openUntil: null
+      };
+    }
+    return this.records[url];
+  }
+
+  /**
+   * @param {MirrorHealthRecord} record
+   * @param {number} [now]
+   * @returns {'closed' | 'open' | 'half-open'}
+   */
+  getCircuitState(record, now = Date.now()) {
+    if (!record.openUntil) return 'closed';
+    return now < record.openUntil ? 'open' : 'half-open';
+  }
+
+  /**
+   * @param {string} url
+   * @param {number} [now]
+   */
+  hasTrialInFlight(url, now = Date.now()) {
+    const startedAt = this.trials.get(url);
+    return startedAt != null && now - startedAt < CONFIG.TIMEOUTS.REQUEST_MS;
+  }
+
+  /**
+   * Ask to send a request to a mirror. Always granted unless the mirror is half-open,
+   * where only the first caller gets the trial. recordSuccess/recordFailure end it.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  claimRequest(url) {
+    if (!this.records) return true;
+    const now = Date.now();
+    if (this.getCircuitState(this.getRecord(url), now) !== 'half-open') return true;
+    if (this.hasTrialInFlight(url, now)) return false;
+    this.trials.set(url, now);
+    return true;
+  }
+
+  /**
+   * End a trial without a verdict, for a request that was cancelled.
+   * @param {string} url
+   */
+  releaseTrial(url) {
+    this.trials.delete(url);
+  }
+
+  /**
+   * Mirrors ordered by health. Open circuits are skipped unless every mirror is open,
+   * in which case all of them are returned so lookups still have somewhere to go.
+   * @param {string[]} [mirrors]
+   * @returns {Promise<string[]>}
+   */
+  async getOrderedMirrors(mirrors = CONFIG.KPOE_SERVERS) {
+    await this.load();
+    const now = Date.now();
+
+    const ranked = mirrors
+      .map((url, index) => ({ url, index, record: this.getRecord(url) }))
+      .map(entry => ({ ...entry, circuit: this.getCircuitState(entry.record, now) }));
+
+    const available = ranked.filter(entry =>
+      entry.circuit === 'closed' || (entry.circuit === 'half-open' && !this.hasTrialInFlight(entry.url, now))
+    );
+    const pool = available.length ? available : ranked;
+
+    return pool
+      .sort((a, b) =>
+        a.record.consecutiveFailures - b.record.consecutiveFailures ||
+        (a.record.avgLatencyMs ?? Infinity) - (b.record.avgLatencyMs ?? Infinity) ||
+        a.index - b.index
+      )
+      .map(entry => entry.url);
+  }
+
+  /**
+   * @param {string} url
+   * @param {number} latencyMs
+   */
+  async recordSuccess(url, latencyMs) {
+    await this.load();
+    const record = this.getRecord(url);
+    record.avgLatencyMs = record.avgLatencyMs == null
+      ? latencyMs
+      : Math.round(record.avgLatencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    record.consecutiveFailures = 0;
+    record.totalSuccesses++;
+    record.lastSuccess = Date.now();
+    record.openUntil = null;
+    this.trials.delete(url);
+    this.scheduleSave();
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} errorMessage
+   */
+  async recordFailure(url, errorMessage) {
+    await this.load();
+    const record = this.getRecord(url);
+    const now = Date.now();
+    const wasHalfOpen = this.getCircuitState(record, now) === 'half-open';
+
+    record.consecutiveFailures++;
+    record.totalFailures++;
+    record.lastFailure = now;
+    record.lastError = errorMessage;
+
+    if (wasHalfOpen || record.consecutiveFailures >= FAILURE_THRESHOLD) {
+      record.openUntil = now + COOLDOWN_MS;
+      console.warn(`KPoe mirror ${url} tripped open for ${COOLDOWN_MS / 1000}s`);
+    }
+    this.trials.delete(url);
+    this.scheduleSave();
+  }
+
+  /**
+   * @param {string[]} [mirrors]
+   * @returns {Promise<MirrorStatus[]>}
+   */
+  async getStatus(mirrors = CONFIG.KPOE_SERVERS) {
+    await this.load();
+    const now = Date.now();
+    return mirrors.map(url => {
+      const record = this.getRecord(url);
+      return { url, circuit: this.getCircuitState(record, now), ...record };
+    });
+  }
+}
+
+export const mirrorHealth = new MirrorHealthManager();
@@ -12,6 +12,20 @@ export class SettingsManager {
     return new Promise(resolve => chrome.storage.local.get(keys, resolve));
   }
 
+  static async set(items) {
+    if (typeof browser !== 'undefined' && browser.storage?.local) {
+      return browser.storage.local.set(items);
+    }
+    return new Promise(resolve => chrome.storage.local.set(items, resolve));
+  }
+
+  static async remove(keys) {
+    if (typeof browser !== 'undefined' && browser.storage?.local) {
+      return browser.storage.local.remove(keys);
+    }
+    return new Promise(resolve => chrome.storage.local.remove(keys, resolve));
+  }
+
   static async getLyricsSettings() {
     return this.get({
       'lyricsProvider': PROVIDERS.KPOE,
@@ -28,6 +42,13 @@ export class SettingsManager {
       'geminiApiKey': '',
       'geminiModel': 'gemini-pro',
       'geminiRomanizationModel': 'gemini-pro',
+      'openAiBaseUrl': 'http://localhost:11434/v1',
+      'openAiApiKey': '',
+      'openAiModel': '',
+      'openAiRomanizationModel': '',
+      'libreTranslateUrl': 'http://localhost:5000',
+      'libreTranslateApiKey': '',
+      'languageDetectionFallback': false,
       'overrideTranslateTarget': false,
       'customTranslateTarget': '',
       'overrideGeminiPrompt': false,
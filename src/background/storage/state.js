@@ -2,45 +2,235 @@
 // STATE MANAGEMENT
 // ==================================================================================================
 
+import { CONFIG } from '../constants.js';
+
+/** @typedef {import('../../types').FetchJournalEntry} FetchJournalEntry */
+/** @typedef {import('../../types').FetchRequest} FetchRequest */
+
+const {
+  SESSION_KEY,
+  MEMORY_CACHE_MAX_ENTRIES,
+  PERSISTED_CACHE_ENTRIES,
+  PERSIST_DELAY_MS,
+  RESUME_MAX_AGE_MS
+} = CONFIG.STATE;
+
+/** storage.session where the browser has it; without it state stays in memory only. */
+function getSessionArea() {
+  const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+  return api?.storage?.session || null;
+}
+
+/**
+ * In-memory caches and in-flight requests of the service worker. The most recently used
+ * cache entries and the list of running requests are mirrored to storage.session, so a
+ * worker stopped by the browser can pick up where it left off.
+ */
 class StateManager {
   constructor() {
+    /** Map order is recency order: reads move an entry to the end, eviction takes the front. */
     this.lyricsCache = new Map();
     this.ongoingFetches = new Map();
+    /**
+     * Abort controllers of running lookups and the tabs still waiting on each.
+     * @type {Map<string, { controller: AbortController, tabs: Set<number>, deadline: ReturnType<typeof setTimeout> }>}
+     */
+    this.lookups = new Map();
+    /** @type {Map<string, FetchJournalEntry>} */
+    this.journal = new Map();
+    /** @type {Map<string, FetchJournalEntry>} */
+    this.interrupted = new Map();
+    /** @type {Promise<void> | null} */
+    this.restoring = null;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this.persistTimer = null;
+  }
+
+  /**
+   * Load the snapshot left by the previous worker. Safe to call repeatedly.
+   * @returns {Promise<void>}
+   */
+  restore() {
+    if (!this.restoring) this.restoring = this.load();
+    return this.restoring;
+  }
+
+  async load() {
+    const session = getSessionArea();
+    if (!session) return;
+
+    try {
+      const { [SESSION_KEY]: saved } = await session.get(SESSION_KEY);
+      if (!saved) return;
+
+      // Entries written while the snapshot loaded are newer, so they go last.
+      const current = [...this.lyricsCache];
+      this.lyricsCache = new Map([...(saved.cache || []), ...current]);
+      this.evictOverflow();
+
+      const cutoff = Date.now() - RESUME_MAX_AGE_MS;
+      Object.entries(saved.inflight || {}).forEach(([key, entry]) => {
+        if (entry.startedAt >= cutoff && !this.ongoingFetches.has(key)) {
+          this.interrupted.set(key, entry);
+        }
+      });
+    } catch (error) {
+      console.warn('Could not restore background state:', error);
+    }
+  }
+
+  /**
+   * Requests the previous worker never finished. Each one is handed out only once.
+   * @returns {FetchJournalEntry[]}
+   */
+  takeInterruptedFetches() {
+    const entries = [...this.interrupted.values()];
+    this.interrupted.clear();
+    return entries;
   }
 
   getCached(key) {
-    return this.lyricsCache.get(key);
+    const value = this.lyricsCache.get(key);
+    if (value !== undefined) {
+      this.lyricsCache.delete(key);
+      this.lyricsCache.set(key, value);
+    }
+    return value;
   }
 
   setCached(key, value) {
+    this.lyricsCache.delete(key);
     this.lyricsCache.set(key, value);
+    this.evictOverflow();
+    this.schedulePersist();
   }
 
   hasCached(key) {
     return this.lyricsCache.has(key);
   }
 
+  evictOverflow() {
+    while (this.lyricsCache.size > MEMORY_CACHE_MAX_ENTRIES) {
+      this.lyricsCache.delete(this.lyricsCache.keys().next().value);
+    }
+  }
+
   getOngoingFetch(key) {
     return this.ongoingFetches.get(key);
   }
 
-  setOngoingFetch(key, promise) {
+  /**
+   * @param {string} key
+   * @param {Promise<any>} promise
+   * @param {FetchRequest} [request] - Journaled so the fetch can be resumed after a restart.
+   */
+  setOngoingFetch(key, promise, request) {
     this.ongoingFetches.set(key, promise);
+    this.interrupted.delete(key);
+    if (request) {
+      this.journal.set(key, { ...request, startedAt: Date.now() });
+      this.schedulePersist();
+    }
   }
 
   deleteOngoingFetch(key) {
     this.ongoingFetches.delete(key);
+    if (this.journal.delete(key)) this.schedulePersist();
   }
 
   hasOngoingFetch(key) {
     return this.ongoingFetches.has(key);
   }
 
+  /**
+   * Controller for a new lookup, aborted once `timeoutMs` has passed.
+   * @param {string} key
+   * @param {number | undefined} tabId - Tab that asked, if any.
+   * @param {number} timeoutMs
+   * @returns {AbortSignal}
+   */
+  startLookup(key, tabId, timeoutMs) {
+    const controller = new AbortController();
+    const deadline = setTimeout(() => {
+      controller.abort(new DOMException(`Timed out after ${timeoutMs / 1000} s`, 'TimeoutError'));
+    }, timeoutMs);
+    this.lookups.set(key, { controller, tabs: new Set(tabId == null ? [] : [tabId]), deadline });
+    return controller.signal;
+  }
+
+  /**
+   * Record that another tab is waiting on a running lookup.
+   * @param {string} key
+   * @param {number} [tabId]
+   */
+  joinLookup(key, tabId) {
+    if (tabId != null) this.lookups.get(key)?.tabs.add(tabId);
+  }
+
+  /**
+   * @param {string} key
+   * @param {AbortSignal} signal - Only the lookup that owns this signal is removed, so a
+   *   forced reload that replaced it is left alone.
+   */
+  finishLookup(key, signal) {
+    const lookup = this.lookups.get(key);
+    if (!lookup || lookup.controller.signal !== signal) return;
+    clearTimeout(lookup.deadline);
+    this.lookups.delete(key);
+  }
+
+  /**
+   * A tab no longer needs the lookup `key` or any lookup derived from it (keys that
+   * extend it with " - "). Lookups no other tab is waiting on are aborted.
+   * @param {string} key
+   * @param {number} [tabId]
+   * @returns {number} Number of aborted lookups.
+   */
+  cancelLookups(key, tabId) {
+    let aborted = 0;
+    this.lookups.forEach((lookup, lookupKey) => {
+      if (lookupKey !== key && !lookupKey.startsWith(`${key} - `)) return;
+      if (tabId != null) lookup.tabs.delete(tabId);
+      if (lookup.tabs.size > 0) return;
+      lookup.controller.abort(new DOMException('Cancelled, the song changed', 'AbortError'));
+      aborted++;
+    });
+    return aborted;
+  }
+
   clear() {
     this.lyricsCache.clear();
     this.ongoingFetches.clear();
+    this.lookups.forEach(lookup => clearTimeout(lookup.deadline));
+    this.lookups.clear();
+    this.journal.clear();
+    this.interrupted.clear();
+    this.schedulePersist();
+  }
+
+  /** Write the snapshot shortly after a burst of changes. */
+  schedulePersist() {
+    if (!getSessionArea()) return;
+    if (this.persistTimer) clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, PERSIST_DELAY_MS);
+  }
+
+  async persist() {
+    try {
+      await this.restore();
+      await getSessionArea().set({
+        [SESSION_KEY]: {
+          cache: [...this.lyricsCache].slice(-PERSISTED_CACHE_ENTRIES),
+          inflight: Object.fromEntries(this.journal)
+        }
+      });
+    } catch (error) {
+      console.warn('Could not persist background state:', error);
+    }
   }
 }
 
 export const state = new StateManager();
-
@@ -8,45 +8,47 @@ export class DataParser {
       return null;
     }
 
-    return {
-      type: data.type,
-      data: data.lyrics.map(item => {
-        const startTime = Number(item.time || 0) / 1000;
-        const duration = Number(item.duration || 0) / 1000;
-        
-        const syllabus = (item.syllabus || []).map(syl => ({
-          text: syl.text || '',
-          time: Number(syl.time || 0),
-          duration: Number(syl.duration || 0),
-          isBackground: syl.isBackground || false
-        }));
-
-        let lineRomanizedText = undefined;
-        let romanizedSyllabus = undefined;
-
-        if (item.transliteration) {
-          if (item.transliteration.syllabus && 
-              item.transliteration.syllabus.length === syllabus.length) {
-            romanizedSyllabus = syllabus.map((syl, index) => ({
-              ...syl,
-              romanizedText: item.transliteration.syllabus[index].text || syl.text
-            }));
-            lineRomanizedText = item.transliteration.text || item.text;
-          } else if (item.transliteration.text) {
-            lineRomanizedText = item.transliteration.text;
-          }
+    const lines = data.lyrics.map(item => {
+      const startTime = Number(item.time || 0) / 1000;
+      const duration = Number(item.duration || 0) / 1000;
+      
+      const syllabus = (item.syllabus || []).map(syl => ({
+        text: syl.text || '',
+        time: Number(syl.time || 0),
+        duration: Number(syl.duration || 0),
+        isBackground: syl.isBackground || false
+      }));
+
+      let lineRomanizedText = undefined;
+      let romanizedSyllabus = undefined;
+
+      if (item.transliteration) {
+        if (item.transliteration.syllabus && 
+            item.transliteration.syllabus.length === syllabus.length) {
+          romanizedSyllabus = syllabus.map((syl, index) => ({
+            ...syl,
+            romanizedText: item.transliteration.syllabus[index].text || syl.text
+          }));
+          lineRomanizedText = item.transliteration.text || item.text;
+        } else if (item.transliteration.text) {
+          lineRomanizedText = item.transliteration.text;
         }
+      }
 
-        return {
-          text: item.text || '',
-          startTime,
-          duration,
-          endTime: startTime + duration,
-          syllabus: romanizedSyllabus || syllabus,
-          element: item.element || [],
-          romanizedText: lineRomanizedText
-        };
-      }),
+      return {
+        text: item.text || '',
+        startTime,
+        duration,
+        endTime: startTime + duration,
+        syllabus: romanizedSyllabus || syllabus,
+        element: item.element || [],
+        romanizedText: lineRomanizedText
+      };
+    });
+
+    return {
+      type: this.isUntimed(lines) ? 'Unsynced' : data.type,
+      data: lines,
       metadata: {
         ...data.metadata,
         source: `${data.metadata.source}`
@@ -100,6 +102,41 @@ export class DataParser {
     };
   }
 
+  /**
+   * Unsynced fallback for LRCLIB records that only carry plainLyrics.
+   */
+  static parseLRCLibPlainFormat(data) {
+    if (!data.plainLyrics) return null;
+
+    const parsedLines = data.plainLyrics
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(text => ({ text, startTime: 0, endTime: 0, duration: 0 }));
+
+    if (parsedLines.length === 0) return null;
+
+    return {
+      type: 'Unsynced',
+      data: parsedLines,
+      metadata: {
+        title: data.trackName,
+        artist: data.artistName,
+        album: data.albumName,
+        duration: data.duration,
+        source: "LRCLIB"
+      }
+    };
+  }
+
+  /**
+   * True when no line carries timing, e.g. plain text returned by a synced source.
+   * @param {Array<{ startTime?: number, endTime?: number }>} lines
+   */
+  static isUntimed(lines) {
+    return lines.every(line => !Number(line.startTime) && !Number(line.endTime));
+  }
+
   static parseYouTubeSubtitles(data, songInfo) {
     if (!data?.events?.length) return null;
 
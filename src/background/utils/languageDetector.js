@@ -0,0 +1,316 @@
+// ==================================================================================================
+// OFFLINE LANGUAGE DETECTION
+// ==================================================================================================
+
+/** @typedef {import('../../types').LanguageDetection} LanguageDetection */
+
+/**
+ * Writing systems that mostly identify one language, checked letter by letter.
+ * Hiragana and Katakana come before Han so kanji in a line with kana count as Japanese.
+ */
+const SCRIPTS = [
+  { language: 'ko', pattern: /\p{Script=Hangul}/u },
+  { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+  { language: 'zh', pattern: /\p{Script=Han}/u },
+  { language: 'ru', pattern: /\p{Script=Cyrillic}/u },
+  { language: 'el', pattern: /\p{Script=Greek}/u },
+  { language: 'he', pattern: /\p{Script=Hebrew}/u },
+  { language: 'ar', pattern: /\p{Script=Arabic}/u },
+  { language: 'th', pattern: /\p{Script=Thai}/u },
+  { language: 'lo', pattern: /\p{Script=Lao}/u },
+  { language: 'km', pattern: /\p{Script=Khmer}/u },
+  { language: 'my', pattern: /\p{Script=Myanmar}/u },
+  { language: 'hi', pattern: /\p{Script=Devanagari}/u },
+  { language: 'bn', pattern: /\p{Script=Bengali}/u },
+  { language: 'pa', pattern: /\p{Script=Gurmukhi}/u },
+  { language: 'gu', pattern: /\p{Script=Gujarati}/u },
+  { language: 'ta', pattern: /\p{Script=Tamil}/u },
+  { language: 'te', pattern: /\p{Script=Telugu}/u },
+  { language: 'kn', pattern: /\p{Script=Kannada}/u },
+  { language: 'ml', pattern: /\p{Script=Malayalam}/u },
+  { language: 'si', pattern: /\p{Script=Sinhala}/u },
+  { language: 'ka', pattern: /\p{Script=Georgian}/u },
+  { language: 'hy', pattern: /\p{Script=Armenian}/u },
+  { language: 'am', pattern: /\p{Script=Ethiopic}/u },
+  { language: 'latin', pattern: /\p{Script=Latin}/u }
+];
+
+/** Letters that tell languages sharing a script apart. */
+const SCRIPT_VARIANTS = {
+  ru: [
+    { language: 'uk', pattern: /[іїєґ]/iu },
+    { language: 'sr', pattern: /[ђћџљњ]/iu }
+  ],
+  ar: [
+    { language: 'ur', pattern: /[ٹڈڑںے]/u },
+    { language: 'fa', pattern: /[پچژگ]/u }
+  ]
+};
+
+/**
+ * Common words of song lyrics per Latin-script language, most frequent first. Their
+ * trigrams make up the language's profile, with `_` standing for a word boundary.
+ */
+const COMMON_WORDS = {
+  en: "i you the me my to and a it in love be so we your is on no oh all don't know baby just can like that what let go come get got ride night feel never want i'm it's heart this with for now ever time tonight yeah up down way need say one do are was were will can't gonna wanna take make back out here there when how why where right tell give stay every something nothing away dance fire dream only good life world light our they she he",
+  es: 'de la que el en y a no me mi te tu lo es se un una por con para amor yo como más pero quiero corazón vida cuando si todo eso bien ya sin hay noche siempre nunca soy estoy eres tú qué mí le los las del al esta este solo baila dame tengo vez hasta otra bebé nada así donde',
+  pt: 'de que o a e não se do da eu você meu minha um uma com me te é pra para em no na mas amor coração vida quando tudo só mais sem nunca sempre tem estou vou quero ser ela ele isso essa esse aqui agora nós gente lá tá bem noite seu sua',
+  fr: "je tu le la de et les des que qui pas ne me te mon ma ton ta un une est c'est j'ai moi toi il elle on nous vous dans pour avec sur tout plus mais amour cœur vie jamais toujours rien quand si comme suis es sais veux fais encore nuit ce ça y a au",
+  de: 'ich du die der das und nicht ist ein eine mich dich mir dir es wir sie zu mit in auf so was wie nur noch mein dein liebe herz leben immer nie wenn weil aber auch kann will bin bist hab habe alles heute nacht hier da schon den dem ja nein',
+  it: 'che di la il non mi ti e un una per con ma io tu sei sono è amore cuore vita più come quando se tutto sempre mai ancora voglio lo le gli del della nel questa questo notte anche solo cosa dove ora niente',
+  nl: 'de ik het een en je niet is van dat die in op te me mij mijn jij jouw we wij zijn wat voor met maar ook nog nu als dan er naar hier liefde hart leven altijd nooit wil kan heb ben bent alles weer zo geen',
+  id: 'aku kau kamu dan yang di ke tak tidak ini itu ada cinta hati dia kita kami untuk dengan akan dalam jangan sudah bisa mau pergi hanya saja selalu lagi tapi karena sayang rindu bersama semua seperti apa mengapa dari pada',
+  tl: 'ang ng sa ko mo ako ka na ay at ikaw akin kita mahal pag-ibig puso hindi lang ba pa siya tayo natin naman para kung wala sana ngayon lahat dito iyong ating kay mga',
+  tr: 'bir ve bu ben sen o ne de da ile için gibi çok var yok aşk kalp hayat seni beni bana sana daha her hiç şimdi ama ki mi neden gel git olmaz oldu değil kadar artık gece',
+  pl: 'nie się w i na to że z ja ty mnie cię jest co jak mi tak do po ale czy już jeszcze tylko będzie kocham miłość serce życie nic wszystko gdy tu noc dziś sam być mój moja',
+  sv: 'jag du det och att en ett i är på som mig dig inte med för av vi han hon har kan vill så men om nu här där allt aldrig alltid kärlek hjärta liv natt bara min din'
+};
+
+/** Letters only some Latin-script languages use. Vietnamese is recognized from these alone. */
+const LATIN_HINTS = {
+  vi: /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gu,
+  de: /[ßäöü]/gu,
+  es: /[ñ¿¡áíóú]/gu,
+  pt: /[ãõçâêáéó]/gu,
+  fr: /[çèêàùœëîïû]/gu,
+  it: /[àèìòù]/gu,
+  tr: /[ığş]/gu,
+  pl: /[ąćęłńśźż]/gu,
+  sv: /[åäö]/gu
+};
+
+// Per-trigram score a Latin line needs for its best language.
+const MIN_LATIN_SCORE = 0.2;
+// How many times the runner-up's score the best Latin language must reach to be trusted.
+const MIN_LATIN_MARGIN = 1.25;
+// Words and distinct trigrams a Latin line needs before its own scores are trusted. Single
+// words ("Despacito", "Butter") are too often loanwords or names.
+const MIN_LATIN_WORDS = 2;
+const MIN_LATIN_TRIGRAMS = 6;
+// How far the song's main Latin language is favored on short, ambiguous lines.
+const SONG_LANGUAGE_BIAS = 0.1;
+// A Chinese, Japanese or Korean character says about as much as a few Latin letters.
+const CJK_LETTER_WEIGHT = 3;
+// Share of a line's letters its script needs before the line is trusted as one language.
+const MIN_SCRIPT_SHARE = 0.8;
+
+/**
+ * Distinct trigrams of a text, lowercased, with `_` for every run of non-letters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toTrigrams(text) {
+  const normalized = `_${text.toLowerCase().normalize('NFC').replace(/[’‘`]/g, '\'').replace(/[^\p{L}']+/gu, '_')}_`
+    .replace(/_+/g, '_');
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= normalized.length; i++) {
+    trigrams.add(normalized.slice(i, i + 3));
+  }
+  return [...trigrams];
+}
+
+/** @type {Record<string, Map<string, number>>} */
+const trigramWeights = Object.fromEntries(Object.entries(COMMON_WORDS).map(([language, list]) => {
+  const words = list.split(' ');
+  /** @type {Map<string, number>} */
+  const weights = new Map();
+  words.forEach((word, rank) => {
+    const weight = 1 - rank / (words.length * 2);
+    toTrigrams(word).forEach(trigram => weights.set(trigram, Math.max(weights.get(trigram) || 0, weight)));
+  });
+  return [language, weights];
+}));
+
+/**
+ * Finds the language of lyrics without a network request: from the writing system for
+ * most scripts, and from trigram profiles for common Latin-script languages.
+ */
+export class LanguageDetector {
+  /**
+   * Languages of each line and of the song as a whole.
+   * @param {string[]} texts
+   * @returns {LanguageDetection}
+   */
+  static detectLines(texts) {
+    const analyses = texts.map(text => this.analyze(text || ''));
+
+    // The song's Latin language comes only from lines clear enough on their own, so an
+    // ambiguous line cannot vouch for itself.
+    const ownResults = analyses.map(analysis => (analysis.latinScores ? this.resolveLatin(analysis, null) : analysis));
+    /** @type {Record<string, number>} */
+    const latinTotals = {};
+    ownResults.forEach(({ language }, index) => {
+      if (language && analyses[index].latinScores) {
+        latinTotals[language] = (latinTotals[language] || 0) + analyses[index].letters;
+      }
+    });
+    const songLatin = this.pickBest(latinTotals, 0)?.language || null;
+
+    const results = ownResults.map((result, index) => (
+      analyses[index].latinScores && !result.language ? this.resolveLatin(analyses[index], songLatin) : result
+    ));
+    const confident = results.map(result => result.confident);
+    let lines = results.map(result => result.language);
+
+    // Lines written only in kanji belong to a Japanese song rather than a Chinese one.
+    if (lines.includes('ja')) {
+      lines = lines.map(line => (line === 'zh' ? 'ja' : line));
+    }
+
+    const { language, confidence } = this.dominant(lines, analyses.map(analysis => analysis.weight));
+
+    return { language, confidence, lines, confident, source: 'local' };
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string | null}
+   */
+  static detectText(text) {
+    return this.detectLines([text]).lines[0];
+  }
+
+  /**
+   * Script of a line, and for Latin script the scores per language. A line is confident
+   * when one script makes up nearly all of it.
+   * @param {string} text
+   * @returns {{ language: string | null, confident: boolean, letters: number, weight: number, share: number,
+   *   words: number, trigrams: number, latinScores: Record<string, number> | null }}
+   */
+  static analyze(text) {
+    /** @type {Record<string, number>} */
+    const counts = {};
+    let letters = 0;
+
+    for (const char of text) {
+      if (!/\p{L}/u.test(char)) continue;
+      letters++;
+      const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+      if (script) counts[script.language] = (counts[script.language] || 0) + 1;
+    }
+    const cjkLetters = (counts.ko || 0) + (counts.ja || 0) + (counts.zh || 0);
+    const weight = letters + cjkLetters * (CJK_LETTER_WEIGHT - 1);
+
+    // Any kana makes the line Japanese, however much kanji it has.
+    if (counts.ja) {
+      counts.ja += counts.zh || 0;
+      delete counts.zh;
+    }
+
+    // Weighted like the song total, so "사랑해 baby" is a Korean line.
+    /** @type {Record<string, number>} */
+    const weighted = { ...counts };
+    ['ko', 'ja', 'zh'].forEach(language => {
+      if (weighted[language]) weighted[language] *= CJK_LETTER_WEIGHT;
+    });
+
+    const best = this.pickBest(weighted, 0);
+    if (!best) return { language: null, confident: false, letters, weight, share: 0, words: 0, trigrams: 0, latinScores: null };
+
+    const share = best.score / weight;
+    if (best.language === 'latin') {
+      return {
+        language: null,
+        confident: false,
+        letters,
+        weight,
+        share,
+        words: text.match(/\p{L}+/gu)?.length || 0,
+        trigrams: toTrigrams(text).length,
+        latinScores: this.scoreLatin(text)
+      };
+    }
+
+    const variant = SCRIPT_VARIANTS[best.language]?.find(({ pattern }) => pattern.test(text));
+    return {
+      language: variant ? variant.language : best.language,
+      confident: share >= MIN_SCRIPT_SHARE,
+      letters,
+      weight,
+      share,
+      words: 0,
+      trigrams: 0,
+      latinScores: null
+    };
+  }
+
+  /**
+   * Language of a Latin line. Its own best score counts only when the line is long enough
+   * and clearly ahead of the runner-up; otherwise the song's language is used if it scores
+   * close to the best, without confidence.
+   * @param {{ share: number, words: number, trigrams: number, latinScores: Record<string, number> }} analysis
+   * @param {string | null} songLatin
+   * @returns {{ language: string | null, confident: boolean }}
+   */
+  static resolveLatin({ share, words, trigrams, latinScores }, songLatin) {
+    const [best, runnerUp] = Object.entries(latinScores).sort((a, b) => b[1] - a[1]);
+    if (!best) return { language: null, confident: false };
+
+    const longEnough = words >= MIN_LATIN_WORDS && trigrams >= MIN_LATIN_TRIGRAMS;
+    if (longEnough && best[1] >= MIN_LATIN_SCORE && best[1] >= (runnerUp?.[1] || 0) * MIN_LATIN_MARGIN) {
+      return { language: best[0], confident: share >= MIN_SCRIPT_SHARE };
+    }
+
+    const songScore = songLatin ? (latinScores[songLatin] || 0) + SONG_LANGUAGE_BIAS : 0;
+    return songScore > MIN_LATIN_SCORE && songScore >= best[1]
+      ? { language: songLatin, confident: false }
+      : { language: null, confident: false };
+  }
+
+  /**
+   * Trigram and letter-hint scores per language, per distinct trigram of the line. Each
+   * trigram counts once, so a repeated hook does not outweigh the rest of the line.
+   * @param {string} text
+   * @returns {Record<string, number>}
+   */
+  static scoreLatin(text) {
+    const trigrams = toTrigrams(text);
+    if (!trigrams.length) return {};
+
+    /** @type {Record<string, number>} */
+    const scores = {};
+    Object.entries(trigramWeights).forEach(([language, weights]) => {
+      scores[language] = trigrams.reduce((sum, trigram) => sum + (weights.get(trigram) || 0), 0) / trigrams.length;
+    });
+
+    const lowered = text.toLowerCase().normalize('NFC');
+    Object.entries(LATIN_HINTS).forEach(([language, pattern]) => {
+      const hints = lowered.match(pattern)?.length || 0;
+      if (hints) scores[language] = (scores[language] || 0) + Math.min(0.5, hints * 0.15);
+    });
+
+    return scores;
+  }
+
+  /**
+   * The song's language: the one with the most text across detected lines.
+   * @param {(string | null)[]} lines
+   * @param {number[]} lineWeights
+   * @returns {{ language: string | null, confidence: number }}
+   */
+  static dominant(lines, lineWeights) {
+    /** @type {Record<string, number>} */
+    const weights = {};
+    let total = 0;
+    lines.forEach((language, index) => {
+      total += lineWeights[index];
+      if (language) weights[language] = (weights[language] || 0) + lineWeights[index];
+    });
+
+    const best = this.pickBest(weights, 0);
+    return best ? { language: best.language, confidence: best.score / total } : { language: null, confidence: 0 };
+  }
+
+  /**
+   * @param {Record<string, number>} scores
+   * @param {number} minScore
+   * @returns {{ language: string, score: number } | null}
+   */
+  static pickBest(scores, minScore) {
+    let best = null;
+    Object.entries(scores).forEach(([language, score]) => {
+      if (score > minScore && (!best || score > best.score)) best = { language, score };
+    });
+    return best;
+  }
+}
@@ -0,0 +1,85 @@
+// ==================================================================================================
+// SERVICE ERRORS
+// ==================================================================================================
+
+import { ERROR_CODES } from '../constants.js';
+
+/** @typedef {import('../../types').ServiceErrorCode} ServiceErrorCode */
+
+/**
+ * A failed lyrics or translation request with a known cause, so the content script can
+ * explain it and offer the right way out (retry, settings, another provider).
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {ServiceErrorCode} code
+   * @param {string} message
+   * @param {{ provider?: string | null, status?: number | null, cause?: unknown }} [details]
+   */
+  constructor(code, message, { provider = null, status = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ServiceError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+  }
+
+  /**
+   * Error for an HTTP response that was not ok.
+   * @param {Response} response
+   * @param {string} message - Includes the service's own explanation when it sent one.
+   * @param {string} [provider]
+   */
+  static fromResponse(response, message, provider) {
+    return new ServiceError(this.codeForStatus(response.status, message), message, {
+      provider,
+      status: response.status
+    });
+  }
+
+  /**
+   * @param {number} status
+   * @param {string} [message]
+   * @returns {ServiceErrorCode}
+   */
+  static codeForStatus(status, message = '') {
+    // Gemini answers an invalid key with 400 rather than 401.
+    if (status === 401 || status === 403 || /api[ _-]?key/i.test(message)) return ERROR_CODES.API_KEY_INVALID;
+    if (status === 429) return ERROR_CODES.RATE_LIMITED;
+    if (status === 404) return ERROR_CODES.NOT_FOUND;
+    return ERROR_CODES.UNKNOWN;
+  }
+
+  /**
+   * Classify any thrown value. ServiceErrors keep their code; the rest are recognized by
+   * the browser's error names for timeouts, cancellation, network failures and bad JSON.
+   * @param {unknown} error
+   * @param {string} [provider]
+   * @returns {ServiceError}
+   */
+  static from(error, provider) {
+    if (error instanceof ServiceError) {
+      if (provider && !error.provider) error.provider = provider;
+      return error;
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    return new ServiceError(this.classify(error), message, { provider, cause: error });
+  }
+
+  /**
+   * @param {unknown} error
+   * @returns {ServiceErrorCode}
+   */
+  static classify(error) {
+    const name = /** @type {any} */ (error)?.name;
+    if (name === 'TimeoutError') return ERROR_CODES.TIMEOUT;
+    if (name === 'AbortError') return ERROR_CODES.CANCELLED;
+    // fetch() rejects with a TypeError when the request never reached the server.
+    if (navigator.onLine === false || (error instanceof TypeError && /fetch|network/i.test(error.message))) {
+      return ERROR_CODES.NETWORK_OFFLINE;
+    }
+    if (error instanceof SyntaxError) return ERROR_CODES.PARSE_FAILURE;
+    return ERROR_CODES.UNKNOWN;
+  }
+}
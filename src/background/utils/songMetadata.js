@@ -0,0 +1,187 @@
+// ==================================================================================================
+// SONG METADATA NORMALIZATION
+// ==================================================================================================
+
+/** @typedef {import('../../types').SongInfo} SongInfo */
+/** @typedef {import('../../types').CanonicalSongInfo} CanonicalSongInfo */
+
+const BRACKET_REGEX = /\s*[([【「『]([^)\]】」』]*)[)\]】」』]/g;
+const NOISE_REGEX = /^(?:official|lyric|lyrics|audio|video|mv|m\/v|visuali[sz]er|performance|color coded|hd|4k|explicit|clean)\b/i;
+const FEATURING_REGEX = /^(?:feat\.?|ft\.?|featuring|with)\s+(.+)$/i;
+const INLINE_FEATURING_REGEX = /\s+(?:feat\.?|ft\.?|featuring)\s+(.+)$/i;
+const VERSION_REGEX = /\b(?:remix|mix|live|acoustic|version|ver\.?|edit|remaster(?:ed)?|instrumental|inst\.?|sped up|slowed|demo|unplugged|cover)\b/i;
+const DASH_SUFFIX_REGEX = /\s+-\s+([^-]+)$/;
+// Always separate artists. "&", "x" and "with" also occur inside single acts
+// ("Simon & Garfunkel"), so those only split for the relaxed query.
+const ARTIST_SEPARATOR_REGEX = /\s*(?:,|\bfeat\.?\s|\bft\.?\s|\bfeaturing\s)\s*/i;
+const COLLABORATOR_SEPARATOR_REGEX = /\s*(?:&|\s[x×]\s|\bwith\s)\s*/i;
+const CHANNEL_SUFFIX_REGEX = /\s*(?:-\s*topic|\bvevo)$/i;
+// VEVO channels glue the suffix to the name ("TaylorSwiftVEVO"); only the capitalized form counts.
+const GLUED_VEVO_REGEX = /(?<=\p{Ll})VEVO$/u;
+
+export class SongMetadata {
+  /**
+   * Split YouTube Music metadata into canonical fields. Noise such as "[MV]" or
+   * "- Topic" is dropped, featured artists are pulled out of both title and artist,
+   * and version tags ("Remix", "Live") are kept apart so they can be relaxed later.
+   * The artist stays whole apart from the channel suffix, so cache keys never depend
+   * on guessing where one act's name ends.
+   * @param {SongInfo} songInfo
+   * @returns {CanonicalSongInfo}
+   */
+  static normalize(songInfo) {
+    const artist = this.cleanArtist(songInfo.artist || '');
+    const artists = this.splitArtists(artist);
+    const primaryArtist = artists[0] || '';
+    /** @type {string[]} */
+    const featuredArtists = artists.slice(1);
+    /** @type {string[]} */
+    const versionTags = [];
+
+    let title = this.collapseSpaces(songInfo.title || '');
+
+    // "Artist - Title" uploads repeat the artist in the title.
+    if (primaryArtist && title.toLowerCase().startsWith(`${primaryArtist.toLowerCase()} - `)) {
+      title = title.slice(primaryArtist.length + 3);
+    }
+
+    title = title.replace(BRACKET_REGEX, (match, inner) => {
+      const content = inner.trim();
+      const featuring = FEATURING_REGEX.exec(content);
+      if (featuring) {
+        featuredArtists.push(...this.splitArtists(featuring[1]));
+        return '';
+      }
+      if (!content || NOISE_REGEX.test(content)) return '';
+      if (VERSION_REGEX.test(content)) {
+        versionTags.push(content);
+        return '';
+      }
+      return match;
+    });
+
+    const inlineFeaturing = INLINE_FEATURING_REGEX.exec(title);
+    if (inlineFeaturing) {
+      featuredArtists.push(...this.splitArtists(inlineFeaturing[1]));
+      title = title.slice(0, inlineFeaturing.index);
+    }
+
+    const dashSuffix = DASH_SUFFIX_REGEX.exec(title);
+    if (dashSuffix && VERSION_REGEX.test(dashSuffix[1])) {
+      versionTags.push(dashSuffix[1].trim());
+      title = title.slice(0, dashSuffix.index);
+    }
+
+    const baseTitle = this.collapseSpaces(title) || this.collapseSpaces(songInfo.title || '');
+    const uniqueFeatured = [...new Set(featuredArtists)]
+      .filter(name => name.toLowerCase() !== primaryArtist.toLowerCase());
+
+    return {
+      title: versionTags.length ? `${baseTitle} (${versionTags.join(') (')})` : baseTitle,
+      baseTitle,
+      versionTags,
+      artist,
+      primaryArtist,
+      featuredArtists: uniqueFeatured
+    };
+  }
+
+  /**
+   * Query variants from most to least specific. The original metadata always comes
+   * first so exact provider matches are not lost to normalization.
+   * @param {SongInfo} songInfo
+   * @returns {SongInfo[]}
+   */
+  static getQueryVariants(songInfo) {
+    const canonical = this.normalize(songInfo);
+    const [leadArtist] = this.splitCollaborators(canonical.primaryArtist);
+    const variants = [
+      songInfo,
+      { ...songInfo, title: canonical.title, artist: canonical.artist },
+      { ...songInfo, title: canonical.title, artist: canonical.primaryArtist },
+      { ...songInfo, title: canonical.baseTitle, artist: canonical.primaryArtist },
+      // Last resort for collaborations: only the first name of "A & B" or "A x B".
+      { ...songInfo, title: canonical.baseTitle, artist: leadArtist }
+    ];
+
+    const seen = new Set();
+    return variants.filter(variant => {
+      if (!variant.title || !variant.artist) return false;
+      const key = `${this.toMatchKey(variant.title)}|${this.toMatchKey(variant.artist)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * The artist string without a "- Topic" or "VEVO" channel suffix.
+   * @param {string} artist
+   */
+  static cleanArtist(artist) {
+    return this.collapseSpaces(artist.replace(CHANNEL_SUFFIX_REGEX, '').replace(GLUED_VEVO_REGEX, ''));
+  }
+
+  /**
+   * Break a multi-artist string into names at commas and "feat.", dropping channel suffixes.
+   * @param {string} artist
+   * @returns {string[]}
+   */
+  static splitArtists(artist) {
+    return this.cleanArtist(artist)
+      .split(ARTIST_SEPARATOR_REGEX)
+      .map(name => this.cleanArtist(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Break one credited name at "&", "x" and "with". Only for relaxed queries: the parts
+   * may well be a single act.
+   * @param {string} artist
+   * @returns {string[]}
+   */
+  static splitCollaborators(artist) {
+    return artist
+      .split(COLLABORATOR_SEPARATOR_REGEX)
+      .map(name => this.collapseSpaces(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Case-, width- and punctuation-insensitive form for comparisons and cache keys.
+   * Unlike Utilities.normalizeText this keeps non-Latin letters. Text that is only
+   * punctuation ("!!!") keeps it, so such titles and artists do not all share one key.
+   * @param {string} text
+   */
+  static toMatchKey(text) {
+    const lowered = this.collapseSpaces(text.normalize('NFKC').toLowerCase());
+    return this.collapseSpaces(lowered.replace(/[^\p{L}\p{N}\s]/gu, '')) || lowered;
+  }
+
+  /**
+   * Fields that make a stored record findable through the matchKey and videoId indexes.
+   * @param {SongInfo} songInfo
+   * @returns {{ matchKey: string, videoId?: string }}
+   */
+  static toIndexFields(songInfo) {
+    const canonical = this.normalize(songInfo);
+    const matchKey = `${this.toMatchKey(canonical.title)}|${this.toMatchKey(canonical.artist)}`;
+    return songInfo.videoId ? { matchKey, videoId: songInfo.videoId } : { matchKey };
+  }
+
+  /**
+   * Keys for per-song user choices: the videoId, and the normalized title and artist so
+   * the choice also applies to other uploads of the same song.
+   * @param {SongInfo} songInfo
+   * @returns {string[]} Most specific key first.
+   */
+  static toSongKeys(songInfo) {
+    const { matchKey, videoId } = this.toIndexFields(songInfo);
+    return videoId ? [`video:${videoId}`, `song:${matchKey}`] : [`song:${matchKey}`];
+  }
+
+  /** @param {string} text */
+  static collapseSpaces(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+}
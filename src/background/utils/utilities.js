@@ -2,9 +2,15 @@
 // UTILITIES
 // ==================================================================================================
 
+import { CONFIG } from '../constants.js';
+
+/** @type {Array<'json' | 'text' | 'arrayBuffer' | 'blob' | 'formData'>} */
+const BODY_READERS = ['json', 'text', 'arrayBuffer', 'blob', 'formData'];
+
 /**
  * Small set of utilities used across background scripts.
  * @typedef {import('../../types').SongInfo} SongInfo
+ * @typedef {import('../../types').FetchOptions} FetchOptions
  */
 export class Utilities {
   /**
@@ -74,6 +80,19 @@ export class Utilities {
     return track[s2.length][s1.length];
   }
 
+  /**
+   * Similarity ratio between two strings in [0, 1], based on Levenshtein distance.
+   * Inputs are compared as-is, so normalize them first.
+   * @param {string} s1
+   * @param {string} s2
+   * @returns {number}
+   */
+  static similarity(s1, s2) {
+    const maxLength = Math.max(s1.length, s2.length);
+    if (maxLength === 0) return 1;
+    return 1 - this.levenshteinDistance(s1, s2) / maxLength;
+  }
+
   /**
    * Async delay helper for backoff, tests and scheduling.
    * @param {number} ms
@@ -82,5 +101,80 @@ export class Utilities {
   static delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
+
+  /**
+   * fetch() that gives up after `timeoutMs`, or as soon as `options.signal` aborts.
+   * The timer keeps running after the headers arrive so reading the body is covered too;
+   * it is cleared, and the listener on `options.signal` removed, once the body has been
+   * read or the request failed.
+   * Timeouts reject with a "TimeoutError", cancellations with the caller's abort reason.
+   * `options.onRequest` hears about the status and latency of the request once it settles.
+   * @param {string} url
+   * @param {FetchOptions} [options]
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Response>}
+   */
+  static fetchWithTimeout(url, options = {}, timeoutMs = CONFIG.TIMEOUTS.REQUEST_MS) {
+    const { signal, onRequest, ...init } = options;
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const timer = setTimeout(() => {
+      controller.abort(new DOMException(`Request timed out after ${timeoutMs} ms`, 'TimeoutError'));
+      settle();
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const startedAt = Date.now();
+    const request = fetch(url, { ...init, signal: controller.signal }).then(
+      response => this.settleAfterBody(response, settle),
+      error => {
+        settle();
+        throw error;
+      }
+    );
+    if (onRequest) {
+      request.then(
+        response => onRequest({ url, status: response.status, latencyMs: Date.now() - startedAt }),
+        error => onRequest({ url, status: null, latencyMs: Date.now() - startedAt, error: String(error?.message || error) })
+      );
+    }
+    return request;
+  }
+
+  /**
+   * Call `settle` once the response body has been read, whichever way it is read, including
+   * through a clone.
+   * @param {Response} response
+   * @param {() => void} settle
+   * @returns {Response}
+   */
+  static settleAfterBody(response, settle) {
+    if (!response.body) {
+      settle();
+      return response;
+    }
+    BODY_READERS.forEach(method => {
+      const read = response[method];
+      response[method] = (...args) => read.apply(response, args).finally(settle);
+    });
+    const clone = response.clone;
+    response.clone = () => this.settleAfterBody(clone.call(response), settle);
+    return response;
+  }
+
+  /**
+   * Whether an error comes from a cancelled or timed out request.
+   * @param {unknown} error
+   */
+  static isAbortError(error) {
+    const name = /** @type {any} */ (error)?.name;
+    return name === 'AbortError' || name === 'TimeoutError';
+  }
 }
 
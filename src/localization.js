@@ -192,7 +192,32 @@ const translations = {
         showOriginal: "Show Original",
         hideOriginal: "Hide Original",
         refreshLyrics: "Refresh Lyrics",
-        showTranslationOptions: "Show Translation Options"
+        showTranslationOptions: "Show Translation Options",
+        unsyncedLyrics: "Unsynced",
+        unsyncedLyricsHint: "These lyrics have no timing information.",
+        searchAgain: "Search again",
+        errorOffline: "You appear to be offline. Check your connection and try again.",
+        errorTimeout: "The service took too long to respond.",
+        errorRateLimited: "The service is receiving too many requests right now.",
+        errorApiKeyInvalid: "The API key was rejected. Check it in the settings.",
+        errorParseFailure: "The service sent a response that could not be read.",
+        translationUnavailable: "Translation unavailable.",
+        retry: "Retry",
+        openSettings: "Open settings",
+        switchProvider: "Switch provider",
+        lyricsSource: "Lyrics source",
+        lyricsSourceAutomatic: "Automatic",
+        viewAlternatives: "View alternatives",
+        reportWrongLyrics: "These lyrics are wrong",
+        lyricsAlternatives: "Lyrics from every provider",
+        alternativesLoading: "Asking every provider…",
+        alternativesEmpty: "No provider has lyrics for this song.",
+        alternativesFailed: "Could not load the alternatives.",
+        alternativeLines: "lines",
+        alternativePreview: "Preview",
+        alternativePreviewing: "Previewing",
+        alternativeAccept: "Use these",
+        close: "Close"
     },
     'es-ES': {
         loading: "Cargando letras",
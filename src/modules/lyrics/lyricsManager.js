@@ -3,6 +3,7 @@
    ================================================================= */
 
 let currentFetchMediaId = null;
+let pendingFetchSong = null; // Song whose background requests have not settled yet
 let currentDisplayMode = 'none'; // User's intended display mode ('none', 'translate', 'romanize', 'both')
 let lastProcessedDisplayMode = 'none'; // The mode that was actually rendered
 
@@ -14,6 +15,9 @@ let lyricsFetchDebounceTimer = null;
 let lastRequestedSongKey = null;
 const DEBOUNCE_TIME_MS = 200;
 
+// Translations answered from cache arrive almost at once; only show pending lines for slower ones.
+const PENDING_PREVIEW_DELAY_MS = 300;
+
 
 /* =================================================================
    HELPER FUNCTIONS
@@ -37,7 +41,9 @@ function combineLyricsData(baseLyrics, translation, romanization) {
     const romanizedLine = romanizationData?.[index];
     let updatedLine = { ...line };
 
-    if (translatedLine?.translatedText) {
+    if (translatedLine?.translationSkipped) {
+      updatedLine.translationSkipped = true;
+    } else if (translatedLine?.translatedText) {
       updatedLine.translatedText = translatedLine.translatedText;
     }
 
@@ -99,7 +105,7 @@ function determineFinalDisplayMode(intendedMode, hasTranslation, hasRomanization
    CORE LOGIC: FETCHING AND PROCESSING
    ================================================================= */
 
-async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload = false) {
+async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload = false, keepCurrentLyrics = false) {
   const songKey = `${currentSong.title}-${currentSong.artist}-${currentSong.album}`;
   
   // --- 1. Debouncing and Race Condition Setup ---
@@ -116,7 +122,16 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
   const localCurrentFetchMediaId = currentSong.videoId || currentSong.songId;
   currentFetchMediaId = localCurrentFetchMediaId;
 
-  LyricsPlusAPI.cleanupLyrics();
+  // The previous song was skipped before its lyrics arrived; stop the background working on it.
+  if (pendingFetchSong && (pendingFetchSong.videoId || pendingFetchSong.songId) !== localCurrentFetchMediaId) {
+    cancelBackgroundFetch(pendingFetchSong);
+  }
+  pendingFetchSong = currentSong;
+
+  // When swapping in refreshed lyrics, keep the current ones on screen until the new ones render.
+  if (!keepCurrentLyrics) {
+    LyricsPlusAPI.cleanupLyrics();
+  }
 
   try {
     // --- 2. Determine Effective Mode (User's Intent) ---
@@ -131,8 +146,7 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
     }
 
     // --- 3. Fetch Base Lyrics ---
-    const originalLyricsResponse = await pBrowser.runtime.sendMessage({
-      type: 'FETCH_LYRICS',
+    const originalLyricsResponse = await sendBackgroundRequest('FETCH_LYRICS', {
       songInfo: currentSong,
       forceReload: forceReload
     });
@@ -143,8 +157,13 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
     }
 
     if (!originalLyricsResponse.success) {
-      console.warn('Failed to fetch original lyrics:', originalLyricsResponse.error);
-      if (LyricsPlusAPI.displaySongNotFound) LyricsPlusAPI.displaySongNotFound();
+      console.warn(`Failed to fetch original lyrics [${originalLyricsResponse.requestId}]:`, originalLyricsResponse.code, originalLyricsResponse.error);
+      // Without a known cause (or when nothing exists) keep the plain "not found" screen.
+      if (!originalLyricsResponse.code || originalLyricsResponse.code === 'NOT_FOUND') {
+        if (LyricsPlusAPI.displaySongNotFound) LyricsPlusAPI.displaySongNotFound(currentSong, fetchAndDisplayLyrics);
+      } else if (LyricsPlusAPI.displaySongError) {
+        LyricsPlusAPI.displaySongError(originalLyricsResponse, createErrorActions(currentSong));
+      }
       return;
     }
     let baseLyrics = originalLyricsResponse.lyrics;
@@ -156,23 +175,51 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
     const needsTranslation = effectiveMode === 'translate' || effectiveMode === 'both';
     const needsRomanization = effectiveMode === 'romanize' || effectiveMode === 'both' || currentSettings.largerTextMode === "romanization";
 
+    // Show the original lyrics while translations stream in, with a placeholder under each
+    // line that is still pending. Finished lines are filled in batch by batch.
+    const pendingKinds = [];
+    if (effectiveMode === 'translate' || effectiveMode === 'both') pendingKinds.push('translation');
+    if (effectiveMode === 'romanize' || effectiveMode === 'both') pendingKinds.push('romanization');
+
+    let previewShown = false;
+    const showPendingPreview = () => {
+      if (previewShown || currentFetchMediaId !== localCurrentFetchMediaId) return;
+      previewShown = true;
+
+      let previewLyrics = combineLyricsData(baseLyrics, null, null);
+      if (previewLyrics.type === "Word" && !currentSettings.wordByWord) {
+        previewLyrics = convertWordLyricsToLine(previewLyrics);
+      }
+      renderLyrics(previewLyrics, currentSong, effectiveMode);
+      if (LyricsPlusAPI.setLinesPending) LyricsPlusAPI.setLinesPending(pendingKinds);
+    };
+    const previewTimer = pendingKinds.length > 0 ? setTimeout(showPendingPreview, PENDING_PREVIEW_DELAY_MS) : null;
+
+    const onTranslationProgress = (progress) => {
+      const kind = progress.action === 'translate' ? 'translation' : 'romanization';
+      if (currentFetchMediaId !== localCurrentFetchMediaId || !pendingKinds.includes(kind)) return;
+      showPendingPreview();
+      applyTranslationProgress(baseLyrics, progress);
+    };
+
     if (needsTranslation) {
-      promises.push(pBrowser.runtime.sendMessage({
-        type: 'TRANSLATE_LYRICS', action: 'translate', songInfo: currentSong, targetLang: htmlLang
-      }));
+      promises.push(streamTranslation({
+        action: 'translate', songInfo: currentSong, targetLang: htmlLang
+      }, onTranslationProgress));
     } else {
       promises.push(Promise.resolve(null));
     }
 
     if (needsRomanization) {
-      promises.push(pBrowser.runtime.sendMessage({
-        type: 'TRANSLATE_LYRICS', action: 'romanize', songInfo: currentSong, targetLang: htmlLang
-      }));
+      promises.push(streamTranslation({
+        action: 'romanize', songInfo: currentSong, targetLang: htmlLang
+      }, onTranslationProgress));
     } else {
       promises.push(Promise.resolve(null));
     }
     
     const [translationResponse, romanizationResponse] = await Promise.all(promises);
+    clearTimeout(previewTimer);
 
     if (currentFetchMediaId !== localCurrentFetchMediaId) {
         console.warn("Song changed during additional data fetch. Aborting.", currentSong);
@@ -196,9 +243,8 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
       lyricsObjectToDisplay = convertWordLyricsToLine(lyricsObjectToDisplay);
     }
     
-    if (currentSong.isVideo && currentSong.videoId && currentSettings.useSponsorBlock && !lyricsObjectToDisplay.ignoreSponsorblock && !lyricsObjectToDisplay.metadata.ignoreSponsorblock) {
-      const sponsorBlockResponse = await pBrowser.runtime.sendMessage({
-        type: 'FETCH_SPONSOR_SEGMENTS',
+    if (currentSong.isVideo && currentSong.videoId && currentSettings.useSponsorBlock && lyricsObjectToDisplay.type !== "Unsynced" && !lyricsObjectToDisplay.ignoreSponsorblock && !lyricsObjectToDisplay.metadata.ignoreSponsorblock) {
+      const sponsorBlockResponse = await sendBackgroundRequest('FETCH_SPONSOR_SEGMENTS', {
         videoId: currentSong.videoId
       });
 
@@ -213,21 +259,17 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
     }
     
     // --- 7. Render Lyrics ---
-    lyricsObjectToDisplay.type = lyricsObjectToDisplay.type === "Line" ? "Line" : "Word";
-    lastFetchedLyrics = lyricsObjectToDisplay;
-    if (LyricsPlusAPI.displayLyrics) {
-      LyricsPlusAPI.displayLyrics(
-        lyricsObjectToDisplay,
-        currentSong,
-        finalDisplayModeForRenderer,
-        currentSettings,
-        fetchAndDisplayLyrics,
-        setCurrentDisplayModeAndRender,
-        currentSettings.largerTextMode
-      );
-    } else {
-      console.error("displayLyrics is not available.");
+    if (lyricsObjectToDisplay.type !== "Unsynced") {
+      lyricsObjectToDisplay.type = lyricsObjectToDisplay.type === "Line" ? "Line" : "Word";
     }
+    lastFetchedLyrics = lyricsObjectToDisplay;
+    renderLyrics(lyricsObjectToDisplay, currentSong, finalDisplayModeForRenderer);
+    loadLyricsSources(currentSong);
+    reportTranslationProblem(
+      pendingKinds.includes('translation') ? translationResponse : null,
+      pendingKinds.includes('romanization') ? romanizationResponse : null,
+      currentSong
+    );
     
     lastKnownSongInfo = currentSong;
     lastProcessedDisplayMode = finalDisplayModeForRenderer;
@@ -240,13 +282,289 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
     if (currentFetchMediaId === (currentSong?.videoId || currentSong?.songId)) {
       if (LyricsPlusAPI.displaySongError) LyricsPlusAPI.displaySongError();
     }
+  } finally {
+    if (pendingFetchSong === currentSong) pendingFetchSong = null;
+  }
+}
+
+/**
+ * Hands lyrics to the renderer with the current settings and callbacks.
+ * @param {object} lyrics - The lyrics object to render.
+ * @param {object} songInfo - The song the lyrics belong to.
+ * @param {string} displayMode - 'none', 'translate', 'romanize' or 'both'.
+ */
+function renderLyrics(lyrics, songInfo, displayMode) {
+  if (!LyricsPlusAPI.displayLyrics) {
+    console.error("displayLyrics is not available.");
+    return;
+  }
+  LyricsPlusAPI.displayLyrics(
+    lyrics,
+    songInfo,
+    displayMode,
+    currentSettings,
+    fetchAndDisplayLyrics,
+    setCurrentDisplayModeAndRender,
+    currentSettings.largerTextMode
+  );
+}
+
+/**
+ * Offers the song's pinnable lyrics providers and sources in the renderer's dropdown.
+ * Picking one pins it in the background and reloads the lyrics through it. The dropdown
+ * also gets "View alternatives" and "These lyrics are wrong" for the song.
+ * @param {object} songInfo - The song whose lyrics are on screen.
+ */
+function loadLyricsSources(songInfo) {
+  if (!LyricsPlusAPI.setLyricsSources) return;
+  const mediaId = songInfo.videoId || songInfo.songId;
+
+  sendBackgroundRequest('GET_LYRICS_SOURCES', { songInfo })
+    .then((response) => {
+      if (!response.success || currentFetchMediaId !== mediaId) return;
+      LyricsPlusAPI.setLyricsSources(response.options, response.pin, {
+        selectSource: (pin) => pinLyricsSource(songInfo, pin),
+        viewAlternatives: LyricsPlusAPI.showLyricsAlternatives ? () => openLyricsAlternatives(songInfo) : null,
+        reportWrong: () => reportWrongLyrics(songInfo)
+      });
+    })
+    .catch(error => console.warn('Failed to load lyrics sources:', error));
+}
+
+/**
+ * Pins a provider and source for the song, or clears its pin, then fetches the lyrics again.
+ * @param {object} songInfo - The song to pin.
+ * @param {{provider: string, source: string|null}|null} pin - The choice, or null for automatic.
+ */
+async function pinLyricsSource(songInfo, pin) {
+  try {
+    const response = await sendBackgroundRequest('PIN_LYRICS_SOURCE', pin ? { songInfo, pin } : { songInfo });
+    if (!response.success) {
+      console.warn(`Failed to pin lyrics source [${response.requestId}]:`, response.error);
+      return;
+    }
+    fetchAndDisplayLyrics(songInfo, false, true);
+  } catch (error) {
+    console.warn('Failed to pin lyrics source:', error);
+  }
+}
+
+/**
+ * Marks the lyrics on screen as wrong for the song, then looks the song up again. The
+ * background skips the blocked result and moves on to the next candidate.
+ * @param {object} songInfo - The song whose lyrics are on screen.
+ */
+async function reportWrongLyrics(songInfo) {
+  try {
+    const response = await sendBackgroundRequest('REPORT_WRONG_LYRICS', { songInfo });
+    if (!response.success) {
+      console.warn(`Failed to report wrong lyrics [${response.requestId}]:`, response.code, response.error);
+      return;
+    }
+    fetchAndDisplayLyrics(songInfo, false, true);
+  } catch (error) {
+    console.warn('Failed to report wrong lyrics:', error);
+  }
+}
+
+/**
+ * Opens the panel listing every provider's lyrics for the song. A candidate can be previewed
+ * against playback; accepting it replaces the song's cached lyrics. Closing the panel puts
+ * the lyrics that were on screen back.
+ * @param {object} songInfo - The song whose lyrics are on screen.
+ */
+function openLyricsAlternatives(songInfo) {
+  const mediaId = songInfo.videoId || songInfo.songId;
+  const isCurrentSong = () => currentFetchMediaId === mediaId;
+  let alternatives = null;
+  let previewing = null;
+
+  const handlers = {
+    preview: (alternative) => {
+      if (!isCurrentSong()) return;
+      previewing = alternative.provider;
+      let previewLyrics = combineLyricsData(alternative.lyrics, null, null);
+      if (previewLyrics.type === "Word" && !currentSettings.wordByWord) {
+        previewLyrics = convertWordLyricsToLine(previewLyrics);
+      }
+      renderLyrics(previewLyrics, songInfo, 'none');
+      LyricsPlusAPI.showLyricsAlternatives(alternatives, handlers, { previewing });
+    },
+    accept: async (alternative) => {
+      try {
+        const response = await sendBackgroundRequest('ACCEPT_LYRICS_ALTERNATIVE', { songInfo, provider: alternative.provider });
+        if (!response.success) {
+          console.warn(`Failed to accept lyrics alternative [${response.requestId}]:`, response.code, response.error);
+          LyricsPlusAPI.showLyricsAlternatives(alternatives, handlers, { previewing });
+          return;
+        }
+        if (!isCurrentSong()) return;
+        LyricsPlusAPI.hideLyricsAlternatives();
+        fetchAndDisplayLyrics(songInfo, false, false, true);
+      } catch (error) {
+        console.warn('Failed to accept lyrics alternative:', error);
+      }
+    },
+    close: () => {
+      if (previewing && isCurrentSong() && lastFetchedLyrics) {
+        renderLyrics(lastFetchedLyrics, songInfo, lastProcessedDisplayMode);
+      }
+    }
+  };
+
+  LyricsPlusAPI.showLyricsAlternatives(null, handlers);
+  sendBackgroundRequest('GET_LYRICS_ALTERNATIVES', { songInfo })
+    .then((response) => {
+      if (!isCurrentSong()) return;
+      if (!response.success) {
+        console.warn(`Failed to load lyrics alternatives [${response.requestId}]:`, response.code, response.error);
+        LyricsPlusAPI.showLyricsAlternatives(null, handlers, { failed: true });
+        return;
+      }
+      alternatives = response.alternatives;
+      LyricsPlusAPI.showLyricsAlternatives(alternatives, handlers, { previewing });
+    })
+    .catch(error => console.warn('Failed to load lyrics alternatives:', error));
+}
+
+/**
+ * Callbacks behind the action button of an error message.
+ * @param {object} songInfo - The song to retry.
+ * @param {boolean} [forceReload=true] - Whether a retry skips the cached lyrics.
+ * @returns {{ retry: Function, openSettings: Function }}
+ */
+function createErrorActions(songInfo, forceReload = true) {
+  return {
+    retry: () => fetchAndDisplayLyrics(songInfo, true, forceReload),
+    openSettings: (section) => {
+      sendBackgroundRequest('OPEN_SETTINGS', section ? { section } : {}).catch(error => {
+        console.warn('Failed to open settings:', error);
+      });
+    }
+  };
+}
+
+/**
+ * Tells the user why a translation or romanization they asked for is missing, or why it
+ * came from the fallback provider. Only the first problem is shown.
+ * @param {object|null} translationResponse - Response for the displayed translation, if any.
+ * @param {object|null} romanizationResponse - Response for the displayed romanization, if any.
+ * @param {object} songInfo - The current song.
+ */
+function reportTranslationProblem(translationResponse, romanizationResponse, songInfo) {
+  if (!LyricsPlusAPI.displayTranslationError) return;
+
+  for (const response of [translationResponse, romanizationResponse]) {
+    if (!response) continue;
+    const fallbackReason = response.translatedLyrics?.translationMeta?.fallbackReason;
+    const problem = !response.success ? response
+      : fallbackReason === 'API_KEY_INVALID' ? { code: fallbackReason }
+      : null;
+
+    if (problem && problem.code !== 'CANCELLED') {
+      LyricsPlusAPI.displayTranslationError(problem, createErrorActions(songInfo, false));
+      return;
+    }
   }
 }
 
+/**
+ * Fills in a batch of streamed translation or romanization lines on the rendered lyrics.
+ * @param {object} baseLyrics - The original lyrics the batch belongs to.
+ * @param {{ action: string, from: number, lines: object[] }} progress - A batch from the background.
+ */
+function applyTranslationProgress(baseLyrics, progress) {
+  if (!LyricsPlusAPI.updateLineTranslation) return;
+  const isTranslation = progress.action === 'translate';
+
+  progress.lines.forEach((line, offset) => {
+    const index = progress.from + offset;
+    const baseLine = baseLyrics.data[index];
+    if (!baseLine) return;
+
+    const singleLine = { ...baseLyrics, data: [baseLine] };
+    const partial = { data: [line] };
+    const mergedLine = combineLyricsData(
+      singleLine,
+      isTranslation ? partial : null,
+      isTranslation ? null : partial
+    ).data[0];
+    LyricsPlusAPI.updateLineTranslation(index, mergedLine, isTranslation ? 'translation' : 'romanization');
+  });
+}
+
+/**
+ * Requests a translation or romanization over a port, so finished lines arrive while
+ * the rest of the song is still being processed.
+ * @param {object} payload - TRANSLATE_LYRICS fields (action, songInfo, targetLang).
+ * @param {Function} onProgress - Called with { action, from, lines } for each finished batch.
+ * @returns {Promise<object>} The final response, shaped like a TRANSLATE_LYRICS reply.
+ */
+function streamTranslation(payload, onProgress) {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
+    let settled = false;
+    const port = pBrowser.runtime.connect({ name: 'translation-stream' });
+
+    port.onMessage.addListener((message) => {
+      if (message?.requestId !== requestId) return;
+      if (message.event === 'progress') {
+        onProgress(message);
+        return;
+      }
+      settled = true;
+      resolve(message);
+    });
+    port.onDisconnect.addListener(() => {
+      if (!settled) resolve({ success: false, error: 'Translation stream closed', requestId });
+    });
+
+    port.postMessage({ ...payload, type: 'TRANSLATE_LYRICS', requestId });
+  });
+}
+
+/**
+ * Lets the background abort lyrics and translation requests for a song that is no longer playing.
+ * @param {object} songInfo - The song that was skipped.
+ */
+function cancelBackgroundFetch(songInfo) {
+  sendBackgroundRequest('CANCEL_FETCH', { songInfo }).catch(error => {
+    console.warn('Failed to cancel background fetch:', error);
+  });
+}
+
+/**
+ * Sends a request to the background with a fresh request id. The background echoes the id in
+ * its response and log lines; failed responses also carry an error `code`.
+ * @param {string} type - One of the background message types.
+ * @param {object} [payload] - Fields required by that type's schema.
+ * @returns {Promise<object>} The background's response.
+ */
+function sendBackgroundRequest(type, payload = {}) {
+  return pBrowser.runtime.sendMessage({ ...payload, type, requestId: crypto.randomUUID() });
+}
+
 /* =================================================================
    PUBLIC API AND RENDER TRIGGER
    ================================================================= */
 
+/**
+ * The background refreshed cached lyrics (stale-while-revalidate) and they changed.
+ * Re-render in place; the renderer follows the player clock, so playback position is kept.
+ */
+if (pBrowser?.runtime?.onMessage) {
+  pBrowser.runtime.onMessage.addListener((message) => {
+    if (message?.type !== 'LYRICS_UPDATED' || !lastKnownSongInfo) return;
+
+    const updatedId = message.songInfo?.videoId || message.songInfo?.songId;
+    const currentId = lastKnownSongInfo.videoId || lastKnownSongInfo.songId;
+    if (!updatedId || updatedId !== currentId || currentFetchMediaId !== currentId) return;
+
+    console.log('LyricsPlus: Cached lyrics were refreshed, swapping them in.');
+    fetchAndDisplayLyrics(lastKnownSongInfo, false, false, true);
+  });
+}
+
 function setCurrentDisplayModeAndRender(mode, songInfoForRefetch) {
   currentDisplayMode = mode;
   const songToRefetch = songInfoForRefetch || lastKnownSongInfo;
@@ -30,6 +30,10 @@ class LyricsPlusRenderer {
     this.translationButton = null;
     this.reloadButton = null;
     this.dropdownMenu = null;
+    /** Providers the dropdown offers to pin for the current song; see setLyricsSources(). */
+    this.lyricsSources = null;
+    /** The "View alternatives" panel while it is open; see showLyricsAlternatives(). */
+    this.alternativesPanel = null;
 
     this.isProgrammaticScrolling = false;
     this.endProgrammaticScrollTimer = null;
@@ -654,11 +658,12 @@ class LyricsPlusRenderer {
       return Math.round(rawDelayMs);
     };
 
-    lyrics.data.forEach((line) => {
+    lyrics.data.forEach((line, lineIndex) => {
       let currentLine =
         elementPool.lines.pop() || document.createElement("div");
       currentLine.innerHTML = "";
       currentLine.className = "lyrics-line";
+      currentLine.dataset.lineIndex = lineIndex;
       currentLine.dataset.startTime = line.startTime;
       currentLine.dataset.endTime = line.endTime;
       const singerClass = line.element?.singer
@@ -984,10 +989,11 @@ class LyricsPlusRenderer {
     fragment
   ) {
     const lineFragment = document.createDocumentFragment();
-    lyrics.data.forEach((line) => {
+    lyrics.data.forEach((line, lineIndex) => {
       const lineDiv = elementPool.lines.pop() || document.createElement("div");
       lineDiv.innerHTML = "";
       lineDiv.className = "lyrics-line";
+      lineDiv.dataset.lineIndex = lineIndex;
       lineDiv.dataset.startTime = line.startTime;
       lineDiv.dataset.endTime = line.endTime;
       const singerClass = line.element?.singer
@@ -1012,6 +1018,72 @@ class LyricsPlusRenderer {
     fragment.appendChild(lineFragment);
   }
 
+  /**
+   * Renders plain lyrics as static text. There is no timeline, so lines are not
+   * clickable, nothing is highlighted and the user scrolls freely.
+   * @param {object} lyrics - The lyrics data object with type "Unsynced".
+   * @param {string} displayMode - The current display mode ('none', 'translate', 'romanize', 'both').
+   * @param {HTMLElement} container - The lyrics container element.
+   * @private
+   */
+  _renderUnsyncedLyrics(lyrics, displayMode, container) {
+    if (this.lyricsAnimationFrameId) {
+      cancelAnimationFrame(this.lyricsAnimationFrameId);
+      this.lyricsAnimationFrameId = null;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    const badge = document.createElement("div");
+    badge.className = "lyrics-plus-unsynced-badge";
+    badge.textContent = t("unsyncedLyrics");
+    badge.title = t("unsyncedLyricsHint");
+    fragment.appendChild(badge);
+
+    lyrics.data.forEach((line, lineIndex) => {
+      const lineDiv = document.createElement("div");
+      lineDiv.className = "lyrics-line unsynced-line singer-left";
+      lineDiv.dataset.lineIndex = lineIndex;
+      const mainContainer = document.createElement("div");
+      mainContainer.className = "main-vocal-container";
+      mainContainer.textContent = this._getDataText(line);
+      if (this._isRTL(this._getDataText(line, true))) {
+        lineDiv.classList.add("rtl-text");
+        mainContainer.classList.add("rtl-text");
+      }
+      lineDiv.appendChild(mainContainer);
+      this._renderTranslationContainer(lineDiv, line, displayMode);
+      fragment.appendChild(lineDiv);
+    });
+
+    const metadataContainer = document.createElement("div");
+    metadataContainer.className = "lyrics-plus-metadata";
+    if (lyrics.metadata?.songWriters?.length > 0) {
+      const songWritersDiv = document.createElement("span");
+      songWritersDiv.className = "lyrics-song-writters";
+      songWritersDiv.innerText = `${t("writtenBy")} ${lyrics.metadata.songWriters.join(", ")}`;
+      metadataContainer.appendChild(songWritersDiv);
+    }
+    const sourceDiv = document.createElement("span");
+    sourceDiv.className = "lyrics-source-provider";
+    sourceDiv.innerText = `${t("source")} ${lyrics.metadata?.source}`;
+    metadataContainer.appendChild(sourceDiv);
+    fragment.appendChild(metadataContainer);
+
+    const emptyDiv = document.createElement("div");
+    emptyDiv.className = "lyrics-plus-empty";
+    fragment.appendChild(emptyDiv);
+
+    container.appendChild(fragment);
+
+    this.cachedLyricsLines = [];
+    this.cachedSyllables = [];
+    this.activeLineIds.clear();
+    this.visibleLineIds.clear();
+    this.currentPrimaryActiveLine = null;
+    this._animateScroll(0, true);
+  }
+
   /**
    * Applies the appropriate CSS classes to the container based on the display mode.
    * @param {HTMLElement} container - The lyrics container element.
@@ -1181,7 +1253,8 @@ class LyricsPlusRenderer {
       }
     }
     if (displayMode === "translate" || displayMode === "both") {
-      if (lineData.translatedText &&
+      // Lines already in the target language were left untranslated on purpose.
+      if (lineData.translatedText && !lineData.translationSkipped &&
         lineData.text.trim() !== lineData.translatedText.trim()) {
         const cont = document.createElement("div");
         cont.classList.add("lyrics-translation-container");
@@ -1191,6 +1264,269 @@ class LyricsPlusRenderer {
     }
   }
 
+  /**
+   * Shows a notice over the rendered lyrics when a translation or romanization failed or
+   * had to fall back to another provider. Cleared by the next render.
+   * @param {{ code?: string }} error - Failed background response, or just its code.
+   * @param {{ retry?: Function, openSettings?: Function }} [actions]
+   */
+  displayTranslationError(error, actions = {}) {
+    const container = this._getContainer();
+    if (!container) return;
+
+    container.querySelector(".lyrics-plus-notice")?.remove();
+    const presentation = this._describeError(error?.code, "translation");
+
+    const notice = document.createElement("div");
+    notice.className = "lyrics-plus-notice";
+    const message = document.createElement("span");
+    message.textContent = `${t("translationUnavailable")} ${t(presentation.messageKey)}`;
+    notice.appendChild(message);
+
+    const actionButton = this._createErrorActionButton(presentation, actions);
+    if (actionButton) notice.appendChild(actionButton);
+    container.appendChild(notice);
+  }
+
+  /**
+   * Message and follow-up for a classified error code from the background.
+   * @param {string} [code]
+   * @param {'lyrics'|'translation'} origin - Which settings section has the providers to switch.
+   * @returns {{ messageKey: string, action: 'retry'|'openSettings'|'switchProvider', section?: string }}
+   * @private
+   */
+  _describeError(code, origin) {
+    const providerSection = origin === "translation" ? "translation" : "general";
+    switch (code) {
+      case "NETWORK_OFFLINE":
+        return { messageKey: "errorOffline", action: "retry" };
+      case "TIMEOUT":
+        return { messageKey: "errorTimeout", action: "retry" };
+      case "RATE_LIMITED":
+        return { messageKey: "errorRateLimited", action: "switchProvider", section: providerSection };
+      case "API_KEY_INVALID":
+        return { messageKey: "errorApiKeyInvalid", action: "openSettings", section: "translation" };
+      case "PARSE_FAILURE":
+        return { messageKey: "errorParseFailure", action: "switchProvider", section: providerSection };
+      default:
+        return { messageKey: "notFoundError", action: "retry" };
+    }
+  }
+
+  /**
+   * @param {{ action: string, section?: string }} presentation - From _describeError().
+   * @param {{ retry?: Function, openSettings?: Function }} actions
+   * @returns {HTMLButtonElement|null} Null when the action is not available here.
+   * @private
+   */
+  _createErrorActionButton(presentation, actions) {
+    const handler = presentation.action === "retry" ? actions.retry : actions.openSettings;
+    if (!handler) return null;
+
+    const button = document.createElement("button");
+    button.className = "lyrics-plus-retry-button";
+    button.textContent = t(presentation.action);
+    button.addEventListener("click", (event) => {
+      event.stopPropagation();
+      if (presentation.action === "retry") button.disabled = true;
+      handler(presentation.section);
+    });
+    return button;
+  }
+
+  /**
+   * Shows a placeholder under every line whose translation or romanization is still being
+   * fetched. updateLineTranslation() replaces them line by line as results stream in.
+   * @param {Array<'translation'|'romanization'>} kinds - What is still pending.
+   */
+  setLinesPending(kinds) {
+    const container = this._getContainer();
+    if (!container) return;
+
+    container.querySelectorAll(".lyrics-line[data-line-index]").forEach((lineElement) => {
+      const mainContainer = lineElement.querySelector(".main-vocal-container");
+
+      kinds.forEach((kind) => {
+        // Latin lines never get a romanization, so there is nothing to wait for.
+        if (kind === "romanization" && this._isPurelyLatinScript(mainContainer?.textContent || "")) return;
+        if (lineElement.querySelector(`.lyrics-pending-${kind}`)) return;
+
+        const placeholder = document.createElement("div");
+        placeholder.className = `lyrics-pending lyrics-pending-${kind}`;
+        placeholder.setAttribute("aria-hidden", "true");
+
+        if (kind === "romanization" && mainContainer) {
+          mainContainer.after(placeholder);
+        } else {
+          lineElement.appendChild(placeholder);
+        }
+      });
+    });
+  }
+
+  /**
+   * Renders a streamed translation or romanization for one line, replacing its placeholder.
+   * @param {number} lineIndex - Index of the line in lyrics.data.
+   * @param {object} lineData - The line, merged with its translation or romanization.
+   * @param {'translation'|'romanization'} kind - Which part arrived.
+   */
+  updateLineTranslation(lineIndex, lineData, kind) {
+    const container = this._getContainer();
+    const lineElement = container?.querySelector(`.lyrics-line[data-line-index="${lineIndex}"]`);
+    if (!lineElement) return;
+
+    const staleSelector = kind === "romanization"
+      ? ".lyrics-pending-romanization, .lyrics-romanization-container, .lyrics-syllable.transliteration"
+      : ".lyrics-pending-translation, .lyrics-translation-container";
+    lineElement.querySelectorAll(staleSelector).forEach((element) => element.remove());
+
+    this._renderTranslationContainer(lineElement, lineData, kind === "romanization" ? "romanize" : "translate");
+  }
+
+  /**
+   * Lists lyrics providers and sources in the dropdown menu so the user can pin one for
+   * the current song. Choosing "Automatic" removes the pin. Also adds the menu entries
+   * for the song's lyrics that are backed by an action.
+   * @param {Array<{provider: string, source: string|null, label: string}>} options - Pinnable choices.
+   * @param {{provider: string, source?: string|null}|null} pin - The song's current pin.
+   * @param {{selectSource?: Function, viewAlternatives?: Function, reportWrong?: Function}} [actions] -
+   *   selectSource is called with the chosen pin, or null for automatic. viewAlternatives opens
+   *   the "View alternatives" panel; reportWrong marks the lyrics on screen as wrong.
+   */
+  setLyricsSources(options, pin, actions = {}) {
+    this.lyricsSources = { options, pin, actions };
+    if (this.dropdownMenu) this._createDropdownMenu();
+  }
+
+  /**
+   * Opens (or refreshes) the panel listing every provider's lyrics for the current song.
+   * @param {Array<{provider: string, providerName: string, syncType: "Word"|"Line"|"Plain", lineCount: number,
+   *   source: string|null, preview: string[], timelineIssue: string|null}>|null} alternatives -
+   *   Candidates to list, best first, or null while they are being fetched.
+   * @param {{preview: Function, accept: Function, close: Function}} handlers - Called with the
+   *   chosen alternative (preview, accept) or when the user closes the panel.
+   * @param {{previewing?: string|null, failed?: boolean}} [status] - Provider whose lyrics are
+   *   shown as a preview; whether fetching the list failed.
+   * Only a call with null alternatives opens the panel. Once it is closed, updates for it are
+   * dropped, so a list that arrives after the user closed the panel does not reopen it.
+   */
+  showLyricsAlternatives(alternatives, handlers, { previewing = null, failed = false } = {}) {
+    let panel = this.alternativesPanel;
+    if (!panel) {
+      if (alternatives || failed) return;
+      const parent = document.querySelector(this.uiConfig.patchParent);
+      if (!parent) return;
+      panel = document.createElement("div");
+      panel.id = "lyrics-plus-alternatives-panel";
+      parent.appendChild(panel);
+      this.alternativesPanel = panel;
+    }
+    panel.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "alternatives-header";
+    const title = document.createElement("span");
+    title.textContent = t("lyricsAlternatives");
+    const closeButton = document.createElement("button");
+    closeButton.className = "alternatives-close";
+    closeButton.textContent = "✕";
+    closeButton.title = t("close");
+    closeButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.hideLyricsAlternatives();
+      handlers.close();
+    });
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    panel.appendChild(header);
+
+    if (!alternatives || alternatives.length === 0) {
+      const message = document.createElement("div");
+      message.className = "alternatives-message";
+      message.textContent = t(failed ? "alternativesFailed" : alternatives ? "alternativesEmpty" : "alternativesLoading");
+      panel.appendChild(message);
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "alternatives-list";
+    alternatives.forEach((alternative) => {
+      list.appendChild(this._createAlternativeItem(alternative, handlers, alternative.provider === previewing));
+    });
+    panel.appendChild(list);
+  }
+
+  /**
+   * Removes the "View alternatives" panel without calling its handlers.
+   */
+  hideLyricsAlternatives() {
+    this.alternativesPanel?.remove();
+    this.alternativesPanel = null;
+  }
+
+  /**
+   * @param {object} alternative - One entry of showLyricsAlternatives().
+   * @param {{preview: Function, accept: Function}} handlers
+   * @param {boolean} isPreviewing - Whether these lyrics are the ones on screen.
+   * @returns {HTMLLIElement}
+   * @private
+   */
+  _createAlternativeItem(alternative, handlers, isPreviewing) {
+    const item = document.createElement("li");
+    item.className = "alternatives-item";
+    item.classList.toggle("active", isPreviewing);
+
+    const name = document.createElement("div");
+    name.className = "alternatives-name";
+    name.textContent = alternative.providerName;
+
+    const details = document.createElement("div");
+    details.className = "alternatives-details";
+    const syncLabel = alternative.syncType === "Plain" ? t("unsyncedLyrics") : alternative.syncType;
+    details.textContent = [
+      syncLabel,
+      `${alternative.lineCount} ${t("alternativeLines")}`,
+      alternative.source
+    ].filter(Boolean).join(" · ");
+
+    const preview = document.createElement("div");
+    preview.className = "alternatives-preview";
+    preview.textContent = alternative.preview.join(" / ");
+
+    item.appendChild(name);
+    item.appendChild(details);
+    item.appendChild(preview);
+
+    if (alternative.timelineIssue) {
+      const issue = document.createElement("div");
+      issue.className = "alternatives-issue";
+      issue.textContent = alternative.timelineIssue;
+      item.appendChild(issue);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "alternatives-actions";
+    const previewButton = document.createElement("button");
+    previewButton.textContent = t(isPreviewing ? "alternativePreviewing" : "alternativePreview");
+    previewButton.disabled = isPreviewing;
+    previewButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      handlers.preview(alternative);
+    });
+    const acceptButton = document.createElement("button");
+    acceptButton.textContent = t("alternativeAccept");
+    acceptButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      acceptButton.disabled = true;
+      handlers.accept(alternative);
+    });
+    actions.appendChild(previewButton);
+    actions.appendChild(acceptButton);
+    item.appendChild(actions);
+
+    return item;
+  }
+
   /**
    * Updates the display of lyrics based on a new display mode (translation/romanization).
    * This method re-renders the lyric lines without re-fetching the entire lyrics data.
@@ -1265,6 +1601,7 @@ class LyricsPlusRenderer {
       lyrics.type === "Word" && currentSettings.wordByWord;
     container.classList.toggle("word-by-word-mode", isWordByWordMode);
     container.classList.toggle("line-by-line-mode", !isWordByWordMode);
+    container.classList.toggle("unsynced-lyrics", lyrics?.type === "Unsynced");
 
     // Re-determine text direction and dual-side layout
     let hasRTL = false,
@@ -1444,6 +1781,11 @@ class LyricsPlusRenderer {
       return;
     }
 
+    if (lyrics.type === "Unsynced") {
+      this._renderUnsyncedLyrics(lyrics, displayMode, container);
+      return;
+    }
+
     if (isWordByWordMode) {
       this._renderWordByWordLyrics(
         lyrics,
@@ -1716,8 +2058,10 @@ class LyricsPlusRenderer {
 
   /**
    * Displays a "not found" message in the lyrics container.
+   * @param {object} [songInfo] - The song that was looked up, used for retrying.
+   * @param {Function} [fetchAndDisplayLyricsFn] - The function to fetch and display lyrics.
    */
-  displaySongNotFound() {
+  displaySongNotFound(songInfo, fetchAndDisplayLyricsFn) {
     const container = this._getContainer();
     if (container) {
       // Use DOM methods and `textContent` to prevent HTML injection
@@ -1726,6 +2070,21 @@ class LyricsPlusRenderer {
       notFoundSpan.className = "text-not-found";
       notFoundSpan.textContent = t("notFound");
       container.appendChild(notFoundSpan);
+
+      // The control buttons are hidden here, so offer a search that skips the "not found" cache.
+      const retryFn = fetchAndDisplayLyricsFn || this.fetchAndDisplayLyricsFn;
+      const retrySong = songInfo || this.lastKnownSongInfo;
+      if (retryFn && retrySong) {
+        const retryButton = document.createElement("button");
+        retryButton.className = "lyrics-plus-retry-button";
+        retryButton.textContent = t("searchAgain");
+        retryButton.addEventListener("click", (event) => {
+          event.stopPropagation();
+          retryButton.disabled = true;
+          retryFn(retrySong, true, true);
+        });
+        notFoundSpan.appendChild(retryButton);
+      }
       container.classList.add("lyrics-plus-message");
 
       const buttonsWrapper = document.getElementById("lyrics-plus-buttons-wrapper");
@@ -1742,14 +2101,19 @@ class LyricsPlusRenderer {
 
   /**
    * Displays an error message in the lyrics container.
+   * @param {{ code?: string }} [error] - Failed background response; its code picks the message.
+   * @param {{ retry?: Function, openSettings?: Function }} [actions] - What the action button can do.
    */
-  displaySongError() {
+  displaySongError(error = null, actions = {}) {
     const container = this._getContainer();
     if (container) {
       container.innerHTML = "";
+      const presentation = this._describeError(error?.code, "lyrics");
       const errSpan = document.createElement("span");
       errSpan.className = "text-not-found";
-      errSpan.textContent = t("notFoundError");
+      errSpan.textContent = t(presentation.messageKey);
+      const actionButton = this._createErrorActionButton(presentation, actions);
+      if (actionButton) errSpan.appendChild(actionButton);
       container.appendChild(errSpan);
       container.classList.add("lyrics-plus-message");
 
@@ -2799,6 +3163,80 @@ class LyricsPlusRenderer {
       });
       this.dropdownMenu.appendChild(optionDiv);
     }
+
+    if (this.lyricsSources?.options.length > 1) {
+      this._appendLyricsSourceOptions();
+    }
+
+    const actions = this.lyricsSources?.actions || {};
+    if (actions.viewAlternatives) {
+      this._appendDropdownAction(t("viewAlternatives"), actions.viewAlternatives);
+    }
+    if (actions.reportWrong) {
+      this._appendDropdownAction(t("reportWrongLyrics"), actions.reportWrong);
+    }
+  }
+
+  /**
+   * Adds a plain dropdown entry that closes the menu and runs the action.
+   * @param {string} label
+   * @param {Function} action
+   * @private
+   */
+  _appendDropdownAction(label, action) {
+    const optionDiv = document.createElement("div");
+    optionDiv.className = "dropdown-option";
+    const textSpan = document.createElement("span");
+    textSpan.textContent = label;
+    optionDiv.appendChild(textSpan);
+    optionDiv.addEventListener("click", () => {
+      this.dropdownMenu.classList.add("hidden");
+      action();
+    });
+    this.dropdownMenu.appendChild(optionDiv);
+  }
+
+  /**
+   * Adds the "Lyrics source" choices set by setLyricsSources() to the dropdown menu.
+   * @private
+   */
+  _appendLyricsSourceOptions() {
+    const { options, pin, actions } = this.lyricsSources;
+
+    const title = document.createElement("div");
+    title.className = "dropdown-section-title";
+    title.textContent = t("lyricsSource");
+    this.dropdownMenu.appendChild(title);
+
+    const choices = [
+      { pin: null, label: t("lyricsSourceAutomatic") },
+      ...options.map((option) => ({
+        pin: { provider: option.provider, source: option.source },
+        label: option.label
+      }))
+    ];
+
+    choices.forEach((choice) => {
+      const isSelected = choice.pin
+        ? !!pin && pin.provider === choice.pin.provider && (pin.source || null) === choice.pin.source
+        : !pin;
+
+      const optionDiv = document.createElement("div");
+      optionDiv.className = "dropdown-option";
+      optionDiv.classList.toggle("active", isSelected);
+      const textSpan = document.createElement("span");
+      textSpan.textContent = choice.label;
+      const iconDiv = document.createElement("div");
+      iconDiv.className = "dropdown-icon";
+      if (isSelected) iconDiv.textContent = "✓";
+      optionDiv.appendChild(textSpan);
+      optionDiv.appendChild(iconDiv);
+      optionDiv.addEventListener("click", () => {
+        this.dropdownMenu.classList.add("hidden");
+        if (!isSelected && actions.selectSource) actions.selectSource(choice.pin);
+      });
+      this.dropdownMenu.appendChild(optionDiv);
+    });
   }
 
   _updateTranslationButtonText() {
@@ -2948,6 +3386,8 @@ class LyricsPlusRenderer {
     this.lastKnownSongInfo = null;
     this.fetchAndDisplayLyricsFn = null;
     this.setCurrentDisplayModeAndRefetchFn = null;
+    this.lyricsSources = null;
+    this.hideLyricsAlternatives();
 
     this.fontCache = {};
 
@@ -11,6 +11,7 @@ const defaultSettings = {
     useSponsorBlock: false,
     autoHideLyrics: false,
     cacheStrategy: 'aggressive',
+    maxCacheSizeMB: 50,
     fontSize: 16,
     hideOffscreen: false,
     blurInactive: false,
@@ -27,6 +28,13 @@ const defaultSettings = {
     customGeminiRomanizePrompt: '',
     romanizationProvider: 'google',
     geminiRomanizationModel: 'gemini-flash-latest',
+    openAiBaseUrl: 'http://localhost:11434/v1',
+    openAiApiKey: '',
+    openAiModel: '',
+    openAiRomanizationModel: '', // Empty uses openAiModel
+    libreTranslateUrl: 'http://localhost:5000',
+    libreTranslateApiKey: '',
+    languageDetectionFallback: false,
     useSongPaletteFullscreen: false,
     useSongPaletteAllModes: false,
     overridePaletteColor: '',
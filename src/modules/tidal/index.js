@@ -8,10 +8,16 @@ let pendingCheckCount = 0;
 
 const LyricsPlusAPI = {
   displayLyrics: (...args) => lyricsRendererInstance?.displayLyrics(...args),
-  displaySongNotFound: () => lyricsRendererInstance?.displaySongNotFound(),
-  displaySongError: () => lyricsRendererInstance?.displaySongError(),
+  displaySongNotFound: (songInfo, fetchAndDisplayLyricsFn) => lyricsRendererInstance?.displaySongNotFound(songInfo, fetchAndDisplayLyricsFn),
+  displaySongError: (...args) => lyricsRendererInstance?.displaySongError(...args),
+  displayTranslationError: (...args) => lyricsRendererInstance?.displayTranslationError(...args),
   cleanupLyrics: () => lyricsRendererInstance?.cleanupLyrics(),
-  updateDisplayMode: (...args) => lyricsRendererInstance?.updateDisplayMode(...args)
+  updateDisplayMode: (...args) => lyricsRendererInstance?.updateDisplayMode(...args),
+  setLinesPending: (kinds) => lyricsRendererInstance?.setLinesPending(kinds),
+  updateLineTranslation: (...args) => lyricsRendererInstance?.updateLineTranslation(...args),
+  setLyricsSources: (...args) => lyricsRendererInstance?.setLyricsSources(...args),
+  showLyricsAlternatives: (...args) => lyricsRendererInstance?.showLyricsAlternatives(...args),
+  hideLyricsAlternatives: () => lyricsRendererInstance?.hideLyricsAlternatives()
 };
 
 function injectPlatformCSS() {
@@ -55,10 +55,16 @@ window.lyricsRendererInstance = lyricsRendererInstance;
 // 3. Create the global API for other modules to use
 const LyricsPlusAPI = {
   displayLyrics: (...args) => lyricsRendererInstance.displayLyrics(...args),
-  displaySongNotFound: () => lyricsRendererInstance.displaySongNotFound(),
-  displaySongError: () => lyricsRendererInstance.displaySongError(),
+  displaySongNotFound: (songInfo, fetchAndDisplayLyricsFn) => lyricsRendererInstance.displaySongNotFound(songInfo, fetchAndDisplayLyricsFn),
+  displaySongError: (...args) => lyricsRendererInstance.displaySongError(...args),
+  displayTranslationError: (...args) => lyricsRendererInstance.displayTranslationError(...args),
   cleanupLyrics: () => lyricsRendererInstance.cleanupLyrics(),
   updateDisplayMode: (...args) => lyricsRendererInstance.updateDisplayMode(...args),
+  setLinesPending: (kinds) => lyricsRendererInstance.setLinesPending(kinds),
+  updateLineTranslation: (...args) => lyricsRendererInstance.updateLineTranslation(...args),
+  setLyricsSources: (...args) => lyricsRendererInstance.setLyricsSources(...args),
+  showLyricsAlternatives: (...args) => lyricsRendererInstance.showLyricsAlternatives(...args),
+  hideLyricsAlternatives: () => lyricsRendererInstance.hideLyricsAlternatives(),
   updateCurrentTick: (...args) => lyricsRendererInstance.updateCurrentTick(...args)
 };
 
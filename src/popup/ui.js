@@ -91,16 +91,45 @@ document.addEventListener('DOMContentLoaded', () => {
         dynamicPlayerSwitchInput.checked = currentSettings.dynamicPlayer || false;
     }
     
+    async function populateProviderSelect(selectedProvider) {
+        let providers = [];
+        if (typeof pBrowser !== 'undefined' && pBrowser.runtime && pBrowser.runtime.sendMessage) {
+            try {
+                const response = await pBrowser.runtime.sendMessage({ type: 'GET_LYRICS_PROVIDERS' });
+                if (response && response.success) {
+                    providers = response.providers.filter(provider => provider.selectable);
+                } else {
+                    console.error("YouLy+: Error getting lyrics providers:", response ? response.error : "No response");
+                }
+            } catch (error) {
+                console.error("YouLy+: Error getting lyrics providers:", error);
+            }
+        }
+
+        // Keep the saved choice visible even if the provider list could not be loaded
+        if (selectedProvider && !providers.some(provider => provider.id === selectedProvider)) {
+            providers.push({ id: selectedProvider, name: selectedProvider });
+        }
+
+        lyricsProviderSelect.innerHTML = '';
+        providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            lyricsProviderSelect.appendChild(option);
+        });
+    }
+
     async function fetchAndLoadSettings() {
         try {
             const items = await storageLocalGet(defaultSettings);
             currentSettings = items;
-            loadSettingsUI();
         } catch (error) {
             console.error("YouLy+: Error loading settings:", error);
             currentSettings = { ...defaultSettings };
-            loadSettingsUI();
         }
+        await populateProviderSelect(currentSettings.lyricsProvider);
+        loadSettingsUI();
     }
     
     async function saveAndApplySettings() {
@@ -64,7 +64,13 @@ export function updateCacheSize() {
             }
             if (response && response.success) {
                 const sizeMB = (response.sizeKB / 1024).toFixed(2);
-                document.getElementById('cache-size').textContent = `${sizeMB} MB used (${response.cacheCount} songs cached)`;
+                const limitNote = response.maxSizeKB
+                    ? ` of ${(response.maxSizeKB / 1024).toFixed(0)} MB`
+                    : '';
+                const negativeNote = response.negativeCount
+                    ? `, ${response.negativeCount} remembered as not found`
+                    : '';
+                document.getElementById('cache-size').textContent = `${sizeMB}${limitNote} MB used (${response.cacheCount} songs cached${negativeNote})`;
             } else {
                 console.error("Error getting cache size from response:", response ? response.error : "No response");
                 document.getElementById('cache-size').textContent = `Could not retrieve cache size.`;
@@ -97,7 +103,7 @@ export function clearCacheSilently() {
 }
 
 // Clear cache button logic
-export function clearCache() {
+export function clearCache(onCleared) {
     if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
         pBrowser.runtime.sendMessage({ type: 'RESET_CACHE' }, (response) => {
             if (pBrowser.runtime.lastError) {
@@ -107,6 +113,7 @@ export function clearCache() {
             }
             if (response && response.success) {
                 updateCacheSize();
+                if (onCleared) onCleared();
                 alert('Cache cleared successfully!');
             } else {
                 console.error("Error resetting cache from response:", response ? response.error : "No response");
@@ -238,6 +245,94 @@ export function fetchLocalLyrics(songId) {
     });
 }
 
+export function getLyricsProviders() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_LYRICS_PROVIDERS' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting lyrics providers:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.providers);
+                } else {
+                    console.error("Error getting lyrics providers from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping lyrics provider list retrieval.");
+            reject('Lyrics provider list is unavailable in this context.');
+        }
+    });
+}
+
+export function getKpoeMirrorStatus() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_KPOE_MIRROR_STATUS' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting KPoe mirror status:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.mirrors);
+                } else {
+                    console.error("Error getting KPoe mirror status from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping KPoe mirror status retrieval.");
+            reject('KPoe mirror status is unavailable in this context.');
+        }
+    });
+}
+
+export function testKpoeMirror(url) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'TEST_KPOE_MIRROR', url }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error testing KPoe mirror:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error testing KPoe mirror from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping KPoe mirror test.");
+            reject('KPoe mirror test is unavailable in this context.');
+        }
+    });
+}
+
+export function getLargestCacheEntries() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_LARGEST_CACHE_ENTRIES' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting largest cache entries:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.entries);
+                } else {
+                    console.error("Error getting largest cache entries from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping largest cache entries retrieval.");
+            reject('Cache entries are unavailable in this context.');
+        }
+    });
+}
+
 export function setupSettingsMessageListener(callback) {
     if (typeof window.addEventListener === 'function') {
         window.addEventListener('message', (event) => {
@@ -249,3 +344,101 @@ export function setupSettingsMessageListener(callback) {
         });
     }
 }
+
+function sendBackupMessage(message, resultKey, action) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage(message, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error(`Error ${action}:`, pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response[resultKey]);
+                } else {
+                    console.error(`Error ${action} from response:`, response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn(`pBrowser.runtime.sendMessage is not available. Skipping ${action}.`);
+            reject('Backup and restore is unavailable in this context.');
+        }
+    });
+}
+
+export function exportBackup(options) {
+    return sendBackupMessage({ type: 'EXPORT_BACKUP', ...options }, 'backup', 'exporting backup');
+}
+
+export function previewBackup(backup) {
+    return sendBackupMessage({ type: 'PREVIEW_BACKUP', backup }, 'preview', 'previewing backup');
+}
+
+export function importBackup(backup, mode) {
+    return sendBackupMessage({ type: 'IMPORT_BACKUP', backup, mode }, 'summary', 'importing backup');
+}
+
+function sendDiagnosticsMessage(message, resultKey, action) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage(message, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error(`Error ${action}:`, pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(resultKey ? response[resultKey] : undefined);
+                } else {
+                    console.error(`Error ${action} from response:`, response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn(`pBrowser.runtime.sendMessage is not available. Skipping ${action}.`);
+            reject('Diagnostics are unavailable in this context.');
+        }
+    });
+}
+
+export function getDiagnostics() {
+    return sendDiagnosticsMessage({ type: 'GET_DIAGNOSTICS' }, 'entries', 'loading diagnostics');
+}
+
+export function clearDiagnostics() {
+    return sendDiagnosticsMessage({ type: 'CLEAR_DIAGNOSTICS' }, null, 'clearing diagnostics');
+}
+
+function sendBlocklistMessage(message, resultKey, action) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage(message, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error(`Error ${action}:`, pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(resultKey ? response[resultKey] : undefined);
+                } else {
+                    console.error(`Error ${action} from response:`, response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn(`pBrowser.runtime.sendMessage is not available. Skipping ${action}.`);
+            reject('The lyrics blocklist is unavailable in this context.');
+        }
+    });
+}
+
+export function getLyricsBlocklist() {
+    return sendBlocklistMessage({ type: 'GET_LYRICS_BLOCKLIST' }, 'blocks', 'loading lyrics blocklist');
+}
+
+export function removeLyricsBlock(id) {
+    return sendBlocklistMessage({ type: 'CLEAR_LYRICS_BLOCKLIST', id }, null, 'removing blocked lyrics');
+}
+
+export function clearLyricsBlocklist() {
+    return sendBlocklistMessage({ type: 'CLEAR_LYRICS_BLOCKLIST' }, null, 'clearing lyrics blocklist');
+}
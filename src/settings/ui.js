@@ -1,5 +1,5 @@
 // @ts-nocheck
-import { loadSettings, saveSettings, updateSettings, getSettings, updateCacheSize, clearCache, clearCacheSilently, setupSettingsMessageListener, uploadLocalLyrics, getLocalLyricsList, deleteLocalLyrics, updateLocalLyrics, fetchLocalLyrics } from './settingsManager.js';
+import { loadSettings, saveSettings, updateSettings, getSettings, updateCacheSize, clearCache, clearCacheSilently, setupSettingsMessageListener, uploadLocalLyrics, getLocalLyricsList, deleteLocalLyrics, updateLocalLyrics, fetchLocalLyrics, getLyricsProviders, getKpoeMirrorStatus, testKpoeMirror, getLargestCacheEntries, exportBackup, previewBackup, importBackup, getDiagnostics, clearDiagnostics, getLyricsBlocklist, removeLyricsBlock, clearLyricsBlocklist } from './settingsManager.js';
 import { parseSyncedLyrics, parseAppleMusicLRC, parseAppleTTML, convertToStandardJson, v1Tov2 } from './parser.js';
 
 let currentSettings = getSettings();
@@ -36,6 +36,7 @@ function setupAutoSaveListeners() {
         { id: 'translation-provider', key: 'translationProvider', type: 'value' },
         { id: 'gemini-model', key: 'geminiModel', type: 'value' },
         { id: 'override-translate-target', key: 'overrideTranslateTarget', type: 'checkbox' },
+        { id: 'language-detection-fallback', key: 'languageDetectionFallback', type: 'checkbox' },
         { id: 'override-gemini-prompt', key: 'overrideGeminiPrompt', type: 'checkbox' },
         { id: 'override-gemini-romanize-prompt', key: 'overrideGeminiRomanizePrompt', type: 'checkbox' },
         { id: 'romanization-provider', key: 'romanizationProvider', type: 'value' },
@@ -61,7 +62,6 @@ function updateUI(settings) {
     console.log("Updating UI with settings:", currentSettings);
 
     document.getElementById('enabled').checked = currentSettings.isEnabled;
-    document.getElementById('default-provider').value = currentSettings.lyricsProvider;
     document.getElementById('custom-kpoe-url').value = currentSettings.customKpoeUrl || '';
     document.getElementById('sponsor-block').checked = currentSettings.useSponsorBlock;
     document.getElementById('wordByWord').checked = currentSettings.wordByWord;
@@ -79,25 +79,43 @@ function updateUI(settings) {
     document.getElementById('gemini-api-key').value = currentSettings.geminiApiKey || '';
     document.getElementById('gemini-api-key').type = 'password';
     document.getElementById('gemini-model').value = currentSettings.geminiModel || 'gemini-1.5-flash';
+    document.getElementById('openai-base-url').value = currentSettings.openAiBaseUrl || '';
+    document.getElementById('openai-api-key').value = currentSettings.openAiApiKey || '';
+    document.getElementById('openai-api-key').type = 'password';
+    document.getElementById('openai-model').value = currentSettings.openAiModel || '';
+    document.getElementById('openai-romanization-model').value = currentSettings.openAiRomanizationModel || '';
+    document.getElementById('libretranslate-url').value = currentSettings.libreTranslateUrl || '';
+    document.getElementById('libretranslate-api-key').value = currentSettings.libreTranslateApiKey || '';
+    document.getElementById('libretranslate-api-key').type = 'password';
     document.getElementById('override-translate-target').checked = currentSettings.overrideTranslateTarget;
     document.getElementById('custom-translate-target').value = currentSettings.customTranslateTarget || '';
+    document.getElementById('language-detection-fallback').checked = currentSettings.languageDetectionFallback;
     document.getElementById('override-gemini-prompt').checked = currentSettings.overrideGeminiPrompt;
     document.getElementById('custom-gemini-prompt').value = currentSettings.customGeminiPrompt || '';
     document.getElementById('override-gemini-romanize-prompt').checked = currentSettings.overrideGeminiRomanizePrompt;
     document.getElementById('custom-gemini-romanize-prompt').value = currentSettings.customGeminiRomanizePrompt || '';
     document.getElementById('custom-css').value = currentSettings.customCSS;
     document.getElementById('cache-strategy').value = currentSettings.cacheStrategy;
+    document.getElementById('max-cache-size').value = currentSettings.maxCacheSizeMB ?? 50;
 
-    toggleKpoeSourcesVisibility();
-    toggleCustomKpoeUrlVisibility();
+    populateProviderDropdown(currentSettings.lyricsProvider).then(() => {
+        toggleKpoeSourcesVisibility();
+        toggleCustomKpoeUrlVisibility();
+    });
     toggleGeminiSettingsVisibility();
+    toggleOpenAiSettingsVisibility();
+    toggleLibreTranslateSettingsVisibility();
     toggleTranslateTargetVisibility();
     toggleGeminiPromptVisibility();
     toggleGeminiRomanizePromptVisibility();
     toggleRomanizationModelVisibility();
 
     populateDraggableSources();
+    populateKpoeMirrorStatus();
     updateCacheSize();
+    populateLargestCacheEntries();
+    populateLyricsBlocklist();
+    populateDiagnostics();
 }
 
 document.querySelectorAll('.navigation-drawer .nav-item').forEach(item => {
@@ -109,6 +127,7 @@ document.querySelectorAll('.navigation-drawer .nav-item').forEach(item => {
         const sectionId = item.getAttribute('data-section');
         document.querySelectorAll('.settings-card').forEach(section => section.classList.remove('active'));
         document.getElementById(sectionId)?.classList.add('active');
+        if (sectionId === 'diagnostics') populateDiagnostics();
     });
 });
 
@@ -133,6 +152,12 @@ document.getElementById('save-appearance').addEventListener('click', () => {
 document.getElementById('save-translation').addEventListener('click', () => {
     updateSettings({
         geminiApiKey: document.getElementById('gemini-api-key').value,
+        openAiBaseUrl: document.getElementById('openai-base-url').value.trim(),
+        openAiApiKey: document.getElementById('openai-api-key').value,
+        openAiModel: document.getElementById('openai-model').value.trim(),
+        openAiRomanizationModel: document.getElementById('openai-romanization-model').value.trim(),
+        libreTranslateUrl: document.getElementById('libretranslate-url').value.trim(),
+        libreTranslateApiKey: document.getElementById('libretranslate-api-key').value,
         customTranslateTarget: document.getElementById('custom-translate-target').value,
         customGeminiPrompt: document.getElementById('custom-gemini-prompt').value,
         customGeminiRomanizePrompt: document.getElementById('custom-gemini-romanize-prompt').value
@@ -143,10 +168,518 @@ document.getElementById('save-translation').addEventListener('click', () => {
     showStatusMessage('translation-save-status', 'Translation input fields saved! Cache cleared automatically.', false);
 });
 
-document.getElementById('clear-cache').addEventListener('click', clearCache);
+document.getElementById('clear-cache').addEventListener('click', () => clearCache(populateLargestCacheEntries));
+
+document.getElementById('max-cache-size').addEventListener('change', (e) => {
+    const maxMB = Math.max(0, Number(e.target.value) || 0);
+    e.target.value = maxMB;
+    updateSettings({ maxCacheSizeMB: maxMB });
+    saveSettings();
+    // Size reporting enforces the cap first, so the numbers reflect any eviction
+    updateCacheSize();
+    populateLargestCacheEntries();
+});
 
 setupSettingsMessageListener(updateUI);
 
+async function populateProviderDropdown(selectedProvider) {
+    const providerDropdown = document.getElementById('default-provider');
+    if (!providerDropdown) return;
+
+    let providers = [];
+    try {
+        providers = (await getLyricsProviders()).filter(provider => provider.selectable);
+    } catch (error) {
+        console.error("Failed to load lyrics providers:", error);
+    }
+
+    // Keep the saved choice visible even if the provider list could not be loaded
+    if (selectedProvider && !providers.some(provider => provider.id === selectedProvider)) {
+        providers.push({ id: selectedProvider, name: selectedProvider });
+    }
+
+    providerDropdown.innerHTML = '';
+    providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        providerDropdown.appendChild(option);
+    });
+    providerDropdown.value = selectedProvider || providers[0]?.id || '';
+}
+
+function formatRelativeTime(timestamp) {
+    if (!timestamp) return 'never';
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h ago`;
+    return `${Math.round(seconds / 86400)}d ago`;
+}
+
+function describeMirrorStatus(mirror) {
+    const latency = mirror.avgLatencyMs != null ? `${mirror.avgLatencyMs} ms avg` : 'no latency data';
+    const lastSuccess = `last success ${formatRelativeTime(mirror.lastSuccess)}`;
+    if (mirror.circuit === 'open') {
+        const retryAt = new Date(mirror.openUntil).toLocaleTimeString();
+        return `Skipped until ${retryAt} · ${mirror.consecutiveFailures} failures in a row (${mirror.lastError || 'unknown error'})`;
+    }
+    if (mirror.circuit === 'half-open') {
+        return `Recovering · next request will re-check it · ${lastSuccess}`;
+    }
+    if (mirror.consecutiveFailures > 0) {
+        return `Unstable · ${mirror.consecutiveFailures} recent failures · ${latency} · ${lastSuccess}`;
+    }
+    return `Healthy · ${latency} · ${lastSuccess}`;
+}
+
+function createMirrorStatusItem(mirror) {
+    const item = document.createElement('div');
+    item.className = 'local-lyrics-item';
+    item.dataset.url = mirror.url;
+
+    const info = document.createElement('div');
+    info.className = 'local-lyrics-item-info';
+    const title = document.createElement('div');
+    title.className = 'local-lyrics-item-title';
+    title.textContent = mirror.url.replace(/^https?:\/\//, '');
+    const details = document.createElement('div');
+    details.className = 'local-lyrics-item-artist';
+    details.textContent = describeMirrorStatus(mirror);
+    info.appendChild(title);
+    info.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'local-lyrics-item-actions';
+    const testButton = document.createElement('button');
+    testButton.className = 'btn btn-tonal';
+    testButton.textContent = 'Test';
+    testButton.addEventListener('click', async () => {
+        testButton.disabled = true;
+        testButton.textContent = 'Testing...';
+        try {
+            const { result, status } = await testKpoeMirror(mirror.url);
+            details.textContent = describeMirrorStatus(status);
+            showStatusMessage('kpoe-mirror-status', result.reachable
+                ? `${title.textContent} responded in ${result.latencyMs} ms.`
+                : `${title.textContent} is unreachable: ${result.error}`, !result.reachable);
+        } catch (error) {
+            showStatusMessage('kpoe-mirror-status', `Error testing server: ${error}`, true);
+        } finally {
+            testButton.disabled = false;
+            testButton.textContent = 'Test';
+        }
+    });
+    actions.appendChild(testButton);
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+async function populateKpoeMirrorStatus() {
+    const mirrorList = document.getElementById('kpoe-mirror-list');
+    if (!mirrorList) return;
+
+    try {
+        const mirrors = await getKpoeMirrorStatus();
+        mirrorList.innerHTML = '';
+        mirrors.forEach(mirror => mirrorList.appendChild(createMirrorStatusItem(mirror)));
+    } catch (error) {
+        console.error("Failed to load KPoe mirror status:", error);
+        mirrorList.textContent = `Error loading server status: ${error}`;
+    }
+}
+
+document.getElementById('refresh-kpoe-mirrors').addEventListener('click', populateKpoeMirrorStatus);
+
+const CACHE_ENTRY_KIND_LABELS = {
+    'lyrics': 'Lyrics',
+    'not-found': 'Not found',
+    'translation': 'Translation'
+};
+
+function createCacheEntryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'local-lyrics-item';
+
+    const info = document.createElement('div');
+    info.className = 'local-lyrics-item-info';
+    const title = document.createElement('div');
+    title.className = 'local-lyrics-item-title';
+    title.textContent = entry.key;
+    const details = document.createElement('div');
+    details.className = 'local-lyrics-item-artist';
+    details.textContent = [
+        CACHE_ENTRY_KIND_LABELS[entry.kind] || entry.kind,
+        entry.source,
+        `${entry.sizeKB.toFixed(1)} KB`,
+        `used ${formatRelativeTime(entry.lastAccess)}`
+    ].filter(Boolean).join(' · ');
+    info.appendChild(title);
+    info.appendChild(details);
+
+    item.appendChild(info);
+    return item;
+}
+
+async function populateLargestCacheEntries() {
+    const entryList = document.getElementById('largest-cache-entries');
+    if (!entryList) return;
+
+    try {
+        const entries = await getLargestCacheEntries();
+        entryList.innerHTML = '';
+        if (entries.length === 0) {
+            entryList.textContent = 'The cache is empty.';
+            return;
+        }
+        entries.forEach(entry => entryList.appendChild(createCacheEntryItem(entry)));
+    } catch (error) {
+        console.error("Failed to load largest cache entries:", error);
+        entryList.textContent = `Error loading cache entries: ${error}`;
+    }
+}
+
+function createLyricsBlockItem(block) {
+    const item = document.createElement('div');
+    item.className = 'local-lyrics-item';
+
+    const info = document.createElement('div');
+    info.className = 'local-lyrics-item-info';
+    const title = document.createElement('div');
+    title.className = 'local-lyrics-item-title';
+    title.textContent = [block.song.title, block.song.artist].filter(Boolean).join(' — ');
+    const details = document.createElement('div');
+    details.className = 'local-lyrics-item-artist';
+    details.textContent = [
+        block.source ? `${block.provider} (${block.source})` : block.provider,
+        block.preview ? `"${block.preview}"` : null,
+        `marked ${formatRelativeTime(block.blockedAt)}`
+    ].filter(Boolean).join(' · ');
+    info.appendChild(title);
+    info.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'local-lyrics-item-actions';
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn-icon btn-icon-error';
+    removeButton.title = 'Allow these lyrics again';
+    const removeIcon = document.createElement('span');
+    removeIcon.className = 'material-symbols-outlined';
+    removeIcon.textContent = 'delete';
+    removeButton.appendChild(removeIcon);
+    removeButton.addEventListener('click', async () => {
+        try {
+            await removeLyricsBlock(block.id);
+            await populateLyricsBlocklist();
+        } catch (error) {
+            showStatusMessage('lyrics-blocklist-status', `Error removing entry: ${error}`, true);
+        }
+    });
+    actions.appendChild(removeButton);
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+async function populateLyricsBlocklist() {
+    const blockList = document.getElementById('lyrics-blocklist');
+    if (!blockList) return;
+
+    try {
+        const blocks = await getLyricsBlocklist();
+        blockList.innerHTML = '';
+        if (blocks.length === 0) {
+            blockList.textContent = 'No lyrics have been marked as wrong.';
+            return;
+        }
+        blocks.forEach(block => blockList.appendChild(createLyricsBlockItem(block)));
+    } catch (error) {
+        console.error("Failed to load lyrics blocklist:", error);
+        blockList.textContent = `Error loading blocked lyrics: ${error}`;
+    }
+}
+
+document.getElementById('clear-lyrics-blocklist').addEventListener('click', async () => {
+    try {
+        await clearLyricsBlocklist();
+        await populateLyricsBlocklist();
+        showStatusMessage('lyrics-blocklist-status', 'All lyrics marked as wrong are allowed again.', false);
+    } catch (error) {
+        showStatusMessage('lyrics-blocklist-status', `Error clearing blocked lyrics: ${error}`, true);
+    }
+});
+
+const BACKUP_SECTION_LABELS = {
+    settings: 'Settings',
+    localLyrics: 'Local lyrics',
+    translations: 'Cached translations',
+    lyrics: 'Lyrics cache'
+};
+
+let pendingBackup = null;
+
+function createBackupPreviewItem(label, section, extra) {
+    const item = document.createElement('div');
+    item.className = 'local-lyrics-item';
+
+    const info = document.createElement('div');
+    info.className = 'local-lyrics-item-info';
+    const title = document.createElement('div');
+    title.className = 'local-lyrics-item-title';
+    title.textContent = label;
+    const details = document.createElement('div');
+    details.className = 'local-lyrics-item-artist';
+    details.textContent = [
+        `${section.incoming} in file`,
+        `${section.added} new`,
+        `${section.overwritten} overwritten`,
+        extra,
+        `${section.removedOnReplace} removed on replace`
+    ].filter(Boolean).join(' · ');
+    info.appendChild(title);
+    info.appendChild(details);
+
+    item.appendChild(info);
+    return item;
+}
+
+function renderBackupPreview(preview) {
+    const previewList = document.getElementById('backup-preview');
+    previewList.innerHTML = '';
+
+    const origin = document.createElement('p');
+    origin.className = 'helper-text';
+    const exportedAt = preview.exportedAt ? new Date(preview.exportedAt).toLocaleString() : 'an unknown date';
+    origin.textContent = `Exported ${exportedAt}${preview.extensionVersion ? ` from version ${preview.extensionVersion}` : ''}.`;
+    previewList.appendChild(origin);
+
+    previewList.appendChild(createBackupPreviewItem(BACKUP_SECTION_LABELS.settings, preview.settings,
+        `${preview.settings.changed.length} with different values`));
+    Object.entries(preview.stores).forEach(([name, section]) => {
+        previewList.appendChild(createBackupPreviewItem(BACKUP_SECTION_LABELS[name] || name, section));
+    });
+}
+
+function setBackupImportEnabled(enabled) {
+    document.getElementById('import-backup-merge').disabled = !enabled;
+    document.getElementById('import-backup-replace').disabled = !enabled;
+}
+
+document.getElementById('export-backup').addEventListener('click', async () => {
+    const exportButton = document.getElementById('export-backup');
+    exportButton.disabled = true;
+    try {
+        const backup = await exportBackup({
+            includeLyricsCache: document.getElementById('backup-include-lyrics-cache').checked,
+            includeSecrets: document.getElementById('backup-include-secrets').checked
+        });
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `newsync-backup-${new Date(backup.exportedAt).toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showStatusMessage('backup-status', 'Backup exported.', false);
+    } catch (error) {
+        showStatusMessage('backup-status', `Error exporting backup: ${error}`, true);
+    } finally {
+        exportButton.disabled = false;
+    }
+});
+
+document.getElementById('backup-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    pendingBackup = null;
+    setBackupImportEnabled(false);
+    document.getElementById('backup-preview').innerHTML = '';
+    if (!file) return;
+
+    try {
+        const backup = JSON.parse(await file.text());
+        renderBackupPreview(await previewBackup(backup));
+        pendingBackup = backup;
+        setBackupImportEnabled(true);
+    } catch (error) {
+        const message = error instanceof SyntaxError ? 'The file is not valid JSON.' : error;
+        showStatusMessage('backup-status', `Cannot import this file: ${message}`, true);
+    }
+});
+
+async function runBackupImport(mode) {
+    if (!pendingBackup) return;
+    if (mode === 'replace' && !confirm('Replace deletes settings and stored lyrics that are not in the backup. Continue?')) {
+        return;
+    }
+
+    setBackupImportEnabled(false);
+    try {
+        await importBackup(pendingBackup, mode);
+        pendingBackup = null;
+        document.getElementById('backup-file').value = '';
+        document.getElementById('backup-preview').innerHTML = '';
+        // Reload from storage so a later save does not write the old values back
+        loadSettings(updateUI);
+        populateLocalLyricsList();
+        showStatusMessage('backup-status', mode === 'replace' ? 'Backup restored.' : 'Backup merged.', false);
+        showReloadNotification();
+    } catch (error) {
+        setBackupImportEnabled(true);
+        showStatusMessage('backup-status', `Error importing backup: ${error}`, true);
+    }
+}
+
+document.getElementById('import-backup-merge').addEventListener('click', () => runBackupImport('merge'));
+document.getElementById('import-backup-replace').addEventListener('click', () => runBackupImport('replace'));
+
+const DIAGNOSTICS_CACHE_LABELS = {
+    'memory': 'memory cache',
+    'db': 'stored cache',
+    'local': 'local lyrics',
+    'not-found': 'cached "not found"',
+    'joined': 'a lookup already running'
+};
+
+let diagnosticsEntries = [];
+
+function describeDiagnosticsEntry(entry) {
+    const kind = entry.kind === 'translation'
+        ? `Translation (${entry.query.action}, ${entry.query.targetLang})`
+        : entry.query.revalidate ? 'Lyrics refresh' : 'Lyrics';
+    const outcome = entry.outcome === 'pending'
+        ? 'running'
+        : entry.outcome === 'error' ? `failed: ${entry.error?.code || 'UNKNOWN'}` : entry.result;
+    return [
+        kind,
+        entry.cache ? `from ${DIAGNOSTICS_CACHE_LABELS[entry.cache] || entry.cache}` : null,
+        outcome,
+        entry.durationMs != null ? `${entry.durationMs} ms` : null,
+        formatRelativeTime(entry.startedAt)
+    ].filter(Boolean).join(' · ');
+}
+
+function describeDiagnosticsRequest(request) {
+    const status = request.status ?? request.error ?? 'no response';
+    return `${request.url} → ${status} (${request.latencyMs} ms)`;
+}
+
+function createDiagnosticsStep(text, requests = []) {
+    const step = document.createElement('li');
+    step.textContent = text;
+    if (requests.length > 0) {
+        const requestList = document.createElement('ul');
+        requests.forEach(request => {
+            const requestItem = document.createElement('li');
+            requestItem.textContent = describeDiagnosticsRequest(request);
+            requestList.appendChild(requestItem);
+        });
+        step.appendChild(requestList);
+    }
+    return step;
+}
+
+function createDiagnosticsItem(entry) {
+    const item = document.createElement('details');
+    item.className = 'local-lyrics-item diagnostics-item';
+
+    const summary = document.createElement('summary');
+    const info = document.createElement('div');
+    info.className = 'local-lyrics-item-info';
+    const title = document.createElement('div');
+    title.className = 'local-lyrics-item-title';
+    title.textContent = [entry.song.title, entry.song.artist].filter(Boolean).join(' — ');
+    const details = document.createElement('div');
+    details.className = 'local-lyrics-item-artist';
+    details.textContent = describeDiagnosticsEntry(entry);
+    info.appendChild(title);
+    info.appendChild(details);
+    summary.appendChild(info);
+    item.appendChild(summary);
+
+    const steps = document.createElement('ul');
+    steps.className = 'diagnostics-steps';
+    if (entry.kind === 'lyrics') {
+        steps.appendChild(createDiagnosticsStep(`Query: "${entry.query.title}" by ${entry.query.artist}`));
+    }
+    entry.attempts.forEach(attempt => {
+        const latency = attempt.latencyMs != null ? `${attempt.latencyMs} ms` : 'running';
+        steps.appendChild(createDiagnosticsStep(
+            `${attempt.provider}: "${attempt.query.title}" by ${attempt.query.artist} · ${latency} · ${attempt.result}`,
+            attempt.requests
+        ));
+    });
+    if (entry.selection) {
+        const rejected = entry.selection.rejected?.map(r => `${r.provider} (${r.reason})`).join(', ');
+        steps.appendChild(createDiagnosticsStep(
+            `Selected ${entry.selection.provider} with score ${Math.round(entry.selection.score)}${rejected ? ` · rejected ${rejected}` : ''}`
+        ));
+    }
+    if (entry.translation) {
+        const meta = entry.translation;
+        steps.appendChild(createDiagnosticsStep([
+            `Provider ${meta.provider || 'unknown'}`,
+            meta.sourceLang ? `source ${meta.sourceLang}` : null,
+            meta.fallbackUsed ? `fallback used (${meta.fallbackReason || 'unknown reason'})` : null,
+            meta.failedLines?.length ? `${meta.failedLines.length} lines failed` : null
+        ].filter(Boolean).join(' · ')));
+    }
+    if (entry.error) {
+        const provider = entry.error.provider ? ` (${entry.error.provider})` : '';
+        steps.appendChild(createDiagnosticsStep(`Error ${entry.error.code}${provider}: ${entry.error.message}`));
+    }
+    item.appendChild(steps);
+    return item;
+}
+
+async function populateDiagnostics() {
+    const diagnosticsList = document.getElementById('diagnostics-list');
+    if (!diagnosticsList) return;
+
+    try {
+        diagnosticsEntries = await getDiagnostics();
+        diagnosticsList.innerHTML = '';
+        if (diagnosticsEntries.length === 0) {
+            diagnosticsList.textContent = 'No lookups recorded yet. Play a song and refresh.';
+            return;
+        }
+        diagnosticsEntries.forEach(entry => diagnosticsList.appendChild(createDiagnosticsItem(entry)));
+    } catch (error) {
+        console.error("Failed to load diagnostics:", error);
+        diagnosticsList.textContent = `Error loading diagnostics: ${error}`;
+    }
+}
+
+document.getElementById('refresh-diagnostics').addEventListener('click', populateDiagnostics);
+
+document.getElementById('copy-diagnostics').addEventListener('click', async () => {
+    try {
+        await populateDiagnostics();
+        const report = {
+            extensionVersion: chrome.runtime.getManifest().version,
+            userAgent: navigator.userAgent,
+            copiedAt: new Date().toISOString(),
+            entries: diagnosticsEntries
+        };
+        await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+        showStatusMessage('diagnostics-status', `Copied ${diagnosticsEntries.length} lookups to the clipboard.`, false);
+    } catch (error) {
+        showStatusMessage('diagnostics-status', `Error copying diagnostics: ${error}`, true);
+    }
+});
+
+document.getElementById('clear-diagnostics').addEventListener('click', async () => {
+    try {
+        await clearDiagnostics();
+        await populateDiagnostics();
+        showStatusMessage('diagnostics-status', 'Diagnostics log cleared.', false);
+    } catch (error) {
+        showStatusMessage('diagnostics-status', `Error clearing diagnostics: ${error}`, true);
+    }
+});
+
 let draggedItem = null;
 
 function getSourceDisplayName(sourceName) {
@@ -441,11 +974,14 @@ if (customTranslateTarget) {
 
 document.getElementById('romanization-provider').addEventListener('change', () => {
     toggleRomanizationModelVisibility();
+    toggleOpenAiSettingsVisibility();
 });
 
 document.getElementById('translation-provider').addEventListener('change', (e) => {
     currentSettings.translationProvider = e.target.value;
     toggleGeminiSettingsVisibility();
+    toggleOpenAiSettingsVisibility();
+    toggleLibreTranslateSettingsVisibility();
 });
 
 function toggleElementVisibility(elementId, isVisible) {
@@ -465,28 +1001,45 @@ function toggleCustomKpoeUrlVisibility() {
     toggleElementVisibility('custom-kpoe-url-group', isVisible);
 }
 
+// Providers that take the custom prompts from "Advanced Prompting".
+function isLlmProvider(provider) {
+    return provider === 'gemini' || provider === 'openaiCompatible';
+}
+
 function toggleGeminiSettingsVisibility() {
-    const isGemini = document.getElementById('translation-provider').value === 'gemini';
+    const translationProvider = document.getElementById('translation-provider').value;
+    const isGemini = translationProvider === 'gemini';
     toggleElementVisibility('gemini-api-key-group', isGemini);
     toggleElementVisibility('gemini-model-group', isGemini);
-    toggleElementVisibility('override-gemini-prompt-group', isGemini);
-    toggleElementVisibility('override-gemini-romanize-prompt-group', isGemini);
+    toggleElementVisibility('override-gemini-prompt-group', isLlmProvider(translationProvider));
+    toggleElementVisibility('override-gemini-romanize-prompt-group', isLlmProvider(translationProvider));
     toggleGeminiPromptVisibility();
     toggleGeminiRomanizePromptVisibility();
 }
 
+function toggleOpenAiSettingsVisibility() {
+    const isVisible = ['translation-provider', 'romanization-provider']
+        .some(id => document.getElementById(id).value === 'openaiCompatible');
+    toggleElementVisibility('openai-settings-group', isVisible);
+}
+
+function toggleLibreTranslateSettingsVisibility() {
+    const isVisible = document.getElementById('translation-provider').value === 'libretranslate';
+    toggleElementVisibility('libretranslate-settings-group', isVisible);
+}
+
 function toggleTranslateTargetVisibility() {
     const isVisible = document.getElementById('override-translate-target').checked;
     toggleElementVisibility('custom-translate-target-group', isVisible);
 }
 
 function toggleGeminiPromptVisibility() {
-    const isVisible = document.getElementById('translation-provider').value === 'gemini' && document.getElementById('override-gemini-prompt').checked;
+    const isVisible = isLlmProvider(document.getElementById('translation-provider').value) && document.getElementById('override-gemini-prompt').checked;
     toggleElementVisibility('custom-gemini-prompt-group', isVisible);
 }
 
 function toggleGeminiRomanizePromptVisibility() {
-    const isVisible = document.getElementById('translation-provider').value === 'gemini' && document.getElementById('override-gemini-romanize-prompt').checked;
+    const isVisible = isLlmProvider(document.getElementById('translation-provider').value) && document.getElementById('override-gemini-romanize-prompt').checked;
     toggleElementVisibility('custom-gemini-romanize-prompt-group', isVisible);
 }
 
@@ -786,17 +1339,23 @@ async function populateLocalLyricsList() {
     }
 }
 
-document.getElementById('toggle-gemini-api-key-visibility').addEventListener('click', () => {
-    const apiKeyInput = document.getElementById('gemini-api-key');
-    const icon = document.querySelector('#toggle-gemini-api-key-visibility .material-symbols-outlined');
-    if (apiKeyInput.type === 'password') {
-        apiKeyInput.type = 'text';
-        icon.textContent = 'visibility_off';
-    } else {
-        apiKeyInput.type = 'password';
-        icon.textContent = 'visibility';
-    }
-});
+function setupApiKeyVisibilityToggle(buttonId, inputId) {
+    document.getElementById(buttonId).addEventListener('click', () => {
+        const apiKeyInput = document.getElementById(inputId);
+        const icon = document.querySelector(`#${buttonId} .material-symbols-outlined`);
+        if (apiKeyInput.type === 'password') {
+            apiKeyInput.type = 'text';
+            icon.textContent = 'visibility_off';
+        } else {
+            apiKeyInput.type = 'password';
+            icon.textContent = 'visibility';
+        }
+    });
+}
+
+setupApiKeyVisibilityToggle('toggle-gemini-api-key-visibility', 'gemini-api-key');
+setupApiKeyVisibilityToggle('toggle-openai-api-key-visibility', 'openai-api-key');
+setupApiKeyVisibilityToggle('toggle-libretranslate-api-key-visibility', 'libretranslate-api-key');
 
 function setAppVersion() {
     try {
@@ -815,8 +1374,12 @@ document.addEventListener('DOMContentLoaded', () => {
         updateUI(settings);
         setupAutoSaveListeners();
 
+        // The lyrics panel links straight to a section, e.g. #translation for an API key problem.
+        const linkedSectionId = decodeURIComponent(location.hash.slice(1));
         const firstNavItem = document.querySelector('.navigation-drawer .nav-item');
-        const activeSectionId = firstNavItem?.getAttribute('data-section') || 'general';
+        const activeSectionId = document.querySelector(`.navigation-drawer .nav-item[data-section="${CSS.escape(linkedSectionId)}"]`)
+            ? linkedSectionId
+            : firstNavItem?.getAttribute('data-section') || 'general';
 
         document.querySelectorAll('.navigation-drawer .nav-item').forEach(i => i.classList.remove('active'));
         document.querySelector(`.navigation-drawer .nav-item[data-section="${activeSectionId}"]`)?.classList.add('active');
@@ -14,6 +14,17 @@ export type SongInfo = {
   [key: string]: any;
 };
 
+export type CanonicalSongInfo = {
+  /** Base title plus version tags, e.g. "Levitating (DaBaby Remix)". */
+  title: string;
+  baseTitle: string;
+  versionTags: string[];
+  /** The artist string as credited, without a channel suffix. */
+  artist: string;
+  primaryArtist: string;
+  featuredArtists: string[];
+};
+
 export type LyricSyllable = {
   text: string;
   start?: number;
@@ -25,6 +36,8 @@ export type LyricLine = {
   id?: string | number;
   text: string;
   translatedText?: string;
+  /** Already in the target language, so it was not translated. */
+  translationSkipped?: boolean;
   romanizedText?: string;
   timestamp?: number;
   syllabus?: LyricSyllable[];
@@ -34,6 +47,7 @@ export type LyricLine = {
 };
 
 export type LyricsData = {
+  type?: 'Word' | 'Line' | 'Unsynced' | string;
   data: LyricLine[];
   metadata?: Record<string, any>;
   translationMeta?: TranslationMeta;
@@ -42,6 +56,29 @@ export type LyricsData = {
 export type LyricsCacheEntry = {
   lyrics: LyricsData;
   version: number | string;
+  /** Served past its expiry while a background refresh runs (stale-while-revalidate). */
+  stale?: boolean;
+};
+
+export type LyricsFetchOptions = {
+  /** Called when a background refresh produced different lyrics than the ones served. */
+  onRevalidated?: (entry: LyricsCacheEntry) => void;
+  /** Tab that asked; a cancel from it aborts the lookup unless another tab still waits. */
+  tabId?: number;
+};
+
+/** What a running request needs to be started again by a restarted service worker. */
+export type FetchRequest =
+  | { kind: 'lyrics'; songInfo: SongInfo; forceReload?: boolean }
+  | { kind: 'translation'; songInfo: SongInfo; action: TranslationAction; targetLang: string; forceReload?: boolean };
+
+export type FetchJournalEntry = FetchRequest & { startedAt: number };
+
+/** Remembered lookup that found nothing, stored in lyricsDB next to regular entries. */
+export type NegativeCacheEntry = {
+  notFound: true;
+  providersTried: string[];
+  timestamp: number;
 };
 
 export type TranslationMeta = {
@@ -51,7 +88,11 @@ export type TranslationMeta = {
   requestedTargetLang?: string;
   sourceLang?: string | null;
   fallbackUsed?: boolean;
+  /** Why the configured provider was replaced by the fallback. */
+  fallbackReason?: ServiceErrorCode | null;
   skippedReason?: string | null;
+  /** Lines left untranslated because they are already in the target language. */
+  skippedLines?: number[];
   failedLines?: number[];
   generatedAt?: number;
   cached?: boolean;
@@ -66,21 +107,216 @@ export type TranslationResult = {
 
 export type TranslationAction = 'translate' | 'romanize' | string;
 
+/** A batch of finished lines, reported while the rest of the song is still being processed. */
+export type TranslationProgress = {
+  action: TranslationAction;
+  /** Index of the first line of `lines` within the song. */
+  from: number;
+  lines: LyricsData['data'];
+};
+
+export type TranslationProgressListener = (progress: TranslationProgress) => void;
+
 export type LyricsProvider =
   | 'kpoe'
   | 'customKpoe'
   | 'lrclib'
   | 'local'
+  | 'youtube'
   | 'gemini'
-  | 'google';
+  | 'google'
+  | 'openaiCompatible'
+  | 'libretranslate';
+
+export type LyricsProviderCapabilities = {
+  lineSync: boolean;
+  wordSync: boolean;
+  romanization: boolean;
+};
+
+/** fetch() options that may also report each request's outcome, for the diagnostics log. */
+export type FetchOptions = RequestInit & {
+  onRequest?: (request: DiagnosticsRequest) => void;
+};
+
+export type LyricsProviderContext = {
+  settings: LyricsSettings;
+  fetchOptions: FetchOptions;
+  forceReload: boolean;
+  /** Errors thrown by providers during this lookup, by provider id. */
+  failures?: Map<string, unknown>;
+  /** Diagnostics log entry of the lookup, when it is being recorded. */
+  trace?: import('./background/storage/diagnostics.js').LookupTrace;
+  /** Results the user marked as wrong for this song; matching ones count as a miss. */
+  blocked?: LyricsFingerprint[];
+};
+
+export type LyricsProviderDefinition = {
+  id: string;
+  name: string;
+  capabilities: LyricsProviderCapabilities;
+  /** Listed as a preferred provider option in settings (default true). */
+  selectable?: boolean;
+  /** Only consulted after every regular provider came back empty. */
+  fallback?: boolean;
+  /** Retry with normalized, progressively relaxed metadata on a miss (default true). */
+  relaxedQueries?: boolean;
+  /** Most query variants tried on a miss, original included (default CONFIG.QUERY_VARIANTS.MAX_PER_PROVIDER). */
+  maxQueryVariants?: number;
+  /** Whether the provider can be offered for the song, e.g. once it is configured (default true). */
+  isAvailable?: (settings: LyricsSettings, context: { songInfo: SongInfo }) => boolean | Promise<boolean>;
+  fetch: (songInfo: SongInfo, context: LyricsProviderContext) => Promise<LyricsData | null>;
+};
+
+export type LyricsProviderDescriptor = Omit<LyricsProviderDefinition, 'fetch' | 'isAvailable'> & {
+  selectable: boolean;
+  fallback: boolean;
+};
+
+export type LyricsScore = {
+  total: number;
+  syncType: 'Word' | 'Line' | 'Plain';
+  reasons: string[];
+};
+
+export type LyricsCandidate = {
+  provider: LyricsProviderDefinition;
+  lyrics: LyricsData;
+  score: LyricsScore;
+};
+
+export type LyricsRejection = {
+  provider: string;
+  reason: string;
+};
+
+export type LyricsRaceResult = {
+  winner: LyricsCandidate | null;
+  candidates: LyricsCandidate[];
+  rejected: LyricsRejection[];
+};
+
+export type DiagnosticsRequest = {
+  url: string;
+  /** HTTP status, or null when no response arrived. */
+  status: number | null;
+  latencyMs: number;
+  error?: string;
+};
+
+/** One provider asked with one query variant. */
+export type DiagnosticsAttempt = {
+  provider: string;
+  query: { title: string; artist: string };
+  startedAt: number;
+  latencyMs: number | null;
+  result: string;
+  requests: DiagnosticsRequest[];
+};
+
+/** A lyrics or translation lookup as recorded for the settings page's diagnostics section. */
+export type DiagnosticsEntry = {
+  id: string;
+  kind: 'lyrics' | 'translation';
+  startedAt: number;
+  durationMs: number | null;
+  song: Pick<SongInfo, 'title' | 'artist' | 'album' | 'duration' | 'videoId' | 'source'>;
+  /** Cache key and normalized metadata the lookup used. */
+  query: Record<string, any>;
+  /** Where a cached answer came from; null when nothing was cached. */
+  cache: 'memory' | 'db' | 'local' | 'not-found' | 'joined' | null;
+  attempts: DiagnosticsAttempt[];
+  selection: Record<string, any> | null;
+  translation: TranslationMeta | null;
+  outcome: 'pending' | 'success' | 'error';
+  result: string | null;
+  error: { code: ServiceErrorCode; message: string; provider: string | null } | null;
+};
+
+/** Provider, and for KPoe optionally one source, the user chose for a song. */
+export type LyricsPin = {
+  provider: string;
+  source?: string | null;
+  pinnedAt?: number;
+};
+
+/** Identifies one provider result, so lyrics marked as wrong can be recognized again. */
+export type LyricsFingerprint = {
+  provider: string;
+  source: string | null;
+  /** Hash of the lyric text, line by line. */
+  hash: string;
+};
+
+/** Lyrics the user marked as wrong for a song. */
+export type LyricsBlock = LyricsFingerprint & {
+  id: string;
+  /** Song keys the block applies to; see SongMetadata.toSongKeys. */
+  keys: string[];
+  song: { title: string; artist: string };
+  /** First line of the rejected lyrics, to recognize them in settings. */
+  preview: string;
+  blockedAt: number;
+};
+
+/** A provider or KPoe source the lyrics panel offers to pin. */
+export type LyricsSourceOption = {
+  provider: string;
+  source: string | null;
+  label: string;
+};
+
+/** One provider's lyrics for the song, as listed by the lyrics panel's "View alternatives". */
+export type LyricsAlternative = {
+  provider: string;
+  providerName: string;
+  syncType: LyricsScore['syncType'];
+  lineCount: number;
+  source: string | null;
+  /** First few non-empty lines. */
+  preview: string[];
+  score: number;
+  /** Why automatic selection would reject these lyrics, if it would. */
+  timelineIssue: string | null;
+  lyrics: LyricsData;
+};
+
+export type MirrorHealthRecord = {
+  avgLatencyMs: number | null;
+  consecutiveFailures: number;
+  totalFailures: number;
+  totalSuccesses: number;
+  lastSuccess: number | null;
+  lastFailure: number | null;
+  lastError: string | null;
+  openUntil: number | null;
+};
+
+export type MirrorStatus = MirrorHealthRecord & {
+  url: string;
+  circuit: 'closed' | 'open' | 'half-open';
+};
 
 export type LyricsSettings = {
   lyricsProvider?: LyricsProvider;
-  lyricsSourceOrder?: string[];
+  /** Comma-separated KPoe sources, in order. */
+  lyricsSourceOrder?: string;
   cacheStrategy?: 'aggressive' | 'moderate' | 'none';
   customKpoeUrl?: string;
 };
 
+export type LanguageDetection = {
+  /** Main language of the song, or null when none was recognized. */
+  language: string | null;
+  /** Share of the song's text in that language, from the offline detector. */
+  confidence: number;
+  /** Per line, in order; null for lines without a recognizable language. */
+  lines: (string | null)[];
+  /** Per line, whether its language is certain: one script, or a Latin line well ahead of other languages. */
+  confident: boolean[];
+  source: 'local' | 'libretranslate' | 'google';
+};
+
 export type TranslationSettings = {
   translationProvider?: string;
   romanizationProvider?: string;
@@ -89,6 +325,14 @@ export type TranslationSettings = {
   geminiApiKey?: string;
   geminiModel?: string;
   geminiRomanizationModel?: string;
+  openAiBaseUrl?: string;
+  openAiApiKey?: string;
+  openAiModel?: string;
+  openAiRomanizationModel?: string;
+  libreTranslateUrl?: string;
+  libreTranslateApiKey?: string;
+  /** Ask Google for the song's language when offline detection finds none. */
+  languageDetectionFallback?: boolean;
   overrideGeminiPrompt?: boolean;
   customGeminiPrompt?: string;
   overrideGeminiRomanizePrompt?: boolean;
@@ -124,6 +368,81 @@ export type BackgroundMessage = {
   [key: string]: any;
 };
 
+/** Field kinds checked by the background before a handler runs. A trailing "?" marks an optional field. */
+export type RpcFieldKind = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'songInfo';
+
+/** Payload of every request the background accepts, without `type` and `requestId`. */
+export type RpcRequestMap = {
+  FETCH_LYRICS: { songInfo: SongInfo; forceReload?: boolean };
+  RESET_CACHE: {};
+  GET_CACHED_SIZE: {};
+  TRANSLATE_LYRICS: { songInfo: SongInfo; action: TranslationAction; targetLang?: string; forceReload?: boolean };
+  FETCH_SPONSOR_SEGMENTS: { videoId: string };
+  UPLOAD_LOCAL_LYRICS: { songInfo: SongInfo; jsonLyrics: object };
+  GET_LOCAL_LYRICS_LIST: {};
+  DELETE_LOCAL_LYRICS: { songId: string };
+  FETCH_LOCAL_LYRICS: { songId: string };
+  UPDATE_LOCAL_LYRICS: { songId: string; songInfo?: SongInfo; jsonLyrics: object };
+  GET_LYRICS_PROVIDERS: {};
+  GET_KPOE_MIRROR_STATUS: {};
+  TEST_KPOE_MIRROR: { url: string };
+  GET_LARGEST_CACHE_ENTRIES: {};
+  EXPORT_BACKUP: { includeLyricsCache?: boolean; includeSecrets?: boolean };
+  PREVIEW_BACKUP: { backup: object };
+  IMPORT_BACKUP: { backup: object; mode: BackupImportMode };
+  CANCEL_FETCH: { songInfo: SongInfo };
+  SETTINGS_CHANGED: { settings: Record<string, any> };
+  OPEN_SETTINGS: { section?: string };
+  GET_DIAGNOSTICS: {};
+  GET_LYRICS_SOURCES: { songInfo: SongInfo };
+  PIN_LYRICS_SOURCE: { songInfo: SongInfo; pin?: LyricsPin | null };
+  GET_LYRICS_ALTERNATIVES: { songInfo: SongInfo };
+  ACCEPT_LYRICS_ALTERNATIVE: { songInfo: SongInfo; provider: string };
+  REPORT_WRONG_LYRICS: { songInfo: SongInfo };
+  GET_LYRICS_BLOCKLIST: {};
+  CLEAR_LYRICS_BLOCKLIST: { id?: string };
+  CLEAR_DIAGNOSTICS: {};
+};
+
+export type RpcMessageType = keyof RpcRequestMap;
+
+export type RpcRequest<K extends RpcMessageType = RpcMessageType> =
+  { type: K; requestId?: string } & RpcRequestMap[K];
+
+export type RpcSchema<K extends RpcMessageType> = {
+  /** "extension": only the extension's own pages; "any": content scripts too. */
+  from: 'extension' | 'any';
+  fields: { [F in keyof RpcRequestMap[K]]-?: {} extends Pick<RpcRequestMap[K], F> ? `${RpcFieldKind}?` : RpcFieldKind };
+};
+
+/** Cause of a failed lyrics or translation request. */
+export type ServiceErrorCode =
+  | 'NETWORK_OFFLINE'
+  | 'TIMEOUT'
+  | 'RATE_LIMITED'
+  | 'API_KEY_INVALID'
+  | 'NOT_FOUND'
+  | 'PARSE_FAILURE'
+  | 'CANCELLED'
+  | 'UNKNOWN';
+
+export type RpcErrorCode =
+  | 'INVALID_MESSAGE'
+  | 'UNKNOWN_TYPE'
+  | 'INVALID_PAYLOAD'
+  | 'FORBIDDEN_SENDER'
+  | 'HANDLER_ERROR'
+  | ServiceErrorCode;
+
+export type RpcErrorResponse = {
+  success: false;
+  error: string;
+  code: RpcErrorCode;
+  /** Provider that failed, when the error came from one. */
+  provider?: string | null;
+  requestId: string;
+};
+
 export type SendResponse = (response: any) => void;
 
 export type LocalLyricsRecord = {
@@ -133,6 +452,35 @@ export type LocalLyricsRecord = {
   timestamp?: number;
 };
 
+export type BackupStoreName = 'localLyrics' | 'translations' | 'lyrics';
+
+export type BackupImportMode = 'merge' | 'replace';
+
+export type BackupFile = {
+  format: string;
+  version: number;
+  exportedAt: number;
+  extensionVersion?: string;
+  settings: Record<string, any>;
+  stores: Partial<Record<BackupStoreName, any[]>>;
+};
+
+export type BackupSectionPreview = {
+  incoming: number;
+  added: number;
+  overwritten: number;
+  /** Existing entries a replace import would delete. */
+  removedOnReplace: number;
+};
+
+export type BackupPreview = {
+  exportedAt: number;
+  extensionVersion?: string;
+  settings: BackupSectionPreview & { changed: string[] };
+  /** Stores missing from the file are left untouched by either mode. */
+  stores: Partial<Record<BackupStoreName, BackupSectionPreview>>;
+};
+
 declare global {
   const chrome: any;
   const browser: any;
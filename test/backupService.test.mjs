@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The storage modules register listeners and open IndexedDB when they load.
+globalThis.chrome = {
+  storage: { local: { get: async () => ({}), set: async () => {} }, onChanged: { addListener() {} } },
+  runtime: { onMessage: { addListener() {} }, onConnect: { addListener() {} } }
+};
+globalThis.browser = globalThis.chrome;
+globalThis.indexedDB = { open() { return {}; } };
+
+const { BackupService } = await import('../src/background/services/backupService.js');
+
+/** @param {Record<string, any>} settings */
+const backupWith = settings => ({ format: 'newsync-backup', version: 1, settings, stores: {} });
+
+test('validate keeps known settings and drops unknown and device-only keys', () => {
+  const { settings } = BackupService.validate(backupWith({
+    lyricsProvider: 'lrclib',
+    fontSize: 18,
+    lyricsPins: { 'song:a|b': { provider: 'kpoe', source: null } },
+    lyricsBlocklist: [],
+    kpoeMirrorHealth: {},
+    somethingInjected: 'x'
+  }));
+
+  assert.deepEqual(Object.keys(settings).sort(), ['fontSize', 'lyricsBlocklist', 'lyricsPins', 'lyricsProvider']);
+});
+
+for (const [key, value] of [
+  ['wordByWord', 'yes'],
+  ['maxCacheSizeMB', '50'],
+  ['lyricsBlocklist', {}],
+  ['lyricsPins', []],
+  ['customCSS', null]
+]) {
+  test(`validate rejects ${key} = ${JSON.stringify(value)}`, () => {
+    assert.throws(() => BackupService.validate(backupWith({ [key]: value })), new RegExp(`Setting "${key}"`));
+  });
+}
+
+test('a replace import removes only restorable settings that are not secrets', () => {
+  const removable = BackupService.getRemovableSettings(
+    { fontSize: 16, geminiApiKey: 'k', kpoeMirrorHealth: {}, backgroundState: {}, lyricsProvider: 'kpoe' },
+    { lyricsProvider: 'lrclib' }
+  );
+  assert.deepEqual(removable, ['fontSize']);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LanguageDetector } from '../src/background/utils/languageDetector.js';
+
+/**
+ * @param {Record<string, number>} scores
+ * @returns {[string, number][]} Best first.
+ */
+const ranked = scores => Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+test('a repeated English hook scores as English', () => {
+  const [[best, bestScore], [, runnerUp]] = ranked(LanguageDetector.scoreLatin('I got my ride ride ride'));
+  assert.equal(best, 'en');
+  assert.ok(bestScore >= runnerUp * 1.25, `en ${bestScore} is not clearly ahead of ${runnerUp}`);
+});
+
+for (const [text, language] of [
+  ['Let it go', 'en'],
+  ['Come on', 'en'],
+  ['Hello from the other side', 'en'],
+  ['Quiero respirar tu cuello despacito', 'es'],
+  ['Você é meu amor', 'pt'],
+  ['Non, je ne regrette rien', 'fr'],
+  ['Du hast mich gefragt', 'de'],
+  ['Aku cinta kamu', 'id'],
+  ['Jag älskar dig', 'sv'],
+  ['보란 듯이 무너졌어', 'ko'],
+  ['沈むように溶けてゆくように', 'ja']
+]) {
+  test(`"${text}" is ${language}`, () => {
+    const detection = LanguageDetector.detectLines([text]);
+    assert.equal(detection.lines[0], language);
+    assert.equal(detection.confident[0], true);
+  });
+}
+
+for (const text of ['Despacito', 'Butter', 'La la la', 'Bang bang']) {
+  test(`"${text}" alone is too short to tell`, () => {
+    const detection = LanguageDetector.detectLines([text]);
+    assert.equal(detection.lines[0], null);
+    assert.equal(detection.confident[0], false);
+  });
+}
+
+test('a Hangul word outweighs a short English one, but the line is not confident', () => {
+  const detection = LanguageDetector.detectLines(['사랑해 baby']);
+  assert.equal(detection.lines[0], 'ko');
+  assert.equal(detection.confident[0], false);
+});
+
+/** Real lyrics, one expected `[language, confident]` per line. */
+const SONGS = [
+  {
+    name: 'K-pop with English hooks',
+    language: 'ko',
+    lines: [
+      ['보란 듯이 무너졌어', 'ko', true],
+      ['바닥을 뚫고 저 지하까지', 'ko', true],
+      ['Look at you, now look at me', 'en', true],
+      ['How you like that?', 'en', true],
+      ['모든 게 궁금해 how\'s your day', 'ko', false],
+      ['I got my ride ride ride', 'en', true],
+      ['사랑해 baby', 'ko', false],
+      ['', null, false]
+    ]
+  },
+  {
+    name: 'J-pop with English lines and a kanji-only line',
+    language: 'ja',
+    lines: [
+      ['グッバイ 君の運命のヒトは僕じゃない', 'ja', true],
+      ['君のことが好き baby', 'ja', true],
+      ['Let it go', 'en', true],
+      ['夢', 'ja', true],
+      ['Come on, come on', 'en', true],
+      ['Forever and ever', 'en', true]
+    ]
+  },
+  {
+    name: 'Spanish with an English hook',
+    language: 'es',
+    lines: [
+      ['Quiero respirar tu cuello despacito', 'es', true],
+      ['Deja que te diga cosas al oído', 'es', true],
+      ['Despacito', null, false],
+      ['Baila conmigo', 'es', true],
+      ['Oh oh oh', null, false]
+    ]
+  },
+  {
+    name: 'English with short interjections',
+    language: 'en',
+    lines: [
+      ['Hello from the other side', 'en', true],
+      ['I must have called a thousand times', 'en', true],
+      ['Fire', 'en', false],
+      ['We will rock you', 'en', true]
+    ]
+  }
+];
+
+for (const song of SONGS) {
+  test(`per-line languages: ${song.name}`, () => {
+    const detection = LanguageDetector.detectLines(song.lines.map(([text]) => text));
+    assert.equal(detection.language, song.language);
+    assert.equal(detection.source, 'local');
+    song.lines.forEach(([text, language, confident], index) => {
+      assert.deepEqual([detection.lines[index], detection.confident[index]], [language, confident], `"${text}"`);
+    });
+  });
+}
@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { ERROR_CODES, PROVIDERS } from '../src/background/constants.js';
+import { OpenAiService } from '../src/background/openai/openAiService.js';
+import { ServiceError } from '../src/background/utils/serviceError.js';
+
+/** @type {Array<(body: any) => { status?: number, json: any }>} */
+let replies = [];
+/** @type {Array<{ url: string, headers: import('node:http').IncomingHttpHeaders, body: any }>} */
+let requests = [];
+let server;
+let settings;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || 'null');
+      requests.push({ url: req.url, headers: req.headers, body });
+      const reply = replies.shift();
+      const { status = 200, json } = reply ? reply(body) : { status: 500, json: { error: 'no reply queued' } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  settings = {
+    openAiBaseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    openAiModel: 'local-model',
+    openAiApiKey: 'sk-local'
+  };
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+});
+
+/** @param {string} content */
+const completion = (content, finishReason = 'stop') => () => ({
+  json: { choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }] }
+});
+
+test('translate sends a structured request and returns the translated lines', async () => {
+  replies.push(completion(JSON.stringify({ translated_lyrics: ['Hola', 'Mundo'] })));
+
+  const translated = await OpenAiService.translate(['Hello', 'World'], 'es', settings);
+
+  assert.deepEqual(translated, ['Hola', 'Mundo']);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].headers.authorization, 'Bearer sk-local');
+  assert.equal(requests[0].body.model, 'local-model');
+  assert.equal(requests[0].body.response_format.type, 'json_schema');
+});
+
+test('chat retries without response_format when the server rejects it', async () => {
+  replies.push(() => ({ status: 400, json: { error: { message: "Unknown parameter: 'response_format'" } } }));
+  replies.push(completion('{"translated_lyrics": ["Bonjour"]}'));
+
+  const translated = await OpenAiService.translate(['Hello'], 'fr', settings);
+
+  assert.deepEqual(translated, ['Bonjour']);
+  assert.equal(requests.length, 2);
+  assert.ok(requests[0].body.response_format);
+  assert.equal(requests[1].body.response_format, undefined);
+});
+
+test('a 400 unrelated to response_format is not retried', async () => {
+  replies.push(() => ({ status: 400, json: { error: { message: 'model not loaded' } } }));
+
+  await assert.rejects(OpenAiService.translate(['Hello'], 'fr', settings), { code: ERROR_CODES.UNKNOWN, status: 400 });
+  assert.equal(requests.length, 1);
+});
+
+test('translate reads JSON wrapped in a Markdown fence', async () => {
+  replies.push(completion('```json\n{"translated_lyrics": ["사랑해", "안녕"]}\n```'));
+
+  assert.deepEqual(await OpenAiService.translate(['I love you', 'Goodbye'], 'ko', settings), ['사랑해', '안녕']);
+});
+
+test('translate accepts a bare array', async () => {
+  replies.push(completion('["Hallo", "Welt"]'));
+
+  assert.deepEqual(await OpenAiService.translate(['Hello', 'World'], 'de', settings), ['Hallo', 'Welt']);
+});
+
+test('a reply with the wrong number of lines is a parse failure', async () => {
+  replies.push(completion(JSON.stringify({ translated_lyrics: ['Hola'] })));
+
+  await assert.rejects(OpenAiService.translate(['Hello', 'World'], 'es', settings), error => {
+    assert.ok(error instanceof ServiceError);
+    assert.equal(error.code, ERROR_CODES.PARSE_FAILURE);
+    assert.equal(error.provider, PROVIDERS.OPENAI_COMPATIBLE);
+    assert.match(error.message, /Length mismatch: expected 2 lines, got 1/);
+    return true;
+  });
+});
+
+for (const { status, code } of [
+  { status: 401, code: ERROR_CODES.API_KEY_INVALID },
+  { status: 404, code: ERROR_CODES.NOT_FOUND },
+  { status: 429, code: ERROR_CODES.RATE_LIMITED },
+  { status: 500, code: ERROR_CODES.UNKNOWN }
+]) {
+  test(`HTTP ${status} becomes ${code}`, async () => {
+    replies.push(() => ({ status, json: { error: { message: `status ${status}` } } }));
+
+    await assert.rejects(
+      OpenAiService.chat([{ role: 'user', content: 'Hi' }], 'local-model', settings),
+      error => error instanceof ServiceError && error.code === code && error.status === status
+        && error.provider === PROVIDERS.OPENAI_COMPATIBLE
+    );
+  });
+}
+
+test('a content_filter finish is a ServiceError', async () => {
+  replies.push(completion('', 'content_filter'));
+
+  await assert.rejects(
+    OpenAiService.chat([{ role: 'user', content: 'Hi' }], 'local-model', settings),
+    error => error instanceof ServiceError && error.code === ERROR_CODES.UNKNOWN
+      && error.provider === PROVIDERS.OPENAI_COMPATIBLE
+  );
+});
+
+test('a reply without message content is a parse failure', async () => {
+  replies.push(() => ({ json: { choices: [] } }));
+
+  await assert.rejects(
+    OpenAiService.chat([{ role: 'user', content: 'Hi' }], 'local-model', settings),
+    { code: ERROR_CODES.PARSE_FAILURE }
+  );
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongMetadata } from '../src/background/utils/songMetadata.js';
+
+/** Titles and artists as YouTube Music shows them. */
+const NORMALIZE_CASES = [
+  {
+    name: 'featured artists in the title',
+    song: { title: 'Peaches (feat. Daniel Caesar & Giveon)', artist: 'Justin Bieber' },
+    expected: { title: 'Peaches', baseTitle: 'Peaches', artist: 'Justin Bieber', primaryArtist: 'Justin Bieber', featuredArtists: ['Daniel Caesar & Giveon'] }
+  },
+  {
+    name: 'featured artists in the artist field',
+    song: { title: 'Old Town Road', artist: 'Lil Nas X feat. Billy Ray Cyrus' },
+    expected: { title: 'Old Town Road', artist: 'Lil Nas X feat. Billy Ray Cyrus', primaryArtist: 'Lil Nas X', featuredArtists: ['Billy Ray Cyrus'] }
+  },
+  {
+    name: 'remix tag on a Topic channel',
+    song: { title: 'Levitating (DaBaby Remix)', artist: 'Dua Lipa - Topic' },
+    expected: { title: 'Levitating (DaBaby Remix)', baseTitle: 'Levitating', versionTags: ['DaBaby Remix'], artist: 'Dua Lipa', primaryArtist: 'Dua Lipa' }
+  },
+  {
+    name: 'version after a dash',
+    song: { title: 'Bad Habits - Acoustic', artist: 'Ed Sheeran' },
+    expected: { title: 'Bad Habits (Acoustic)', baseTitle: 'Bad Habits', versionTags: ['Acoustic'] }
+  },
+  {
+    name: "Taylor's Version",
+    song: { title: "Love Story (Taylor's Version)", artist: 'Taylor Swift' },
+    expected: { title: "Love Story (Taylor's Version)", baseTitle: 'Love Story', versionTags: ["Taylor's Version"] }
+  },
+  {
+    name: '[MV] and (Official MV) noise',
+    song: { title: '[MV] IU(아이유) _ Blueming(블루밍)', artist: '1theK (원더케이)' },
+    expected: { title: 'IU(아이유) _ Blueming(블루밍)', versionTags: [], artist: '1theK (원더케이)' }
+  },
+  {
+    name: 'official MV suffix',
+    song: { title: 'Dynamite (Official MV)', artist: 'BTS' },
+    expected: { title: 'Dynamite', baseTitle: 'Dynamite', artist: 'BTS' }
+  },
+  {
+    name: 'VEVO channel',
+    song: { title: 'Shake It Off', artist: 'TaylorSwiftVEVO' },
+    expected: { artist: 'TaylorSwift', primaryArtist: 'TaylorSwift' }
+  },
+  {
+    name: 'comma-separated artists',
+    song: { title: 'Señorita', artist: 'Shawn Mendes, Camila Cabello' },
+    expected: { artist: 'Shawn Mendes, Camila Cabello', primaryArtist: 'Shawn Mendes', featuredArtists: ['Camila Cabello'] }
+  },
+  {
+    name: 'commas and an ampersand',
+    song: { title: 'Stay', artist: 'The Kid LAROI, Justin Bieber & Friends' },
+    expected: { artist: 'The Kid LAROI, Justin Bieber & Friends', primaryArtist: 'The Kid LAROI', featuredArtists: ['Justin Bieber & Friends'] }
+  },
+  {
+    name: 'duo with an ampersand stays one act',
+    song: { title: 'The Sound of Silence', artist: 'Simon & Garfunkel' },
+    expected: { artist: 'Simon & Garfunkel', primaryArtist: 'Simon & Garfunkel', featuredArtists: [] }
+  },
+  {
+    name: '"With" inside a name stays one act',
+    song: { title: 'Song', artist: 'Artist With Name' },
+    expected: { artist: 'Artist With Name', primaryArtist: 'Artist With Name', featuredArtists: [] }
+  },
+  {
+    name: 'x collaboration stays whole',
+    song: { title: 'Calm Down', artist: 'Rema x Selena Gomez' },
+    expected: { artist: 'Rema x Selena Gomez', primaryArtist: 'Rema x Selena Gomez' }
+  },
+  {
+    name: 'a name that merely ends in "vevo"',
+    song: { title: 'Song', artist: 'Bravevo' },
+    expected: { artist: 'Bravevo', primaryArtist: 'Bravevo' }
+  },
+  {
+    name: 'trailing X in a name',
+    song: { title: 'MONTERO (Call Me By Your Name)', artist: 'Lil Nas X' },
+    expected: { artist: 'Lil Nas X', primaryArtist: 'Lil Nas X' }
+  }
+];
+
+for (const { name, song, expected } of NORMALIZE_CASES) {
+  test(`normalize: ${name}`, () => {
+    const canonical = SongMetadata.normalize(song);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(canonical[field], value, `${field} of "${song.title}" by "${song.artist}"`);
+    }
+  });
+}
+
+const VARIANT_CASES = [
+  {
+    song: { title: 'Levitating (DaBaby Remix)', artist: 'Dua Lipa - Topic' },
+    expected: ['Levitating (DaBaby Remix) | Dua Lipa - Topic', 'Levitating (DaBaby Remix) | Dua Lipa', 'Levitating | Dua Lipa']
+  },
+  {
+    song: { title: 'Old Town Road', artist: 'Lil Nas X feat. Billy Ray Cyrus' },
+    expected: ['Old Town Road | Lil Nas X feat. Billy Ray Cyrus', 'Old Town Road | Lil Nas X']
+  },
+  {
+    song: { title: 'The Sound of Silence', artist: 'Simon & Garfunkel' },
+    expected: ['The Sound of Silence | Simon & Garfunkel', 'The Sound of Silence | Simon']
+  },
+  {
+    song: { title: 'Calm Down', artist: 'Rema x Selena Gomez' },
+    expected: ['Calm Down | Rema x Selena Gomez', 'Calm Down | Rema']
+  },
+  {
+    song: { title: 'Dynamite (Official MV)', artist: 'BTS' },
+    expected: ['Dynamite (Official MV) | BTS', 'Dynamite | BTS']
+  }
+];
+
+for (const { song, expected } of VARIANT_CASES) {
+  test(`getQueryVariants: ${song.title} by ${song.artist}`, () => {
+    const variants = SongMetadata.getQueryVariants(song).map(variant => `${variant.title} | ${variant.artist}`);
+    assert.deepEqual(variants, expected);
+  });
+}
+
+test('index fields keep two-name acts apart from their first member', () => {
+  const duo = SongMetadata.toIndexFields({ title: 'The Boxer', artist: 'Simon & Garfunkel' });
+  const solo = SongMetadata.toIndexFields({ title: 'The Boxer', artist: 'Simon' });
+  assert.notEqual(duo.matchKey, solo.matchKey);
+});
+
+test('Topic and VEVO channels share index fields with the plain artist', () => {
+  const plain = SongMetadata.toIndexFields({ title: 'Levitating', artist: 'Dua Lipa' });
+  assert.equal(SongMetadata.toIndexFields({ title: 'Levitating', artist: 'Dua Lipa - Topic' }).matchKey, plain.matchKey);
+  assert.equal(SongMetadata.toIndexFields({ title: 'Levitating', artist: 'Dua LipaVEVO' }).matchKey, plain.matchKey);
+});
+
+test('punctuation-only titles and artists keep distinct keys', () => {
+  assert.equal(SongMetadata.toMatchKey('!!!'), '!!!');
+  assert.equal(SongMetadata.toMatchKey('  Hello,  World! '), 'hello world');
+  assert.notEqual(
+    SongMetadata.toIndexFields({ title: '!!!', artist: '???' }).matchKey,
+    SongMetadata.toIndexFields({ title: '...', artist: '???' }).matchKey
+  );
+});
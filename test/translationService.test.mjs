@@ -0,0 +1,177 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The storage modules register listeners and open IndexedDB when they load.
+globalThis.chrome = {
+  storage: { local: { get: async () => ({}), set: async () => {} }, onChanged: { addListener() {} } },
+  runtime: { onMessage: { addListener() {} }, onConnect: { addListener() {} } }
+};
+globalThis.browser = globalThis.chrome;
+globalThis.indexedDB = { open() { return {}; } };
+
+const { TranslationService } = await import('../src/background/core/translationService.js');
+const { GoogleService } = await import('../src/background/services/googleService.js');
+const { OpenAiService } = await import('../src/background/openai/openAiService.js');
+const { PROVIDERS, ERROR_CODES } = await import('../src/background/constants.js');
+
+/** @type {string[]} */
+let sent = [];
+GoogleService.translate = async (text, targetLang) => {
+  sent.push(text);
+  return `[${targetLang}] ${text}`;
+};
+
+beforeEach(() => {
+  sent = [];
+});
+
+const settings = { translationProvider: 'google', languageDetectionFallback: false };
+
+/** @param {string[]} texts */
+const lyricsOf = texts => ({
+  type: 'Line',
+  data: texts.map((text, index) => ({ text, startTime: index * 4, endTime: index * 4 + 4 }))
+});
+
+const KPOP = [
+  '보란 듯이 무너졌어',
+  '바닥을 뚫고 저 지하까지',
+  'Look at you, now look at me',
+  'How you like that?',
+  '사랑해 baby',
+  'I got my ride ride ride'
+];
+
+const JPOP = [
+  'グッバイ 君の運命のヒトは僕じゃない',
+  '君のことが好き baby',
+  'Let it go',
+  'Come on, come on',
+  '夢'
+];
+
+test('K-pop into English: English lines are skipped, Korean and mixed lines translated', async () => {
+  const { data, meta } = await TranslationService.translate(lyricsOf(KPOP), 'en', settings);
+
+  assert.equal(meta.sourceLang, 'ko');
+  assert.deepEqual(meta.skippedLines, [2, 3, 5]);
+  assert.deepEqual(sent, ['보란 듯이 무너졌어', '바닥을 뚫고 저 지하까지', '사랑해 baby']);
+  assert.deepEqual(data.map(line => line.translatedText ?? null), [
+    '[en] 보란 듯이 무너졌어',
+    '[en] 바닥을 뚫고 저 지하까지',
+    null,
+    null,
+    '[en] 사랑해 baby',
+    null
+  ]);
+  assert.deepEqual(data.map(line => !!line.translationSkipped), [false, false, true, true, false, true]);
+});
+
+test('K-pop into Korean: a line that is only partly Korean is still translated', async () => {
+  const { data, meta } = await TranslationService.translate(lyricsOf(KPOP), 'ko', settings);
+
+  assert.notEqual(meta.provider, 'pass-through');
+  assert.deepEqual(meta.skippedLines, [0, 1]);
+  assert.deepEqual(sent, ['Look at you, now look at me', 'How you like that?', '사랑해 baby', 'I got my ride ride ride']);
+  assert.equal(data[4].translatedText, '[ko] 사랑해 baby');
+});
+
+test('J-pop into Japanese: Japanese lines, kanji-only ones too, are skipped', async () => {
+  const { data, meta } = await TranslationService.translate(lyricsOf(JPOP), 'ja', settings);
+
+  assert.equal(meta.sourceLang, 'ja');
+  assert.deepEqual(meta.skippedLines, [0, 1, 4]);
+  assert.deepEqual(sent, ['Let it go', 'Come on, come on']);
+  assert.deepEqual(data.map(line => !!line.translationSkipped), [true, true, false, false, true]);
+});
+
+test('J-pop into English: only the English lines are skipped', async () => {
+  const { meta } = await TranslationService.translate(lyricsOf(JPOP), 'en-US', settings);
+
+  assert.deepEqual(meta.skippedLines, [2, 3]);
+  assert.deepEqual(sent, ['グッバイ 君の運命のヒトは僕じゃない', '君のことが好き baby', '夢']);
+});
+
+test('a song confidently in the target language passes through untranslated', async () => {
+  const lyrics = lyricsOf(['Hello from the other side', 'I must have called a thousand times', '']);
+  const { data, meta } = await TranslationService.translate(lyrics, 'en', settings);
+
+  assert.equal(meta.provider, 'pass-through');
+  assert.equal(meta.skippedReason, 'source-matches-target');
+  assert.deepEqual(sent, []);
+  assert.ok(data.every(line => line.translationSkipped));
+});
+
+test('undetected lines keep a song in the target language from passing through', async () => {
+  const lyrics = lyricsOf(['Hello from the other side', 'I must have called a thousand times', 'Despacito']);
+  const { meta } = await TranslationService.translate(lyrics, 'en', settings);
+
+  assert.equal(meta.sourceLang, 'en');
+  assert.equal(meta.skippedReason, null);
+  assert.deepEqual(meta.skippedLines, [0, 1]);
+  assert.deepEqual(sent, ['Despacito']);
+});
+
+test('mergeTranslatedTexts places translations by line index and marks the rest skipped', () => {
+  const data = TranslationService.mergeTranslatedTexts(lyricsOf(KPOP), ['Flaunting it, I crumbled', ''], [0, 4]);
+
+  assert.equal(data[0].translatedText, 'Flaunting it, I crumbled');
+  assert.equal(data[4].translatedText, '사랑해 baby', 'an empty translation falls back to the original');
+  [1, 2, 3, 5].forEach(index => {
+    assert.equal(data[index].translationSkipped, true);
+    assert.equal(data[index].translatedText, undefined);
+  });
+  assert.equal(data[2].text, 'Look at you, now look at me');
+});
+
+/** A Korean song long enough for several streamed batches. */
+const LONG_SONG = Array.from({ length: 25 }, (_, index) => `보란 듯이 무너졌어 ${index + 1}`);
+
+test('streamed Google translation reports batches of lines', async () => {
+  /** @type {number[]} */
+  const batches = [];
+  const { data } = await TranslationService.translate(lyricsOf(LONG_SONG), 'en', settings, undefined, (lines, from) => {
+    batches.push(from);
+  });
+
+  assert.deepEqual(batches, [0, 10, 20]);
+  assert.equal(data.length, LONG_SONG.length);
+});
+
+test('streamed LLM translation sends the whole song in one request and reports once', async t => {
+  /** @type {string[][]} */
+  const requests = [];
+  t.mock.method(OpenAiService, 'translate', async texts => {
+    requests.push(texts);
+    return texts.map(text => `translated ${text}`);
+  });
+  const llmSettings = {
+    ...settings,
+    translationProvider: PROVIDERS.OPENAI_COMPATIBLE,
+    openAiBaseUrl: 'http://127.0.0.1:1/v1',
+    openAiModel: 'local-model'
+  };
+  /** @type {Array<[number, number]>} */
+  const batches = [];
+
+  const { data, meta } = await TranslationService.translate(lyricsOf(LONG_SONG), 'en', llmSettings, undefined, (lines, from) => {
+    batches.push([from, lines.length]);
+  });
+
+  assert.equal(meta.provider, PROVIDERS.OPENAI_COMPATIBLE);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].length, LONG_SONG.length);
+  assert.deepEqual(batches, [[0, LONG_SONG.length]]);
+  assert.equal(data[24].translatedText, `translated ${LONG_SONG[24]}`);
+});
+
+test('LibreTranslate without a server URL is an error, not a quiet switch to Google', async () => {
+  const libreSettings = { ...settings, translationProvider: PROVIDERS.LIBRETRANSLATE, libreTranslateUrl: '  ' };
+
+  await assert.rejects(TranslationService.translate(lyricsOf(KPOP), 'en', libreSettings), {
+    code: ERROR_CODES.UNKNOWN,
+    provider: PROVIDERS.LIBRETRANSLATE,
+    message: 'LibreTranslate server URL is not set'
+  });
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { Utilities } from '../src/background/utils/utilities.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url === '/slow') return setTimeout(() => res.end('late'), 500);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+/** An abort signal that counts the listeners currently attached to it. */
+function trackedSignal() {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const listeners = new Set();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    listeners.add(listener);
+    add(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    listeners.delete(listener);
+    remove(type, listener, options);
+  };
+  return { controller, signal, listeners };
+}
+
+/**
+ * Replaces setTimeout/clearTimeout to see which timers of `ms` are still pending; fetch
+ * itself starts timers of its own.
+ */
+function trackTimers(t, ms) {
+  const pending = new Set();
+  const { setTimeout: realSet, clearTimeout: realClear } = globalThis;
+  t.mock.method(globalThis, 'setTimeout', (callback, delay, ...args) => {
+    const id = realSet(() => {
+      pending.delete(id);
+      callback(...args);
+    }, delay);
+    if (delay === ms) pending.add(id);
+    return id;
+  });
+  t.mock.method(globalThis, 'clearTimeout', id => {
+    pending.delete(id);
+    realClear(id);
+  });
+  return pending;
+}
+
+test('the timer and the abort listener are released once the body is read', async t => {
+  const pending = trackTimers(t, 60000);
+  const { signal, listeners } = trackedSignal();
+
+  const response = await Utilities.fetchWithTimeout(`${baseUrl}/fast`, { signal }, 60000);
+  assert.equal(listeners.size, 1, 'still listening while the body is unread');
+  assert.deepEqual(await response.json(), { ok: true });
+
+  assert.equal(pending.size, 0);
+  assert.equal(listeners.size, 0);
+});
+
+test('reading only a clone of the response also releases them', async t => {
+  const pending = trackTimers(t, 60000);
+  const { signal, listeners } = trackedSignal();
+
+  const response = await Utilities.fetchWithTimeout(`${baseUrl}/fast`, { signal }, 60000);
+  assert.equal(await response.clone().text(), '{"ok":true}');
+
+  assert.equal(pending.size, 0);
+  assert.equal(listeners.size, 0);
+});
+
+test('a request slower than its timeout rejects with a TimeoutError and cleans up', async t => {
+  const pending = trackTimers(t, 50);
+  const { signal, listeners } = trackedSignal();
+
+  await assert.rejects(Utilities.fetchWithTimeout(`${baseUrl}/slow`, { signal }, 50), { name: 'TimeoutError' });
+  assert.equal(signal.aborted, false, "the caller's signal is left alone");
+  assert.equal(pending.size, 0);
+  assert.equal(listeners.size, 0);
+});
+
+test("aborting the caller's signal rejects with its reason and cleans up", async t => {
+  const pending = trackTimers(t, 60000);
+  const { controller, signal, listeners } = trackedSignal();
+
+  const request = Utilities.fetchWithTimeout(`${baseUrl}/slow`, { signal }, 60000);
+  controller.abort(new DOMException('Song changed', 'AbortError'));
+
+  await assert.rejects(request, { name: 'AbortError', message: 'Song changed' });
+  assert.equal(pending.size, 0);
+  assert.equal(listeners.size, 0);
+});